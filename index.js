@@ -2,23 +2,84 @@
 
 const fs = require("fs");
 const path = require("path");
-const JSZip = require("jszip");
-const pdfParse = require("pdf-parse");
+const { compile, LANG_MODES } = require("./lib/compile");
+const { slugify, toTitle, normalizeText, splitSemanticBlocks, chunkBlocks } = require("./lib/text");
+const { extractPdf, extractPdfImages } = require("./lib/pdf");
+const { cleanDocument } = require("./lib/cleanup");
+const { detectFormat, SUPPORTED_EXTENSIONS } = require("./lib/formats");
+const { detectHeading, buildSections, chunkSections } = require("./lib/sections");
+const { detectLanguage, tokenize, topKeywords } = require("./lib/keywords");
+const { buildCorpusStats, weightedKeywords } = require("./lib/weights");
+const { parseProcedure, extractSteps, extractConditions } = require("./lib/analyze");
+const { estimateRoutingScore, jaccard, buildDependencies, buildSemanticDependencies } = require("./lib/graph");
+const { ensureDir, writeZip, writePlainFiles, removeStaleFiles } = require("./lib/output");
+const { readPack, readRoutes } = require("./lib/pack");
+const { CACHE_MAX_AGE_DAYS, pruneCache, clearCache } = require("./lib/cache");
+const { diffPacks, formatDiffReport } = require("./lib/diff");
+const { routeQuery, routePack, formatRouteResult } = require("./lib/router");
+const { MAX_FILE_KB, validatePack, formatValidationReport } = require("./lib/validate");
+const { ENRICH_PROVIDERS } = require("./lib/enrich");
+const { PROFILES, DEFAULT_TUNING, loadConfig, resolveCompileOptions } = require("./lib/config");
+const { TARGET_NAMES, parseTargets, buildTarget } = require("./lib/targets");
+const { DEDUP_POLICIES } = require("./lib/dedup");
+const { BUDGET_MODES } = require("./lib/budget");
+const { serveMcp } = require("./lib/mcp");
+const { resolveEmbedOptions, semanticRouting } = require("./lib/embed");
+const { detectTables, parseMarkdownTables } = require("./lib/tables");
+const { buildGlossary, findDefinitions, findAcronyms, expandAcronyms } = require("./lib/glossary");
+const { DEFAULT_USERS_FILE, createUserStore } = require("./lib/users");
 
 function printHelp() {
   const help = [
     "pdf2skill-lite",
     "",
     "Usage:",
-    "  pdf2skill-lite --input <file.pdf[,file2.pdf]> --name <skill-name> [--outdir <dir>] [--max-chunks <n>] [--min-score <n>] [--lang <auto|zh|en>]",
+    "  pdf2skill-lite --input <file[,file2]> --name <skill-name> [--outdir <dir>] [--max-chunks <n>] [--min-score <n>] [--lang <auto|zh|en|ja|ko>] [--weighting <bm25|tfidf|tf>] [--dict <file>] [--cache-dir <dir>] [--no-cache] [--clear-cache] [--no-ocr] [--keep-raw] [--no-assets] [--enrich <openai|ollama>] [--embed-model <dir>] [--dedup <longest|newest|off>] [--budget <merge|appendix|hierarchy>] [--config <file>] [--profile <name>] [--target <claude|opencode|cursor|copilot|jsonl|mcp>]",
+    "  pdf2skill-lite route --pack <dir|zip> [--lang <auto|zh|en|ja|ko>] [--min-score <n>] [--limit <n>] [--embed-model <dir>] [--json] \"<question>\"",
+    "  pdf2skill-lite diff --old <dir|zip> (--new <dir|zip> | --input <file> --name <skill-name> [compile options]) [--json]",
+    "  pdf2skill-lite validate --pack <dir|zip> [--strict] [--max-file-kb <n>] [--json]",
+    "  pdf2skill-lite serve-mcp --pack <dir|zip> [--lang <auto|zh|en|ja|ko>] [--embed-model <dir>]",
+    "  pdf2skill-lite users (list | add <name> | rotate <name> | remove <name>) [--store <file>]",
+    "",
+    "Commands:",
+    "  route             Score a question against a compiled pack and print ranked skills",
+    "  diff              Compare two packs (or a pack against a fresh compile): skills and dependency edges",
+    "  validate          Check a pack: frontmatter, index/routes/skill agreement, Mermaid, empty/duplicate/oversized files",
+    "  serve-mcp         Serve a pack over MCP (stdio): skills as resources, search_skills/get_skill/related_skills tools",
+    "  users             Manage web server API keys: add or rotate prints a new key once, remove revokes it",
     "",
     "Options:",
-    "  --input, -i       Path to source PDF (repeatable or comma-separated)",
+    "  --input, -i       Source file: .pdf, .epub, .docx, .html/.htm, .md (repeatable or comma-separated)",
     "  --name, -n        Skill name (slug recommended)",
     "  --outdir, -o      Output directory (default: current directory)",
+    `  --target, -t      Output layout, repeatable or comma-separated: ${TARGET_NAMES.join("|")} (default: claude)`,
     "  --max-chunks      Max generated atomic skills (default: 24)",
     "  --min-score       Minimum routing score cutoff (default: 55)",
-    "  --lang            Language mode: auto|zh|en (default: auto)",
+    "  --lang            Language mode: auto|zh|en|ja|ko (default: auto; route: pack language)",
+    "  --dict            Extra segmentation dictionary, one word per line (repeatable)",
+    "  --weighting       Keyword weighting across chunks: bm25|tfidf|tf (default: bm25)",
+    "  --cache-dir       Cache for parsed inputs and chunk analysis (default: <outdir>/.pdf2skill-cache)",
+    "  --no-cache        Re-parse everything and do not write the cache",
+    `  --clear-cache     Empty the cache before compiling (entries unused for ${CACHE_MAX_AGE_DAYS} days are dropped after every compile)`,
+    "  --no-ocr          Do not OCR pages without a text layer (needs tesseract + pdftoppm otherwise)",
+    "  --ocr-lang        Tesseract language codes, e.g. eng+chi_sim (default: derived from --lang)",
+    "  --keep-raw        Keep PDF page furniture: running headers/footers, page numbers, TOC/index pages, hyphenated and hard-wrapped lines",
+    "  --no-assets       Do not extract PDF images into assets/ (smaller packs, faster compiles)",
+    "  --enrich          Summarize each skill with a local model: openai (OpenAI-compatible) | ollama",
+    "  --enrich-url      Model endpoint base URL (default: http://localhost:8080/v1 or http://localhost:11434)",
+    "  --enrich-model    Model name (default: gpt-4o-mini | llama3.1); API key from PDF2SKILL_ENRICH_API_KEY",
+    "  --embed-model     Local ONNX sentence-embedding model folder: semantic dependency edges (compile) and ranking (route, serve-mcp)",
+    "  --dedup           Near-duplicate blocks/chunks across inputs keep the longest or newest (last input) copy, or off (default: longest)",
+    "  --budget          Over --max-chunks: merge neighbours, move low-value chunks to an appendix, or group them under overview skills (default: merge)",
+    "  --config, -c      Config file (default: ./pdf2skill.config.json or ./pdf2skill.config.js if present)",
+    `  --profile         Named tuning profile: ${Object.keys(PROFILES).join("|")} or one defined in the config file`,
+    "  --pack, -p        Compiled pack folder or zip (route, validate, serve-mcp)",
+    "  --limit           Max routed skills to print (route, default: 5)",
+    "  --old, --new      Packs to compare (diff)",
+    "  --strict          Fail on warnings too (validate)",
+    `  --max-file-kb     Largest allowed pack file (validate, default: ${MAX_FILE_KB})`,
+    "  --store           API key file (users, default: USERS_FILE or web-data/users.json)",
+    "  --json            Print machine-readable output (route, diff, validate, users)",
     "  --help, -h        Show help",
   ].join("\n");
 
@@ -26,7 +87,7 @@ function printHelp() {
 }
 
 function parseArgs(argv) {
-  const args = { outdir: process.cwd(), maxChunks: 24, minScore: 55, lang: "auto", inputs: [] };
+  const args = { inputs: [], dictionaries: [] };
   for (let i = 2; i < argv.length; i += 1) {
     const key = argv[i];
     const val = argv[i + 1];
@@ -65,6 +126,91 @@ function parseArgs(argv) {
       i += 1;
       continue;
     }
+    if (key === "--weighting") {
+      args.weighting = String(val || "bm25").toLowerCase();
+      i += 1;
+      continue;
+    }
+    if (key === "--dict") {
+      args.dictionaries.push(val);
+      i += 1;
+      continue;
+    }
+    if (key === "--cache-dir") {
+      args.cacheDir = val;
+      i += 1;
+      continue;
+    }
+    if (key === "--no-cache") {
+      args.noCache = true;
+      continue;
+    }
+    if (key === "--clear-cache") {
+      args.clearCache = true;
+      continue;
+    }
+    if (key === "--no-ocr") {
+      args.noOcr = true;
+      continue;
+    }
+    if (key === "--keep-raw") {
+      args.keepRaw = true;
+      continue;
+    }
+    if (key === "--no-assets") {
+      args.noAssets = true;
+      continue;
+    }
+    if (key === "--ocr-lang") {
+      args.ocrLang = val;
+      i += 1;
+      continue;
+    }
+    if (key === "--enrich") {
+      args.enrich = String(val || "").toLowerCase();
+      i += 1;
+      continue;
+    }
+    if (key === "--enrich-url") {
+      args.enrichUrl = val;
+      i += 1;
+      continue;
+    }
+    if (key === "--enrich-model") {
+      args.enrichModel = val;
+      i += 1;
+      continue;
+    }
+    if (key === "--embed-model") {
+      args.embedModel = val;
+      i += 1;
+      continue;
+    }
+    if (key === "--dedup") {
+      args.dedup = String(val || "").toLowerCase();
+      i += 1;
+      continue;
+    }
+    if (key === "--budget") {
+      args.budget = String(val || "").toLowerCase();
+      i += 1;
+      continue;
+    }
+    if (key === "--config" || key === "-c") {
+      args.config = val;
+      i += 1;
+      continue;
+    }
+    if (key === "--profile") {
+      args.profile = val;
+      i += 1;
+      continue;
+    }
+    if (key === "--target" || key === "-t") {
+      args.targets = (args.targets || []).concat(val);
+      i += 1;
+      continue;
+    }
   }
   args.inputs = args.inputs
     .flatMap((x) => String(x).split(","))
@@ -73,544 +219,570 @@ function parseArgs(argv) {
   return args;
 }
 
-const STOPWORDS = new Set([
-  "the", "and", "for", "with", "this", "that", "from", "into", "your", "when", "where", "what", "which", "will",
-  "are", "is", "to", "of", "on", "in", "by", "or", "as", "an", "a", "be", "at", "it", "if", "else", "then",
-  "我们", "你们", "他们", "可以", "需要", "进行", "以及", "通过", "一个", "一种", "这些", "那些", "为了", "相关",
-  "使用", "方法", "步骤", "说明", "内容", "处理", "系统", "模块", "结果", "生成", "分析", "执行", "支持", "包括",
-]);
-
-const STOPWORDS_EN = new Set([
-  "the", "and", "for", "with", "this", "that", "from", "into", "your", "when", "where", "what", "which", "will",
-  "are", "is", "to", "of", "on", "in", "by", "or", "as", "an", "a", "be", "at", "it", "if", "else", "then",
-  "can", "should", "could", "would", "using", "used", "use", "also", "such", "than", "been", "was", "were",
-]);
-
-const STOPWORDS_ZH = new Set([
-  "我们", "你们", "他们", "可以", "需要", "进行", "以及", "通过", "一个", "一种", "这些", "那些", "为了", "相关",
-  "使用", "方法", "步骤", "说明", "内容", "处理", "系统", "模块", "结果", "生成", "分析", "执行", "支持", "包括",
-  "实现", "进行中", "提供", "根据", "其中", "如何", "什么", "为什么", "然后", "否则", "如果", "当", "并且",
-]);
-
-const CONDITIONAL_PATTERNS = [
-  /\bif\b.+\bthen\b/gi,
-  /\bif\b.+/gi,
-  /\bwhen\b.+/gi,
-  /\bunless\b.+/gi,
-  /\belse\b.+/gi,
-  /如果.+/g,
-  /若.+/g,
-  /当.+/g,
-  /否则.+/g,
-  /异常.+/g,
-];
-
-const STEP_PATTERNS = [
-  /^\s*(\d+[.)、]|[-*])\s+(.+)/,
-  /^\s*(第[一二三四五六七八九十0-9]+步)\s*[：:、]?\s*(.+)$/,
-];
-
-function slugify(name) {
-  return String(name)
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9\u4e00-\u9fa5]+/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "");
-}
+function parseRouteArgs(argv) {
+  const args = { limit: 5, json: false, words: [] };
+  for (let i = 3; i < argv.length; i += 1) {
+    const key = argv[i];
+    const val = argv[i + 1];
 
-function toTitle(line, index) {
-  const clean = line
-    .replace(/^[-*#\d.\s]+/, "")
-    .replace(/[。.!?；;:：]+$/, "")
-    .trim();
-  if (!clean) {
-    return `skill-${String(index + 1).padStart(3, "0")}`;
+    if (key === "--help" || key === "-h") {
+      args.help = true;
+      return args;
+    }
+    if (key === "--pack" || key === "-p") {
+      args.pack = val;
+      i += 1;
+      continue;
+    }
+    if (key === "--lang") {
+      args.lang = String(val || "auto").toLowerCase();
+      i += 1;
+      continue;
+    }
+    if (key === "--min-score") {
+      args.minScore = Number.parseInt(val, 10);
+      i += 1;
+      continue;
+    }
+    if (key === "--limit") {
+      args.limit = Number.parseInt(val, 10);
+      i += 1;
+      continue;
+    }
+    if (key === "--embed-model") {
+      args.embedModel = val;
+      i += 1;
+      continue;
+    }
+    if (key === "--json") {
+      args.json = true;
+      continue;
+    }
+    args.words.push(key);
   }
-  return clean.length > 42 ? clean.slice(0, 42) : clean;
+  args.query = args.words.join(" ").trim();
+  return args;
 }
 
-function normalizeText(text) {
-  return text
-    .replace(/\r/g, "")
-    .replace(/\t/g, " ")
-    .replace(/[ \u00A0]+/g, " ")
-    .replace(/\n{3,}/g, "\n\n")
-    .trim();
+async function runRoute() {
+  const args = parseRouteArgs(process.argv);
+  if (args.help || !args.pack || !args.query) {
+    printHelp();
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const pack = await readPack(args.pack);
+  const embed = resolveEmbedOptions(args.embedModel);
+  const semantic = embed ? await semanticRouting(pack, args.query, embed) : null;
+  if (embed && !semantic) {
+    process.stderr.write("pdf2skill-lite: pack has no embeddings, using keyword routing\n");
+  }
+  const result = routePack(pack, args.query, {
+    lang: LANG_MODES.includes(args.lang) ? args.lang : undefined,
+    minScore: args.minScore,
+    limit: args.limit,
+    ...semantic,
+  });
+
+  process.stdout.write(`${args.json ? JSON.stringify(result, null, 2) : formatRouteResult(result)}\n`);
 }
 
-function splitSemanticBlocks(text) {
-  const blocks = text
-    .split(/\n\n+/)
-    .map((x) => x.trim())
-    .filter(Boolean)
-    .filter((x) => x.replace(/\s+/g, "").length >= 40);
+// Layers the config file (`--config`, or pdf2skill.config.json/.js in the
+// working directory) and `--profile` under the command-line flags.
+function resolveArgs(args) {
+  const config = loadConfig(args.config);
+  const resolved = resolveCompileOptions(config, args.profile, {
+    inputs: args.inputs.length > 0 ? args.inputs.map((p) => path.resolve(p)) : undefined,
+    name: args.name,
+    outdir: args.outdir ? path.resolve(args.outdir) : undefined,
+    targets: args.targets,
+    lang: args.lang,
+    maxChunks: Number.isFinite(args.maxChunks) ? args.maxChunks : undefined,
+    minScore: Number.isFinite(args.minScore) ? args.minScore : undefined,
+    weighting: args.weighting,
+    dictionaries: args.dictionaries.length > 0 ? args.dictionaries.map((p) => path.resolve(p)) : undefined,
+    cacheDir: args.cacheDir ? path.resolve(args.cacheDir) : undefined,
+    ocr: args.noOcr ? false : undefined,
+    ocrLang: args.ocrLang,
+    keepRaw: args.keepRaw || undefined,
+    assets: args.noAssets ? false : undefined,
+    enrich: args.enrich ? { provider: args.enrich, baseUrl: args.enrichUrl, model: args.enrichModel } : undefined,
+    embedModel: args.embedModel ? path.resolve(args.embedModel) : undefined,
+    dedup: args.dedup,
+    budget: args.budget,
+  });
+  return {
+    ...resolved,
+    inputs: resolved.inputs || [],
+    outdir: resolved.outdir || process.cwd(),
+    targets: parseTargets(resolved.targets),
+    noCache: args.noCache,
+    clearCache: args.clearCache,
+    configFile: config ? config.file : null,
+  };
+}
 
-  return blocks;
+function compileOptions(options) {
+  return {
+    inputs: options.inputs,
+    name: options.name,
+    lang: LANG_MODES.includes(options.lang) ? options.lang : "auto",
+    maxChunks: options.maxChunks,
+    minScore: options.minScore,
+    weighting: options.weighting,
+    dictionaries: options.dictionaries,
+    cacheDir: options.noCache ? null : path.resolve(options.cacheDir || path.join(options.outdir, ".pdf2skill-cache")),
+    ocr: options.ocr,
+    ocrLang: options.ocrLang,
+    keepRaw: options.keepRaw,
+    assets: options.assets,
+    enrich: options.enrich
+      ? { ...options.enrich, apiKey: process.env.PDF2SKILL_ENRICH_API_KEY }
+      : null,
+    embedModel: options.embedModel,
+    dedup: options.dedup,
+    budget: options.budget,
+    tuning: options.tuning,
+    profile: options.profile,
+  };
 }
 
-function chunkBlocks(blocks, maxChunks) {
-  const chunks = [];
-  let current = [];
-  let currentWords = 0;
-  const targetMinWords = 140;
-  const targetMaxWords = 280;
-
-  for (const block of blocks) {
-    const words = block.split(/\s+/).filter(Boolean).length;
-    if (
-      current.length > 0 &&
-      (currentWords + words > targetMaxWords || currentWords >= targetMinWords)
-    ) {
-      chunks.push(current.join("\n\n"));
-      current = [];
-      currentWords = 0;
-    }
-    current.push(block);
-    currentWords += words;
+async function runDiff() {
+  const rest = [];
+  const opts = { json: false };
+  for (let i = 3; i < process.argv.length; i += 1) {
+    const key = process.argv[i];
+    if (key === "--old" || key === "--new") {
+      opts[key.slice(2)] = process.argv[i + 1];
+      i += 1;
+      continue;
+    }
+    if (key === "--json") {
+      opts.json = true;
+      continue;
+    }
+    rest.push(key);
   }
-  if (current.length > 0) {
-    chunks.push(current.join("\n\n"));
+  const parsed = parseArgs([process.argv[0], process.argv[1], ...rest]);
+  if (parsed.help) {
+    printHelp();
+    process.exit(0);
   }
-
-  if (chunks.length <= maxChunks) {
-    return chunks;
+  const args = opts.new ? null : resolveArgs(parsed);
+  if (!opts.old || (!opts.new && (args.inputs.length === 0 || !args.name))) {
+    printHelp();
+    process.exit(1);
   }
 
-  const ratio = Math.ceil(chunks.length / maxChunks);
-  const reduced = [];
-  for (let i = 0; i < chunks.length; i += ratio) {
-    reduced.push(chunks.slice(i, i + ratio).join("\n\n"));
-  }
-  return reduced.slice(0, maxChunks);
-}
+  const before = await readPack(opts.old);
+  const afterFiles = opts.new ? (await readPack(opts.new)).files : (await compile(compileOptions(args))).files;
+  const report = diffPacks(before.files, afterFiles);
 
-function detectLanguage(text) {
-  const zhCount = (text.match(/[\u4e00-\u9fa5]/g) || []).length;
-  const enCount = (text.match(/[A-Za-z]/g) || []).length;
-  if (zhCount === 0 && enCount === 0) {
-    return "auto";
-  }
-  return zhCount >= enCount ? "zh" : "en";
+  process.stdout.write(`${opts.json ? JSON.stringify(report, null, 2) : formatDiffReport(report)}\n`);
 }
 
-function tokenize(text, langMode) {
-  const selectedLang = langMode === "auto" ? detectLanguage(text) : langMode;
-  if (selectedLang === "zh") {
-    const zhTokens = (text.match(/[\u4e00-\u9fa5]{2,}/g) || []).filter((x) => !STOPWORDS_ZH.has(x));
-    if (zhTokens.length > 0) {
-      return zhTokens;
+async function runValidate() {
+  const opts = { json: false, strict: false };
+  for (let i = 3; i < process.argv.length; i += 1) {
+    const key = process.argv[i];
+    if (key === "--help" || key === "-h") {
+      opts.help = true;
+    } else if (key === "--pack" || key === "-p") {
+      opts.pack = process.argv[i + 1];
+      i += 1;
+    } else if (key === "--max-file-kb") {
+      opts.maxFileKb = Number.parseInt(process.argv[i + 1], 10);
+      i += 1;
+    } else if (key === "--strict") {
+      opts.strict = true;
+    } else if (key === "--json") {
+      opts.json = true;
     }
-    return (text.toLowerCase().match(/[a-z0-9]{3,}/g) || []).filter((x) => !STOPWORDS_EN.has(x));
   }
-  if (selectedLang === "en") {
-    const enTokens = (text.toLowerCase().match(/[a-z0-9]{3,}/g) || []).filter((x) => !STOPWORDS_EN.has(x));
-    if (enTokens.length > 0) {
-      return enTokens;
-    }
-    return (text.match(/[\u4e00-\u9fa5]{2,}/g) || []).filter((x) => !STOPWORDS_ZH.has(x));
+  if (opts.help || !opts.pack) {
+    printHelp();
+    process.exit(opts.help ? 0 : 1);
   }
-  return (text.toLowerCase().match(/[a-z0-9]{3,}|[\u4e00-\u9fa5]{2,}/g) || [])
-    .filter((x) => !STOPWORDS.has(x));
-}
 
-function topKeywords(text, limit = 10, langMode = "auto") {
-  const freq = new Map();
-  for (const token of tokenize(text, langMode)) {
-    freq.set(token, (freq.get(token) || 0) + 1);
-  }
-  return Array.from(freq.entries())
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, limit)
-    .map(([k]) => k);
+  const pack = await readPack(opts.pack);
+  const report = {
+    pack: pack.source,
+    ...validatePack(pack.files, {
+      strict: opts.strict,
+      maxFileKb: Number.isFinite(opts.maxFileKb) && opts.maxFileKb > 0 ? opts.maxFileKb : undefined,
+    }),
+  };
+  process.stdout.write(`${opts.json ? JSON.stringify(report, null, 2) : formatValidationReport(report)}\n`);
+  process.exitCode = report.ok ? 0 : 1;
 }
 
-function extractSteps(text) {
-  const lines = text.split("\n");
-  const out = [];
-  for (const line of lines) {
-    for (const p of STEP_PATTERNS) {
-      const m = line.match(p);
-      if (m) {
-        const val = (m[2] || m[1] || "").trim();
-        if (val && val.length > 4) {
-          out.push(val);
-        }
-        break;
-      }
+// Edits the key store the web server reads; it picks up changes without a
+// restart. A key is printed once and only its hash is stored.
+async function runUsers() {
+  const opts = { json: false, words: [] };
+  for (let i = 3; i < process.argv.length; i += 1) {
+    const key = process.argv[i];
+    if (key === "--help" || key === "-h") {
+      opts.help = true;
+    } else if (key === "--store") {
+      opts.store = process.argv[i + 1];
+      i += 1;
+    } else if (key === "--json") {
+      opts.json = true;
+    } else {
+      opts.words.push(key);
     }
   }
-  return out.slice(0, 8);
-}
-
-function extractConditions(text) {
-  const found = [];
-  for (const p of CONDITIONAL_PATTERNS) {
-    const matches = text.match(p) || [];
-    for (const m of matches) {
-      const clean = m.replace(/\s+/g, " ").trim();
-      if (clean.length >= 8 && clean.length <= 100) {
-        found.push(clean);
-      }
-    }
+  const [action, name] = opts.words;
+  if (opts.help || !["list", "add", "rotate", "remove"].includes(action) || (action !== "list" && !name)) {
+    printHelp();
+    process.exit(opts.help ? 0 : 1);
   }
-  return Array.from(new Set(found)).slice(0, 8);
-}
 
-function estimateRoutingScore(item, queryTokens) {
-  if (!queryTokens || queryTokens.length === 0) {
-    return 60;
+  const store = createUserStore(path.resolve(opts.store || process.env.USERS_FILE || DEFAULT_USERS_FILE));
+  let result;
+  let text;
+  if (action === "list") {
+    result = store.list();
+    text = result.length > 0
+      ? result.map((u) => `${u.name}  ${u.id}  created ${u.createdAt}`).join("\n")
+      : `No users in ${store.file}`;
+  } else if (action === "remove") {
+    result = store.remove(name);
+    text = `Removed ${result.name}; their key no longer works. Packs stay in web-output/${result.id}/ until deleted.`;
+  } else {
+    result = store[action](name);
+    text = [
+      `${action === "add" ? "Added" : "New key for"} ${result.user.name} (${result.user.id}) in ${store.file}`,
+      `API key (shown once): ${result.key}`,
+    ].join("\n");
   }
-  const kw = new Set(item.keywords);
-  const overlap = queryTokens.filter((x) => kw.has(x)).length;
-  const density = Math.min(25, Math.round((item.keywords.length / 12) * 25));
-  const conditionBonus = Math.min(20, item.conditions.length * 4);
-  const stepBonus = Math.min(15, item.steps.length * 3);
-  const overlapScore = Math.min(40, overlap * 8);
-  return Math.max(0, Math.min(100, overlapScore + density + conditionBonus + stepBonus));
+  process.stdout.write(`${opts.json ? JSON.stringify(result, null, 2) : text}\n`);
 }
 
-function jaccard(a, b) {
-  const sa = new Set(a);
-  const sb = new Set(b);
-  if (sa.size === 0 && sb.size === 0) {
-    return 0;
-  }
-  let inter = 0;
-  for (const x of sa) {
-    if (sb.has(x)) {
-      inter += 1;
+// Runs until the client closes stdin. stdout carries only protocol messages.
+async function runServeMcp() {
+  const opts = {};
+  for (let i = 3; i < process.argv.length; i += 1) {
+    const key = process.argv[i];
+    if (key === "--help" || key === "-h") {
+      opts.help = true;
+    } else if (key === "--pack" || key === "-p") {
+      opts.pack = process.argv[i + 1];
+      i += 1;
+    } else if (key === "--lang") {
+      opts.lang = String(process.argv[i + 1] || "auto").toLowerCase();
+      i += 1;
+    } else if (key === "--embed-model") {
+      opts.embedModel = process.argv[i + 1];
+      i += 1;
     }
   }
-  const union = sa.size + sb.size - inter;
-  return union === 0 ? 0 : inter / union;
-}
-
-function buildDependencies(items) {
-  const deps = [];
-  for (let i = 0; i < items.length; i += 1) {
-    for (let j = 0; j < items.length; j += 1) {
-      if (i === j) {
-        continue;
-      }
-      const score = jaccard(items[i].keywords, items[j].keywords);
-      if (score >= 0.22) {
-        deps.push({
-          from: items[i].id,
-          to: items[j].id,
-          weight: Number(score.toFixed(2)),
-        });
-      }
-    }
+  if (opts.help || !opts.pack) {
+    printHelp();
+    process.exit(opts.help ? 0 : 1);
   }
 
-  const dedup = new Map();
-  for (const d of deps) {
-    const key = `${d.from}->${d.to}`;
-    dedup.set(key, d);
+  const pack = await readPack(opts.pack);
+  await serveMcp(pack, {
+    lang: LANG_MODES.includes(opts.lang) ? opts.lang : undefined,
+    embed: resolveEmbedOptions(opts.embedModel),
+  });
+}
+
+function formatOcrReport(input) {
+  const { pages, skipped, lang } = input.ocr;
+  if (skipped.length > 0) {
+    const label = skipped.length === 1 ? "p." : "pp.";
+    return `- ocr: ${input.name} ${label} ${skipped.join(", ")} skipped, no text layer (OCR disabled or tesseract/pdftoppm not installed)`;
   }
-  return Array.from(dedup.values());
+  const done = pages.map((p) => (p.error ? `p. ${p.page} failed (${p.error})` : `p. ${p.page} ${p.confidence}%`));
+  return `- ocr (${lang}): ${input.name} ${done.join(", ")}`;
 }
 
-function buildMainSkillMd(skillName, description, chunkCount) {
-  return [
-    "---",
-    `name: ${skillName}`,
-    `description: ${description}`,
-    "version: 0.1.0",
-    "---",
-    "",
-    `# ${skillName}`,
-    "",
-    "This skill pack is auto-compiled from a source PDF.",
-    "",
-    "## How it works",
-    "",
-    "- Claude/OpenCode reads `skills/index.md` to route sub-skills.",
-    "- Each `skills/skill-xxx.md` contains one atomic capability unit.",
-    "- Use this pack when user intent matches a topic in the source book/manual.",
-    "",
-    "## Routing",
-    "",
-    "When request includes concepts, methods, procedures, troubleshooting, or checklist",
-    "from this domain, select the most relevant atomic skill in `skills/index.md`.",
-    "",
-    `## Stats\n\n- Generated atomic skills: ${chunkCount}`,
-    "- Routing metadata: `skills/routes.json`",
-    "- Dependency graph: `skills/dependency-graph.md`",
-  ].join("\n");
+function pageList(pages) {
+  return `${pages.length === 1 ? "p." : "pp."} ${pages.join(", ")}`;
 }
 
-function buildAtomicSkillMd(index, title, content, keywords, steps, conditions) {
-  const id = `skill-${String(index + 1).padStart(3, "0")}`;
+// Silent when nothing was stripped or rejoined.
+function formatCleanupReport(input) {
+  const c = input.cleanup;
+  const stripped = [
+    c.repeated.length > 0 ? `${c.repeated.length} running headers/footers` : "",
+    c.pageNumbers > 0 ? `${c.pageNumbers} page numbers` : "",
+    c.copyright > 0 ? `${c.copyright} copyright lines` : "",
+    c.tocPages.length > 0 ? `contents ${pageList(c.tocPages)}` : "",
+    c.indexPages.length > 0 ? `index ${pageList(c.indexPages)}` : "",
+  ].filter(Boolean);
+  const rejoined = [
+    c.hyphenated > 0 ? `${c.hyphenated} hyphenated` : "",
+    c.wrapped > 0 ? `${c.wrapped} wrapped` : "",
+  ].filter(Boolean);
+  if (stripped.length === 0 && rejoined.length === 0) {
+    return [];
+  }
+  const parts = [
+    stripped.length > 0 ? `stripped ${stripped.join(", ")} (${c.removedLines} lines)` : "",
+    rejoined.length > 0 ? `rejoined ${rejoined.join(" and ")} lines` : "",
+  ].filter(Boolean);
   return [
-    "---",
-    `name: ${id}`,
-    `description: ${title}`,
-    "---",
-    "",
-    `# ${title}`,
-    "",
-    "## Trigger",
-    "",
-    `Use this skill when the user asks about: ${title}`,
-    "",
-    `**Keywords**: ${keywords.join(", ")}`,
-    "",
-    "## Input",
-    "",
-    "- User objective",
-    "- Current constraints and context",
-    "",
-    "## Procedure",
-    "",
-    "1. Extract the user's concrete target.",
-    "2. Map target to the applicable rules/methods below.",
-    "3. Output a concise, actionable plan.",
-    "",
-    "## Extracted Steps",
-    "",
-    ...(steps.length > 0 ? steps.map((s, idx2) => `${idx2 + 1}. ${s}`) : ["1. No explicit numbered steps found in source."]),
-    "",
-    "## Conditions / Branches",
-    "",
-    ...(conditions.length > 0 ? conditions.map((c) => `- ${c}`) : ["- No explicit IF/ELSE style branch found in source."]),
-    "",
-    "## Knowledge",
-    "",
-    content,
-  ].join("\n");
+    `- cleanup: ${input.name} ${parts.join("; ")}`,
+    ...c.repeated.map((r) => `  - "${r.text}" (${r.pages} pages)`),
+  ];
 }
 
-function buildIndexMd(items, minScore) {
-  const lines = [
-    "# Skill Index",
-    "",
-    "This file routes user requests to atomic skills.",
-    "",
-    `Routing score cutoff: ${minScore}`,
-    "",
-    "| Skill ID | Topic | Trigger Hint | Base Score |",
-    "|---|---|---|---|",
-  ];
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
 
-  for (const item of items) {
-    lines.push(`| ${item.id} | ${item.title} | ${item.trigger} | ${item.baseScore} |`);
+// Silent for inputs without images.
+function formatFiguresReport(figures) {
+  const found = figures.images + figures.skipped.length;
+  const failed = (figures.failed || []).map((x) => `  ! ${x.source}: image extraction failed (${x.error})`);
+  if (found === 0) {
+    return failed;
   }
-  return lines.join("\n");
+  const small = figures.skipped.filter((x) => x.reason === "small").length;
+  const large = figures.skipped.length - small;
+  const notes = [
+    small > 0 ? `${small} too small` : "",
+    large > 0 ? `${large} too large` : "",
+    figures.repeated.length > 0 ? `${figures.repeated.length} repeated across pages` : "",
+    figures.unplaced.length > 0 ? `${figures.unplaced.length} outside any skill` : "",
+    figures.overBudget.length > 0 ? `${figures.overBudget.length} over maxAssetsKb` : "",
+  ].filter(Boolean);
+  return [
+    `- figures: ${found} images, ${figures.files} written to assets/ (${formatBytes(figures.bytes)}) and linked from ${figures.skills} skills${notes.length > 0 ? `; skipped ${notes.join(", ")}` : ""}`,
+    ...failed,
+  ];
 }
 
-function buildDependencyGraphMd(items, deps) {
-  const lines = [
-    "# Dependency Graph",
-    "",
-    "```mermaid",
-    "graph LR",
+// Chunk-level collapses are listed; block-level ones only counted (the
+// manifest has them all).
+function formatDedupReport(dedup) {
+  const chunks = dedup.collapsed.filter((c) => c.level === "chunk");
+  return [
+    `- dedup (${dedup.policy}, >= ${dedup.threshold}): ${dedup.blocks} duplicate blocks and ${dedup.chunks} duplicate chunks collapsed`,
+    ...chunks.flatMap((c) => [
+      `  = kept ${c.kept.path.join(" > ") || "(untitled)"} [${c.kept.pages}]`,
+      ...c.removed.map((r) => `    dropped ${r.path.join(" > ") || "(untitled)"} [${r.pages}] (${r.similarity})`),
+    ]),
   ];
-  for (const item of items) {
-    lines.push(`  ${item.id}["${item.id}: ${item.title.replace(/"/g, "'")}"]`);
-  }
-  for (const d of deps) {
-    lines.push(`  ${d.from} -->|${d.weight}| ${d.to}`);
-  }
-  lines.push("```");
-  lines.push("");
-  lines.push("## Notes");
-  lines.push("");
-  lines.push("- Edge weight is keyword-overlap similarity (Jaccard).", "- Use stronger links first when composing multi-skill answers.");
-  return lines.join("\n");
 }
 
-function buildRoutesJson(items, deps, minScore) {
-  return JSON.stringify(
-    {
-      version: "0.2.0",
-      minScore,
-      skills: items.map((x) => ({
-        id: x.id,
-        title: x.title,
-        trigger: x.trigger,
-        baseScore: x.baseScore,
-        keywords: x.keywords,
-      })),
-      dependencies: deps,
-    },
-    null,
-    2
-  );
-}
+const BUDGET_LIST_LIMIT = 10;
 
-function ensureDir(dir) {
-  fs.mkdirSync(dir, { recursive: true });
+function listTitles(entries, format) {
+  const more = entries.length - BUDGET_LIST_LIMIT;
+  return entries
+    .slice(0, BUDGET_LIST_LIMIT)
+    .map(format)
+    .concat(more > 0 ? [`    ... ${more} more in the manifest`] : []);
 }
 
-async function writeZip(zipPath, files) {
-  const zip = new JSZip();
-  for (const f of files) {
-    zip.file(f.relativePath.replace(/\\/g, "/"), f.content);
+// Silent when everything fit in `maxChunks`.
+function formatBudgetReport(budget) {
+  const head = `- budget (${budget.mode}, max ${budget.maxChunks}): ${budget.chunks} chunks`;
+  if (budget.mode === "merge") {
+    if (budget.merged.length === 0) {
+      return [];
+    }
+    return [
+      `${head} merged into ${budget.kept} skills`,
+      ...listTitles(budget.merged, (m) => `  + ${m.title} (${m.parts} chunks merged)`),
+    ];
   }
-
-  const buffer = await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
-  fs.writeFileSync(zipPath, buffer);
+  if (budget.dropped) {
+    return [
+      `${head}, kept ${budget.kept}, moved ${budget.dropped.length} to ${budget.dropped[0].file}`,
+      ...listTitles(budget.dropped, (d) => `  - ${d.title} (score ${d.score})`),
+    ];
+  }
+  if (budget.parents) {
+    return [
+      `${head}, kept ${budget.kept}, grouped ${budget.parents.reduce((n, p) => n + p.children.length, 0)} under ${budget.parents.length} overview skills`,
+      ...listTitles(budget.parents, (p) => `  > ${p.title}: ${p.children.length} sections`),
+    ];
+  }
+  return [];
 }
 
-function writePlainFiles(baseDir, files) {
-  for (const f of files) {
-    const abs = path.join(baseDir, f.relativePath);
-    ensureDir(path.dirname(abs));
-    fs.writeFileSync(abs, f.content, "utf8");
+const COMMANDS = {
+  route: runRoute,
+  diff: runDiff,
+  validate: runValidate,
+  "serve-mcp": runServeMcp,
+  users: runUsers,
+};
+
+// The claude pack keeps its `<outdir>/<name>` folder and only drops stale
+// skill files; other folder targets are regenerated from scratch in
+// `<outdir>/<name>-<target>`.
+async function writeTarget(target, outdir, skillName) {
+  if (target.layout === "file") {
+    const file = path.resolve(outdir, target.files[0].relativePath);
+    ensureDir(outdir);
+    writePlainFiles(outdir, target.files);
+    return { name: target.name, path: file };
+  }
+  const base = target.name === "claude" ? skillName : `${skillName}-${target.name}`;
+  const root = path.resolve(outdir, base);
+  if (target.name === "claude") {
+    ensureDir(root);
+    removeStaleFiles(root, target.files);
+    removeStaleFiles(root, target.files, "references/tables");
+    removeStaleFiles(root, target.files, "references/sections");
+    removeStaleFiles(root, target.files, "references");
+    removeStaleFiles(root, target.files, "assets");
+  } else {
+    fs.rmSync(root, { recursive: true, force: true });
   }
+  writePlainFiles(root, target.files);
+  const zip = path.resolve(outdir, `${base}.zip`);
+  await writeZip(zip, target.files);
+  return { name: target.name, path: root, zip };
 }
 
 async function run() {
-  const args = parseArgs(process.argv);
-  if (args.help || args.inputs.length === 0 || !args.name) {
+  const parsed = parseArgs(process.argv);
+  if (parsed.help) {
     printHelp();
-    process.exit(args.help ? 0 : 1);
+    process.exit(0);
   }
-
-  const langMode = ["auto", "zh", "en"].includes(args.lang) ? args.lang : "auto";
-
-  const inputPaths = args.inputs.map((x) => path.resolve(x));
-  for (const inputPath of inputPaths) {
-    if (!fs.existsSync(inputPath)) {
-      throw new Error(`Input PDF not found: ${inputPath}`);
-    }
+  const args = resolveArgs(parsed);
+  if (args.inputs.length === 0 || !args.name) {
+    printHelp();
+    process.exit(1);
   }
 
-  const skillName = slugify(args.name);
-  const outRoot = path.resolve(args.outdir, skillName);
-  ensureDir(outRoot);
-
-  const extracted = [];
-  for (const inputPath of inputPaths) {
-    const dataBuffer = fs.readFileSync(inputPath);
-    const parsed = await pdfParse(dataBuffer);
-    const normalizedSingle = normalizeText(parsed.text || "");
-    if (normalizedSingle) {
-      extracted.push(`## Source: ${path.basename(inputPath)}\n\n${normalizedSingle}`);
-    }
+  const options = compileOptions(args);
+  if (args.clearCache) {
+    clearCache(options.cacheDir);
   }
-  const normalized = normalizeText(extracted.join("\n\n"));
-
-  if (!normalized) {
-    throw new Error("Failed to extract text from PDF (empty output)");
+  const result = await compile(options);
+  // Entries this compile read or wrote were just touched, so only leftovers
+  // from inputs and settings no longer in use age out.
+  pruneCache(options.cacheDir, CACHE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+
+  const written = [];
+  for (const name of args.targets) {
+    written.push(await writeTarget(buildTarget(name, result), args.outdir, result.skillName));
   }
+  result.manifest.targets = written;
 
-  const blocks = splitSemanticBlocks(normalized);
-  const chunks = chunkBlocks(blocks, Number.isFinite(args.maxChunks) ? args.maxChunks : 24);
-  const clippedChunks = chunks.filter((x) => x.replace(/\s+/g, "").length > 80);
-
-  if (clippedChunks.length === 0) {
-    throw new Error("No meaningful semantic chunks extracted from PDF");
+  const manifestPath = path.resolve(args.outdir, `${result.skillName}.manifest.json`);
+  if (args.configFile) {
+    result.manifest.config = args.configFile;
   }
-
-  const skillItems = clippedChunks.map((chunk, idx) => {
-    const firstLine = chunk.split("\n")[0] || "";
-    const title = toTitle(firstLine, idx);
-    const id = `skill-${String(idx + 1).padStart(3, "0")}`;
-    const keywords = topKeywords(chunk, 12, langMode);
-    const steps = extractSteps(chunk);
-    const conditions = extractConditions(chunk);
-    const baseScore = estimateRoutingScore({ keywords, steps, conditions }, keywords.slice(0, 5));
-    return {
-      id,
-      title,
-      trigger: title.length > 24 ? `${title.slice(0, 24)}...` : title,
-      content: chunk,
-      keywords,
-      steps,
-      conditions,
-      baseScore,
-    };
-  });
-
-  const dependencies = buildDependencies(skillItems);
-
-  const desc = `Auto-compiled from ${inputPaths.length} PDF file(s). Includes ${skillItems.length} atomic skills.`;
-
-  const files = [];
-  files.push({
-    relativePath: `SKILL.md`,
-    content: buildMainSkillMd(skillName, desc, skillItems.length),
-  });
-
-  files.push({
-    relativePath: `README.md`,
-    content: [
-      `# ${skillName}`,
-      "",
-      "Generated by pdf2skill-lite.",
-      "",
-      `Language mode: ${langMode}`,
-      `Input files: ${inputPaths.length}`,
-      "",
-      "## Files",
-      "",
-      "- `SKILL.md`: entry skill",
-      "- `skills/index.md`: router index",
-      "- `skills/skill-xxx.md`: atomic skills",
-      "- `references/source_excerpt.md`: extracted source text",
-      "",
-      "## Install",
-      "",
-      "Copy this folder to your skill directory.",
-    ].join("\n"),
-  });
-
-  files.push({
-    relativePath: `skills/index.md`,
-    content: buildIndexMd(skillItems, args.minScore),
-  });
-
-  files.push({
-    relativePath: `skills/dependency-graph.md`,
-    content: buildDependencyGraphMd(skillItems, dependencies),
-  });
-
-  files.push({
-    relativePath: `skills/routes.json`,
-    content: buildRoutesJson(skillItems, dependencies, args.minScore),
-  });
-
-  for (const item of skillItems) {
-    files.push({
-      relativePath: `skills/${item.id}.md`,
-      content: buildAtomicSkillMd(
-        Number(item.id.slice(-3)) - 1,
-        item.title,
-        item.content,
-        item.keywords,
-        item.steps,
-        item.conditions
-      ),
-    });
-  }
-
-  files.push({
-      relativePath: `references/source_excerpt.md`,
-    content: normalized.slice(0, 120000),
-  });
-
-  writePlainFiles(outRoot, files);
-
-  const zipPath = path.resolve(args.outdir, `${skillName}.zip`);
-  await writeZip(zipPath, files);
+  fs.writeFileSync(manifestPath, `${JSON.stringify(result.manifest, null, 2)}\n`, "utf8");
+  const reusedInputs = result.manifest.inputs.filter((x) => x.extraction === "cached").length;
+  const { enrichment, embedding, dedup, budget, figures, glossary } = result.manifest;
+  const ocrLines = result.manifest.inputs.filter((x) => x.ocr).map(formatOcrReport);
+  const { validation } = result;
 
   process.stdout.write(
     [
       "pdf2skill-lite done",
-      `- input files: ${inputPaths.join("; ")}`,
-      `- language mode: ${langMode}`,
-      `- skill folder: ${outRoot}`,
-      `- zip: ${zipPath}`,
-      `- generated skills: ${skillItems.length}`,
-      `- dependency edges: ${dependencies.length}`,
+      `- input files: ${result.inputs.join("; ")}`,
+      `- language mode: ${result.langMode}`,
+      `- keyword weighting: ${result.weighting}`,
+      ...(args.configFile || args.profile
+        ? [`- config: ${args.configFile || "none"}${args.profile ? `, profile ${args.profile}` : ""}`]
+        : []),
+      ...written.map((t) =>
+        t.name === "claude"
+          ? `- skill folder: ${t.path}\n- zip: ${t.zip}`
+          : `- ${t.name}: ${t.path}${t.zip ? ` (zip: ${t.zip})` : ""}`
+      ),
+      `- generated skills: ${result.skillItems.length}`,
+      `- dependency edges: ${result.dependencies.length}`,
+      `- cache: ${result.manifest.cacheDir ? `${reusedInputs}/${result.manifest.inputs.length} inputs, ${result.manifest.chunks.reused}/${result.manifest.chunks.total} chunks reused` : "disabled"}`,
+      ...ocrLines,
+      ...result.manifest.inputs.filter((x) => x.cleanup).flatMap(formatCleanupReport),
+      ...(figures ? formatFiguresReport(figures) : []),
+      `- glossary: ${glossary.terms > 0 ? `${glossary.terms} terms, ${glossary.acronyms} with acronyms (skills/glossary.md)` : "no defined terms found"}`,
+      ...(dedup ? formatDedupReport(dedup) : []),
+      ...formatBudgetReport(budget),
+      ...(enrichment
+        ? [
+            `- enrichment: ${enrichment.provider}/${enrichment.model}, ${enrichment.enriched} new, ${enrichment.cached} cached, ${enrichment.failed} fell back to heuristics`,
+            ...enrichment.errors.map((e) => `  ! ${e}`),
+          ]
+        : []),
+      ...(embedding
+        ? [`- embeddings: ${embedding.model} (${embedding.dims} dims), ${embedding.embedded} new, ${embedding.cached} cached; edges by cosine similarity`]
+        : []),
+      `- validation: ${validation.ok ? "ok" : "FAILED"} (${validation.errors.length} errors, ${validation.warnings.length} warnings)`,
+      ...validation.errors.map((e) => `  ! ${e.file}: ${e.message} [${e.code}]`),
+      ...validation.warnings.map((w) => `  ? ${w.file}: ${w.message} [${w.code}]`),
+      `- manifest: ${manifestPath}`,
     ].join("\n") + "\n"
   );
+  // The pack is still written so the failures can be inspected.
+  if (!validation.ok) {
+    process.exitCode = 1;
+  }
 }
 
-run().catch((err) => {
-  process.stderr.write(`pdf2skill-lite failed: ${err.message}\n`);
-  process.exit(1);
-});
+module.exports = {
+  compile,
+  extractPdf,
+  extractPdfImages,
+  cleanDocument,
+  detectHeading,
+  buildSections,
+  chunkSections,
+  slugify,
+  toTitle,
+  normalizeText,
+  splitSemanticBlocks,
+  chunkBlocks,
+  detectLanguage,
+  tokenize,
+  topKeywords,
+  buildCorpusStats,
+  weightedKeywords,
+  parseProcedure,
+  extractSteps,
+  extractConditions,
+  estimateRoutingScore,
+  jaccard,
+  buildDependencies,
+  buildSemanticDependencies,
+  writePlainFiles,
+  writeZip,
+  readPack,
+  readRoutes,
+  routeQuery,
+  routePack,
+  semanticRouting,
+  diffPacks,
+  validatePack,
+  serveMcp,
+  loadConfig,
+  resolveCompileOptions,
+  buildTarget,
+  pruneCache,
+  detectTables,
+  parseMarkdownTables,
+  buildGlossary,
+  findDefinitions,
+  findAcronyms,
+  expandAcronyms,
+  detectFormat,
+  SUPPORTED_EXTENSIONS,
+  LANG_MODES,
+  ENRICH_PROVIDERS,
+  PROFILES,
+  DEFAULT_TUNING,
+  TARGET_NAMES,
+  DEDUP_POLICIES,
+  BUDGET_MODES,
+};
+
+if (require.main === module) {
+  (COMMANDS[process.argv[2]] || run)().catch((err) => {
+    process.stderr.write(`pdf2skill-lite failed: ${err.message}\n`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,434 @@
+// List item markers, tried in order. `decimal` items nest by their number
+// ("2.1" under "2"); every other kind nests under whatever item is open.
+const STEP_PATTERNS = [
+  { kind: "decimal", re: /^(\d{1,2}(?:\.\d{1,2}){1,3})\.?\s+(\S.*)$/ },
+  { kind: "decimal", re: /^(\d{1,2})(?:[.)]\s+|、\s*)(\S.*)$/ },
+  { kind: "paren", re: /^[(（](\d{1,2}|[一二三四五六七八九十]{1,3})[)）]\s*(\S.*)$/ },
+  { kind: "step", re: /^(第[一二三四五六七八九十0-9]+步)\s*[：:、]?\s*(\S.*)$/ },
+  { kind: "step", re: /^(step\s+\d{1,2})\s*[:.)-]\s*(\S.*)$/i },
+  { kind: "alpha", re: /^\(?([a-z]|(?:i{1,3}|iv|vi{0,3}|ix|x))[.)]\s+(\S.*)$/ },
+  { kind: "bullet", re: /^([-*•·▪◦])\s+(\S.*)$/ },
+];
+const ROMAN = /^(?:i{1,3}|iv|vi{0,3}|ix|x)$/;
+
+// Leading-clause conditions: "If X, Y", "When X then Y", "如果X，则Y".
+const CONDITIONAL_PATTERNS = [
+  /^(?:if|when|whenever|in case|should)\s+(.+?)(?:\s+then\s+|,\s*(?:then\s+)?|:\s*)(.+)$/i,
+  /^(?:if|when|whenever|in case)\s+(.+?)[.:]?$/i,
+  /^(?:如果|若|假如|倘若|当)(.+?)(?:时)?[，,：:]\s*(?:则|就|那么|请)?(.+)$/,
+  /^(?:如果|若|假如|倘若|当)(.+?)(?:时)?[。：:]?$/,
+];
+const UNLESS_PATTERN = /^unless\s+(.+?),\s*(.+)$/i;
+// "Replace the fuse if it is blown"; not "Check if ...", which asks a question.
+const TRAILING_IF = /^(.+?)\s+(if|unless|when)\s+(.+)$/i;
+const QUESTION_VERBS = /\b(check|see|verify|determine|ask|test|know|decide|find out|confirm|whether|as|even)$/i;
+// The main clause has to be an instruction for the trailing clause to be a
+// branch: a modal ("You must ...", "Do not ...") or a leading verb ("Heal
+// the party ..."). A leading pronoun, determiner or "-s" word ("Players use
+// it ...") makes it a statement.
+const MODAL = /\b(must|should|shall|need to|needs to|have to|has to|do not|don't|never|always)\b/i;
+const NOT_IMPERATIVE = /^(?:the|a|an|this|that|these|those|it|its|they|he|she|we|you|i|there|here|some|any|each|every|all|everything|nothing|someone|everyone|[a-z]*[^s\W]s)\b/i;
+// A trailing condition ends with its sentence ("... team. 1").
+const SENTENCE_END = /[.!?](?:\s|$)/;
+const ELSE_PATTERN = /^(?:otherwise|else|if not)[,:]?\s+(.+)$/i;
+const ELSE_SPLIT = /\s*[;,]\s*(?:otherwise|else|if not)[,:]?\s+|[；，]\s*(?:否则|不然)[，,]?/i;
+const ELSE_CJK = /^(?:否则|不然)[，,]?\s*(.+)$/;
+// Guards against runaway lists in very long chunks.
+const MAX_PROCEDURE_NODES = 100;
+const MAX_DECISIONS = 50;
+const CJK = /[぀-ヿ㐀-鿿가-힯]/;
+
+function clean(text) {
+  return String(text || "")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s,，:：]+|[\s.。;；,，:：]+$/g, "")
+    .trim();
+}
+
+function joinLines(a, b) {
+  if (/-$/.test(a) && /^[a-z]/.test(b)) {
+    return `${a.slice(0, -1)}${b}`;
+  }
+  return CJK.test(a.slice(-1)) && CJK.test(b.charAt(0)) ? `${a}${b}` : `${a} ${b}`;
+}
+
+function splitSentences(text) {
+  return String(text)
+    .split(/(?<=[.!?])\s+(?=[A-Z("“])|(?<=[。！？])/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// Label path as written in manuals: "3.2", "2a", "第二步 1".
+function stepName(labels) {
+  return labels.reduce((name, label) => {
+    if (/\d$/.test(name) && /^\d/.test(label)) {
+      return `${name}.${label}`;
+    }
+    return /^\d+(?:\.\d+)*$/.test(name) && /^[a-z]+$/i.test(label) ? `${name}${label}` : `${name} ${label}`;
+  });
+}
+
+function subStepsOf(step, condition) {
+  return CJK.test(condition) ? `执行第 ${step} 步的子步骤` : `follow the sub-steps of step ${step}`;
+}
+
+function isInstruction(clause) {
+  return MODAL.test(clause) || !NOT_IMPERATIVE.test(clause);
+}
+
+// Reads one sentence as a branch `{ if, then, else }`, or null.
+function parseDecision(sentence) {
+  const text = sentence.trim();
+  const unless = UNLESS_PATTERN.exec(text);
+  if (unless) {
+    return { if: clean(unless[1]), then: null, else: clean(unless[2]) };
+  }
+  for (const p of CONDITIONAL_PATTERNS) {
+    const m = p.exec(text);
+    if (m) {
+      const [then, otherwise] = m[2] ? m[2].split(ELSE_SPLIT) : [];
+      return { if: clean(m[1]), then: clean(then) || null, else: clean(otherwise) || null };
+    }
+  }
+  const trailing = TRAILING_IF.exec(text);
+  if (trailing && !QUESTION_VERBS.test(trailing[1]) && trailing[1].split(/\s+/).length >= 2 && isInstruction(trailing[1])) {
+    const [cond, otherwise] = trailing[3].split(SENTENCE_END)[0].split(ELSE_SPLIT);
+    return trailing[2].toLowerCase() === "unless"
+      ? { if: clean(cond), then: clean(otherwise) || null, else: clean(trailing[1]) }
+      : { if: clean(cond), then: clean(trailing[1]), else: clean(otherwise) || null };
+  }
+  return null;
+}
+
+function elseClause(sentence) {
+  const m = ELSE_PATTERN.exec(sentence.trim()) || ELSE_CJK.exec(sentence.trim());
+  return m ? clean(m[1]) : null;
+}
+
+function matchItem(line, extraPatterns, stack) {
+  for (const { kind, re } of STEP_PATTERNS) {
+    const m = re.exec(line);
+    if (!m) {
+      continue;
+    }
+    let itemKind = kind;
+    if (kind === "alpha" && ROMAN.test(m[1])) {
+      // "i." after "h." is a letter; anywhere else it starts a roman list.
+      const open = stack.find((e) => e.kind === "alpha");
+      const prev = open && open.node.label ? open.node.label.charCodeAt(0) : -1;
+      itemKind = m[1].length === 1 && prev === m[1].charCodeAt(0) - 1 ? "alpha" : "roman";
+    }
+    return { kind: itemKind, label: m[1], text: m[2] };
+  }
+  for (const re of extraPatterns) {
+    const m = line.match(re);
+    if (m) {
+      return { kind: "custom", label: "", text: m[2] || m[1] || m[0] || "" };
+    }
+  }
+  return null;
+}
+
+// "2.1" is nested by its number alone; "1." and other markers by indentation
+// too, as Markdown nests them.
+function itemKey(item, indent) {
+  const depth = item.label.split(".").length;
+  return item.kind === "decimal" && depth > 1 ? `decimal:${depth}` : `${item.kind}:${indent}`;
+}
+
+function splitAtMarkers(text, markers) {
+  const children = markers.map((m, i) => ({
+    label: m[1],
+    text: text.slice(m.index + m[0].length, i + 1 < markers.length ? markers[i + 1].index : text.length).trim(),
+    children: [],
+  }));
+  return { text: text.slice(0, markers[0].index).trim(), children };
+}
+
+// "If X: a) do this. b) do that." on one line (a wrapped PDF list) holds
+// lettered sub-items; they are split off when they run a), b), ... in order.
+// So are "1.1 ...", "1.2 ..." sub-steps of item "1" that Markdown joined into
+// its paragraph.
+function splitInlineItems(text, label = "") {
+  const lettered = Array.from(text.matchAll(/(?:^|\s)([a-h])\)\s+/g));
+  if (lettered.length >= 2 && lettered.every((m, i) => m[1] === String.fromCharCode(97 + i))) {
+    return splitAtMarkers(text, lettered);
+  }
+  if (/^\d+(?:\.\d+)*$/.test(label)) {
+    // Each one starts a sentence, so "see 3.1 and 3.2" stays prose.
+    const sub = new RegExp(`(?:^|(?<=[.:;!?])\\s+)(${label.replace(/\./g, "\\.")}\\.(\\d{1,2}))\\.?\\s+(?=\\S)`, "g");
+    const dotted = Array.from(text.matchAll(sub));
+    if (dotted.length >= 2 && dotted.every((m, i) => Number(m[2]) === i + 1)) {
+      return splitAtMarkers(text, dotted);
+    }
+  }
+  return { text, children: [] };
+}
+
+// Rebuilds the list structure of `text`: numbered and lettered items nest
+// under their parents, wrapped lines (also across a page break when the
+// sentence is unfinished) are joined back, and IF/THEN/ELSE sentences become
+// branches. Returns `{ steps, decisions }`: `steps` is a tree of
+// `{ label, step, text, children, if?, then?, else?, otherwise?, restart? }`
+// (`step` is the item's full name such as "3.2" or "2a", `otherwise` marks
+// the item that is the else of the branch before it, `restart` a top-level
+// item that begins a new list), `decisions` every branch found as
+// `{ if, then, else, step }`, where `step` names the item it sits in (null
+// for prose).
+function parseProcedure(text, { stepPatterns = [], conditionPatterns = [] } = {}) {
+  const root = { children: [] };
+  const decisions = [];
+  const paragraphs = [];
+  let stack = [];
+  let last = null;
+  let paragraph = null;
+  let blank = false;
+  // A blank line or a paragraph since the last item.
+  let gap = false;
+  // The next top-level item starts a new list.
+  let restart = false;
+  let count = 0;
+
+  for (const raw of String(text).split("\n")) {
+    const line = raw.trim();
+    if (!line) {
+      blank = true;
+      gap = true;
+      paragraph = null;
+      continue;
+    }
+    if (line.startsWith("#") || line.startsWith("|")) {
+      // A heading (merged chunks) starts a new list; table rows are data.
+      if (line.startsWith("#")) {
+        stack = [];
+        restart = true;
+      }
+      last = null;
+      paragraph = null;
+      blank = false;
+      continue;
+    }
+    const indent = raw.replace(/\t/g, "    ").search(/\S/);
+    const item = matchItem(line, stepPatterns, stack);
+    if (item && item.text.trim().length > 1) {
+      const key = itemKey(item, indent);
+      const same = stack.map((e) => e.key).lastIndexOf(key);
+      if (same >= 0) {
+        stack = stack.slice(0, same);
+      } else if (gap && item.kind !== "decimal" && (stack.length === 0 || indent <= stack[0].indent)) {
+        // A new kind of list after a break is not nested in the previous one.
+        stack = [];
+        restart = true;
+      } else if (item.kind === "decimal") {
+        const depth = item.label.split(".").length;
+        while (stack.length > 0) {
+          const top = stack[stack.length - 1];
+          if ((top.kind === "decimal" && top.depth < depth) || indent > top.indent) {
+            break;
+          }
+          stack.pop();
+        }
+      }
+      const parent = stack.length > 0 ? stack[stack.length - 1].node : root;
+      // Bullet characters carry no order, so bullets are unlabelled.
+      const label = item.kind === "bullet" ? "" : item.label;
+      const node = { label, text: item.text.trim(), children: [] };
+      if (parent === root && root.children.length > 0 && (restart || /^(1|a|i|第一步|step 1)$/i.test(label))) {
+        node.restart = true;
+      }
+      if (parent === root) {
+        restart = false;
+      }
+      if (count < MAX_PROCEDURE_NODES) {
+        parent.children.push(node);
+        count += 1;
+      }
+      stack.push({ key, kind: item.kind, depth: item.label.split(".").length, indent, node });
+      last = node;
+      paragraph = null;
+      blank = false;
+      gap = false;
+      continue;
+    }
+    // Wrapped lines continue the open item; after a blank line only an
+    // unfinished sentence carries on (a page break inside a step).
+    const unfinished = last && !/[.!?。！？:：]$/.test(last.text);
+    // CJK list items often end without punctuation, so only a trailing comma
+    // marks them unfinished.
+    const carries = /^[a-z(]/.test(line) || (CJK.test(line.charAt(0)) && /[，、；,]$/.test(last ? last.text : ""));
+    if (last && (!blank || (unfinished && carries))) {
+      // A capitalised "If ..." line is a new sentence, not a wrapped one.
+      const sentence = unfinished && /^(?:If|When|Unless|Otherwise|Else)\b/.test(line);
+      last.text = joinLines(sentence ? `${last.text}.` : last.text, line);
+    } else if (paragraph !== null) {
+      paragraphs[paragraphs.length - 1] = joinLines(paragraphs[paragraphs.length - 1], line);
+      last = null;
+    } else {
+      paragraphs.push(line);
+      paragraph = paragraphs.length - 1;
+      last = null;
+    }
+    gap = gap || last === null;
+    blank = false;
+  }
+
+  const expand = (nodes) => {
+    for (const node of nodes) {
+      if (node.children.length === 0) {
+        Object.assign(node, splitInlineItems(node.text, node.label));
+      }
+      expand(node.children);
+    }
+  };
+  expand(root.children);
+
+  const seen = new Set();
+  const addDecision = (decision, step, source) => {
+    if (!decision || !decision.if || decisions.length >= MAX_DECISIONS) {
+      return null;
+    }
+    seen.add(source);
+    const out = { ...decision, step };
+    decisions.push(out);
+    return out;
+  };
+  const readSentences = (sentences, step) => {
+    let open = null;
+    for (const sentence of sentences) {
+      const otherwise = elseClause(sentence);
+      if (otherwise && open && !open.else) {
+        open.else = otherwise;
+        seen.add(sentence);
+        continue;
+      }
+      open = addDecision(parseDecision(sentence), step, sentence) || open;
+    }
+  };
+
+  // A one-sentence item that is a branch ("If X:" with sub-items, or "If X,
+  // do Y") carries it on the node; an "Otherwise ..." sibling is its else.
+  const byNode = new Map();
+  const walk = (nodes, path) => {
+    let prev = null;
+    let first = 0;
+    nodes.forEach((node, idx) => {
+      if (node.restart) {
+        first = idx;
+      }
+      // "3.2" already names its parent "3"; bullets are named by their
+      // position in their list, so the second bullet under step 2 is "2.2".
+      const own = node.label || String(idx - first + 1);
+      const labels = path.filter((l) => !own.startsWith(`${l}.`)).concat(own);
+      const step = stepName(labels);
+      node.step = step;
+      const sentences = splitSentences(node.text);
+      const otherwise = elseClause(node.text);
+      const whole = sentences.length === 1 ? parseDecision(node.text) : null;
+      if (otherwise && prev && byNode.has(prev) && !prev.else) {
+        prev.else = otherwise;
+        byNode.get(prev).else = otherwise;
+        node.otherwise = true;
+        seen.add(node.text);
+      } else if (whole) {
+        Object.assign(node, { if: whole.if, then: whole.then, else: whole.else });
+        // "If X:" branches into the item's sub-steps.
+        const then = whole.then || (node.children.length > 0 ? subStepsOf(step, whole.if) : null);
+        const decision = addDecision({ ...whole, then }, step, node.text);
+        if (decision) {
+          byNode.set(node, decision);
+        }
+      } else {
+        readSentences(sentences, step);
+      }
+      prev = node;
+      walk(node.children, labels);
+    });
+  };
+  walk(root.children, []);
+  for (const p of paragraphs) {
+    readSentences(splitSentences(p), null);
+  }
+
+  // Config patterns catch phrasings the built-in ones miss; a match counts up
+  // to the end of its sentence.
+  for (const p of conditionPatterns) {
+    for (const m of String(text).match(p) || []) {
+      const match = clean(splitSentences(m)[0]);
+      if (match.length < 8 || Array.from(seen).some((s) => s.includes(match) || match.includes(s))) {
+        continue;
+      }
+      addDecision(parseDecision(match) || { if: match, then: null, else: null }, null, match);
+    }
+  }
+
+  return { steps: root.children, decisions };
+}
+
+// Depth-first step texts, for the flat `steps` list.
+function flattenSteps(procedure) {
+  const out = [];
+  const visit = (nodes) => {
+    for (const node of nodes) {
+      out.push(node.text);
+      visit(node.children);
+    }
+  };
+  visit(procedure.steps);
+  return out;
+}
+
+// One line per branch, for the flat `conditions` list.
+function describeDecision(decision) {
+  const zh = CJK.test(decision.if);
+  if (!decision.then && decision.else) {
+    return zh ? `如果不是${decision.if}，${decision.else}` : `Unless ${decision.if}, ${decision.else}`;
+  }
+  const parts = [zh ? `如果${decision.if}` : `If ${decision.if}`];
+  if (decision.then) {
+    parts.push(zh ? `，${decision.then}` : `, then ${decision.then}`);
+  }
+  if (decision.else) {
+    parts.push(zh ? `；否则${decision.else}` : `; otherwise ${decision.else}`);
+  }
+  return parts.join("");
+}
+
+// The structured procedure plus the flat `steps` and `conditions` lists
+// (capped at `maxSteps` / `maxConditions`) that scoring and the simpler
+// outputs use. Extra step patterns are tried after the built-in markers; the
+// step text is their second capture group, else the first, else the whole
+// match. Extra condition patterns must carry the `g` flag.
+function analyzeProcedure(text, { maxSteps = 8, maxConditions = 8, stepPatterns = [], conditionPatterns = [] } = {}) {
+  const parsed = parseProcedure(text, { stepPatterns, conditionPatterns });
+  // A zero limit (the `novel` profile) turns that part off entirely.
+  const procedure = {
+    steps: maxSteps > 0 ? parsed.steps : [],
+    decisions: maxConditions > 0 ? parsed.decisions : [],
+  };
+  return {
+    procedure,
+    steps: flattenSteps(procedure).filter((s) => s.length > 4).slice(0, maxSteps),
+    conditions: procedure.decisions.map(describeDecision).slice(0, maxConditions),
+  };
+}
+
+function extractSteps(text, limit = 8, extraPatterns = []) {
+  return analyzeProcedure(text, { maxSteps: limit, stepPatterns: extraPatterns }).steps;
+}
+
+function extractConditions(text, limit = 8, extraPatterns = []) {
+  return analyzeProcedure(text, { maxConditions: limit, conditionPatterns: extraPatterns }).conditions;
+}
+
+module.exports = {
+  CONDITIONAL_PATTERNS,
+  STEP_PATTERNS,
+  parseProcedure,
+  parseDecision,
+  flattenSteps,
+  describeDecision,
+  analyzeProcedure,
+  extractSteps,
+  extractConditions,
+};
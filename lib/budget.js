@@ -0,0 +1,272 @@
+const path = require("path");
+const { mergeSourceRefs, formatSourceRef } = require("./sections");
+const { assignSkillIds } = require("./ids");
+
+// What happens when there are more chunks than `maxChunks`: `merge` folds
+// neighbours together (nothing dropped, skills get broad), `appendix` keeps the
+// highest-value chunks and moves the rest to a reference file, `hierarchy`
+// turns the rest into parent skills that link to their children's full text.
+const BUDGET_MODES = ["merge", "appendix", "hierarchy"];
+const APPENDIX_PATH = "references/appendix.md";
+const SECTIONS_DIR = "references/sections";
+const APPENDIX_PART_CHARS = 400000;
+const EXCERPT_WORDS = 60;
+// Distinct terms at which a chunk counts as fully sized.
+const DENSITY_TERMS = 40;
+const SCORE_WEIGHTS = { density: 0.4, structure: 0.3, uniqueness: 0.3 };
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function overlap(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  let inter = 0;
+  for (const token of a) {
+    if (b.has(token)) {
+      inter += 1;
+    }
+  }
+  return inter / (a.size + b.size - inter);
+}
+
+// Scores each chunk from its analysis: information density (share of distinct
+// terms, damped for very short chunks), structure (steps and conditions found)
+// and uniqueness (1 - the highest term overlap with any other chunk).
+function scoreChunks(analyses) {
+  const sets = analyses.map((a) => new Set(a.tokens));
+  return analyses.map((analysis, i) => {
+    const distinct = sets[i].size;
+    const density = analysis.tokens.length > 0
+      ? (distinct / analysis.tokens.length) * Math.min(1, distinct / DENSITY_TERMS)
+      : 0;
+    const structure = Math.min(1, (analysis.steps.length + analysis.conditions.length) / 4);
+    let closest = 0;
+    sets.forEach((other, j) => {
+      if (j !== i) {
+        closest = Math.max(closest, overlap(sets[i], other));
+      }
+    });
+    const uniqueness = 1 - closest;
+    return {
+      score: round2(
+        SCORE_WEIGHTS.density * density + SCORE_WEIGHTS.structure * structure + SCORE_WEIGHTS.uniqueness * uniqueness
+      ),
+      density: round2(density),
+      structure: round2(structure),
+      uniqueness: round2(uniqueness),
+    };
+  });
+}
+
+// Indices of the `count` best chunks, in document order. Ties go to the
+// earlier chunk.
+function topIndices(scores, count) {
+  return scores
+    .map((s, idx) => ({ idx, score: s.score }))
+    .sort((a, b) => b.score - a.score || a.idx - b.idx)
+    .slice(0, Math.max(0, count))
+    .map((x) => x.idx)
+    .sort((a, b) => a - b);
+}
+
+function sourceLine(chunk) {
+  return (chunk.sources || []).map(formatSourceRef).join("; ") || chunk.source || "";
+}
+
+function excerpt(text) {
+  const words = text.replace(/^#+\s.*$/gm, "").replace(/\s+/g, " ").trim().split(" ");
+  return words.length > EXCERPT_WORDS ? `${words.slice(0, EXCERPT_WORDS).join(" ")}...` : words.join(" ");
+}
+
+function describe(chunk, score) {
+  return { title: chunk.title, sources: sourceLine(chunk), ...score };
+}
+
+function appendixEntry(chunk, score) {
+  return [
+    `## ${chunk.title}`,
+    "",
+    `Sources: ${sourceLine(chunk)}`,
+    `Score: ${score.score} (density ${score.density}, structure ${score.structure}, uniqueness ${score.uniqueness})`,
+    "",
+    chunk.text,
+  ].join("\n");
+}
+
+// Large appendices are split so no single reference file gets unwieldy.
+function buildAppendixFiles(entries, maxChunks) {
+  const intro = [
+    "# Appendix",
+    "",
+    `Sections that did not make the ${maxChunks}-skill budget (\`--max-chunks\`). They ranked lowest on`,
+    "information density, steps/conditions and uniqueness, but are kept here in full.",
+  ].join("\n");
+  const parts = [[]];
+  let size = 0;
+  for (const entry of entries) {
+    if (size > 0 && size + entry.length > APPENDIX_PART_CHARS) {
+      parts.push([]);
+      size = 0;
+    }
+    parts[parts.length - 1].push(entry);
+    size += entry.length;
+  }
+  return parts.map((part, idx) => ({
+    relativePath: idx === 0 ? APPENDIX_PATH : APPENDIX_PATH.replace(/\.md$/, `-${idx + 1}.md`),
+    content: [idx === 0 ? intro : `# Appendix (part ${idx + 1})`, ...part].join("\n\n"),
+  }));
+}
+
+function planAppendix(chunks, scores, maxChunks) {
+  const limit = Math.max(1, maxChunks);
+  const keep = new Set(topIndices(scores, limit));
+  const dropped = chunks.map((chunk, idx) => idx).filter((idx) => !keep.has(idx));
+  const files = buildAppendixFiles(dropped.map((idx) => appendixEntry(chunks[idx], scores[idx])), limit);
+  return {
+    keep: Array.from(keep),
+    parents: [],
+    files,
+    report: {
+      dropped: dropped.map((idx) => ({ ...describe(chunks[idx], scores[idx]), file: APPENDIX_PATH })),
+    },
+  };
+}
+
+// Ways to group leftover chunks under parents, most specific first.
+const GROUPINGS = [
+  (c) => (c.path.length > 0 ? c.path[0] : `file:${c.source}`),
+  (c) => `file:${c.source}`,
+  () => "all",
+];
+
+function groupLeftovers(chunks, indices, key) {
+  const groups = new Map();
+  for (const idx of indices) {
+    const k = key(chunks[idx]);
+    groups.set(k, (groups.get(k) || []).concat(idx));
+  }
+  return Array.from(groups.entries());
+}
+
+function groupTitle(key, chunks) {
+  if (key === "all") {
+    return "Other sections";
+  }
+  if (key.startsWith("file:")) {
+    return `Other sections of ${path.basename(key.slice(5))}`;
+  }
+  const whole = chunks.every((c) => c.path.length === 1 && c.path[0] === key);
+  return whole ? key : `${key} (overview)`;
+}
+
+function parentChunk(key, children, childIds) {
+  const title = groupTitle(key, children);
+  const shared = key === "all" || key.startsWith("file:") ? [] : [key];
+  const text = [
+    `Overview of ${children.length} related sections. Each one's full text is in the linked reference file; open the one that matches the request.`,
+    ...children.map((child, n) =>
+      [
+        `### ${child.title}`,
+        "",
+        `Sources: ${sourceLine(child)}`,
+        "",
+        excerpt(child.text),
+        "",
+        `[Full text](../${SECTIONS_DIR}/${childIds[n]}.md)`,
+      ].join("\n")
+    ),
+  ].join("\n\n");
+  return {
+    source: children.every((c) => c.source === children[0].source) ? children[0].source : null,
+    path: shared,
+    part: 0,
+    title,
+    text,
+    sources: mergeSourceRefs(...children.map((c) => c.sources)),
+  };
+}
+
+function childFile(child, parentTitle, score) {
+  return [
+    `# ${child.title}`,
+    "",
+    `Part of: ${parentTitle}`,
+    `Sources: ${sourceLine(child)}`,
+    `Score: ${score.score}`,
+    "",
+    child.text,
+  ].join("\n");
+}
+
+function planHierarchy(chunks, scores, maxChunks) {
+  const limit = Math.max(1, maxChunks);
+  // Prefer grouping by heading, then by input file, giving up at most half
+  // of the atomic slots to parents; failing that, one parent holds the rest.
+  let plan = null;
+  for (const key of GROUPINGS.slice(0, -1)) {
+    for (let kept = limit - 1; kept >= Math.floor(limit / 2) && !plan; kept -= 1) {
+      const keepSet = new Set(topIndices(scores, kept));
+      const groups = groupLeftovers(chunks, chunks.map((_, idx) => idx).filter((idx) => !keepSet.has(idx)), key);
+      if (kept + groups.length <= limit) {
+        plan = { kept, groups };
+      }
+    }
+  }
+  if (!plan) {
+    const keepSet = new Set(topIndices(scores, limit - 1));
+    const rest = chunks.map((_, idx) => idx).filter((idx) => !keepSet.has(idx));
+    plan = { kept: limit - 1, groups: groupLeftovers(chunks, rest, GROUPINGS[GROUPINGS.length - 1]) };
+  }
+  const { kept, groups } = plan;
+  const keep = topIndices(scores, kept);
+  const childIds = assignSkillIds(groups.flatMap(([, members]) => members.map((idx) => chunks[idx])));
+  const files = [];
+  const parents = [];
+  const reportParents = [];
+  let offset = 0;
+  for (const [key, members] of groups) {
+    const children = members.map((idx) => chunks[idx]);
+    const ids = childIds.slice(offset, offset + members.length);
+    offset += members.length;
+    const parent = parentChunk(key, children, ids);
+    // The parent takes the document position of its first child.
+    parents.push({ at: members[0], members, chunk: parent });
+    members.forEach((idx, n) => {
+      files.push({ relativePath: `${SECTIONS_DIR}/${ids[n]}.md`, content: childFile(chunks[idx], parent.title, scores[idx]) });
+    });
+    reportParents.push({
+      title: parent.title,
+      children: members.map((idx, n) => ({ ...describe(chunks[idx], scores[idx]), file: `${SECTIONS_DIR}/${ids[n]}.md` })),
+    });
+  }
+  return { keep, parents, files, report: { parents: reportParents } };
+}
+
+// Picks which chunks stay atomic skills when `chunks` (already analyzed) are
+// over `maxChunks`. Returns the kept indices, new parent chunks with the
+// position they belong at and the indices of their children, extra reference
+// files and a report.
+function planBudget(chunks, analyses, maxChunks, mode) {
+  const scores = scoreChunks(analyses);
+  return mode === "hierarchy" ? planHierarchy(chunks, scores, maxChunks) : planAppendix(chunks, scores, maxChunks);
+}
+
+function resolveBudgetMode(value) {
+  const mode = String(value || "merge").toLowerCase();
+  if (!BUDGET_MODES.includes(mode)) {
+    throw new Error(`Unknown budget mode: ${value} (expected ${BUDGET_MODES.join("|")})`);
+  }
+  return mode;
+}
+
+module.exports = {
+  BUDGET_MODES,
+  APPENDIX_PATH,
+  SECTIONS_DIR,
+  resolveBudgetMode,
+  scoreChunks,
+  planBudget,
+};
@@ -0,0 +1,105 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Bump when extraction or analysis output changes shape so stale entries are
+// ignored instead of misread.
+const CACHE_VERSION = 3;
+// CLI compiles drop entries no compile has used for this long.
+const CACHE_MAX_AGE_DAYS = 30;
+
+function hashContent(...parts) {
+  const hash = crypto.createHash("sha256");
+  for (const part of parts) {
+    hash.update(Buffer.isBuffer(part) ? part : String(part == null ? "" : part));
+    hash.update("\0");
+  }
+  return hash.digest("hex");
+}
+
+// A JSON file cache under `<dir>/<kind>/<key>.json`. Without a directory every
+// lookup misses and nothing is written, so callers never branch on caching.
+function createCache(dir) {
+  const stats = {};
+  const count = (kind, field) => {
+    stats[kind] = stats[kind] || { hits: 0, misses: 0 };
+    stats[kind][field] += 1;
+  };
+  const fileFor = (kind, key) => path.join(dir, kind, `${key}.json`);
+
+  return {
+    enabled: Boolean(dir),
+    dir: dir || null,
+    stats,
+    get(kind, key) {
+      if (!dir) {
+        count(kind, "misses");
+        return undefined;
+      }
+      const file = fileFor(kind, key);
+      try {
+        const value = JSON.parse(fs.readFileSync(file, "utf8"));
+        const now = new Date();
+        fs.utimesSync(file, now, now);
+        count(kind, "hits");
+        return value;
+      } catch (_) {
+        count(kind, "misses");
+        return undefined;
+      }
+    },
+    set(kind, key, value) {
+      if (!dir) {
+        return;
+      }
+      const file = fileFor(kind, key);
+      const tmp = `${file}.${process.pid}.tmp`;
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(tmp, JSON.stringify(value));
+        fs.renameSync(tmp, file);
+      } catch (_) {
+        // A cache that cannot be written only costs speed.
+      }
+    },
+  };
+}
+
+// Removes entries not read or written within `maxAgeMs`; hits refresh mtime.
+function pruneCache(dir, maxAgeMs) {
+  if (!dir || !fs.existsSync(dir)) {
+    return;
+  }
+  const now = Date.now();
+  for (const kind of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!kind.isDirectory()) {
+      continue;
+    }
+    const kindDir = path.join(dir, kind.name);
+    for (const name of fs.readdirSync(kindDir)) {
+      const file = path.join(kindDir, name);
+      try {
+        if (now - fs.statSync(file).mtimeMs > maxAgeMs) {
+          fs.unlinkSync(file);
+        }
+      } catch (_) {
+        // Ignore cleanup failures.
+      }
+    }
+  }
+}
+
+// Removes every entry; only files inside the per-kind folders are touched, so a
+// mistyped `--cache-dir` cannot take other files with it.
+function clearCache(dir) {
+  pruneCache(dir, -1);
+}
+
+module.exports = {
+  CACHE_VERSION,
+  CACHE_MAX_AGE_DAYS,
+  hashContent,
+  createCache,
+  pruneCache,
+  clearCache,
+};
@@ -0,0 +1,297 @@
+const { detectHeading, bodyFontSize, headingFontSizes } = require("./sections");
+
+// Page furniture is looked for in the first and last few lines of a page.
+const ZONE_LINES = 2;
+// A header/footer must repeat on this many pages, and on this share of the
+// pages between its first and last occurrence (running heads that alternate
+// between odd and even pages still qualify).
+const MIN_REPEAT_PAGES = 3;
+const REPEAT_DENSITY = 0.4;
+const MAX_FURNITURE_CHARS = 120;
+// A line is a candidate for hard-wrap joining when it is at least this share
+// of the longest lines on its page.
+const FULL_LINE_SHARE = 0.6;
+
+const PAGE_NUMBER_PATTERNS = [
+  /^[-–—\s]*\d{1,4}[-–—\s]*$/,
+  /^(page|p\.|pg\.?)\s*\d{1,4}(\s*(of|\/)\s*\d{1,4})?$/i,
+  /^\d{1,4}\s*(\/|of)\s*\d{1,4}$/i,
+  /^[ivxlcdm]{1,7}$/,
+  /^第\s*\d+\s*页(\s*[,，/]?\s*共\s*\d+\s*页)?$/,
+];
+const COPYRIGHT = /©|\(c\)\s*\d{4}|\bcopyright\b|all rights reserved|版权所有/i;
+
+const TOC_TITLE = /^(table of contents|contents|index|目录|目次|索引)$/i;
+const TOC_LINE = /^\S.*?(\s*[.·…_]{2,}\s*(\d{1,4}|[ivxlc]{1,6})|\s+\d{1,4})$/i;
+const DOT_LEADER = /[.·_]{3,}|…/;
+const INDEX_LINE = /^[^\d,]{2,}?(,\s*\d{1,4}(\s*[-–]\s*\d{1,4})?)+$/;
+
+const LIST_ITEM = /^(\d+(\.\d+)*[.)]|\(?[a-z0-9]\)|[a-z]\.|[-•*·▪●○◦]|step\s+\d+[.:]?)\s+|^第.+步/i;
+const SENTENCE_TERMINAL = /[.!?:;。！？：；」』”"')）]$/;
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+function furnitureKey(text) {
+  return text.normalize("NFKC").toLowerCase().replace(/\d+/g, "#").replace(/\s+/g, " ").trim();
+}
+
+function isPageNumber(text) {
+  return PAGE_NUMBER_PATTERNS.some((re) => re.test(text));
+}
+
+// Indices of the first and last `ZONE_LINES` lines that still have text.
+function zoneIndices(lines) {
+  const filled = [];
+  lines.forEach((line, idx) => {
+    if (line.text) {
+      filled.push(idx);
+    }
+  });
+  return Array.from(new Set(filled.slice(0, ZONE_LINES).concat(filled.slice(-ZONE_LINES))));
+}
+
+function removeLine(page, idx) {
+  page.lines[idx] = { ...page.lines[idx], text: "", removed: true };
+}
+
+// Lines near the page edges that recur, digits aside, across many pages.
+// Lines set larger than body text are headings and never count; page numbers
+// and copyright lines are left to `stripEdges`.
+function stripRepeated(pages, bodySize) {
+  const seen = new Map();
+  pages.forEach((page, p) => {
+    for (const idx of zoneIndices(page.lines)) {
+      const line = page.lines[idx];
+      if (
+        line.text.length > MAX_FURNITURE_CHARS ||
+        isPageNumber(line.text) ||
+        COPYRIGHT.test(line.text) ||
+        (bodySize > 0 && line.fontSize >= bodySize * 1.15)
+      ) {
+        continue;
+      }
+      const key = furnitureKey(line.text);
+      const entry = seen.get(key) || { text: line.text, pages: new Set(), hits: [] };
+      entry.pages.add(p);
+      entry.hits.push([p, idx]);
+      seen.set(key, entry);
+    }
+  });
+
+  const repeated = [];
+  for (const entry of seen.values()) {
+    const order = Array.from(entry.pages);
+    const span = Math.max(...order) - Math.min(...order) + 1;
+    if (order.length < MIN_REPEAT_PAGES || order.length / span < REPEAT_DENSITY) {
+      continue;
+    }
+    for (const [p, idx] of entry.hits) {
+      removeLine(pages[p], idx);
+    }
+    repeated.push({ text: entry.text, pages: order.length });
+  }
+  return repeated;
+}
+
+// Page numbers and copyright lines left at the page edges once running
+// heads are gone.
+function stripEdges(pages) {
+  let pageNumbers = 0;
+  let copyright = 0;
+  for (const page of pages) {
+    for (const idx of zoneIndices(page.lines)) {
+      const text = page.lines[idx].text;
+      if (isPageNumber(text)) {
+        removeLine(page, idx);
+        pageNumbers += 1;
+      } else if (text.length <= 200 && COPYRIGHT.test(text)) {
+        removeLine(page, idx);
+        copyright += 1;
+      }
+    }
+  }
+  return { pageNumbers, copyright };
+}
+
+function classifyPage(page, previous) {
+  const lines = page.lines.filter((l) => l.text);
+  if (lines.length < 4) {
+    return null;
+  }
+  const titled = lines.slice(0, 3).some((l) => TOC_TITLE.test(l.text.trim()));
+  const share = (re) => lines.filter((l) => re.test(l.text)).length / lines.length;
+  // Index entries ("armor, 4, 6") also end in page numbers, so they go first.
+  const index = share(INDEX_LINE);
+  if (index >= 0.5 && (titled || index >= 0.8 || previous === "index")) {
+    return "index";
+  }
+  const toc = share(TOC_LINE);
+  if (toc >= 0.6 && (titled || share(DOT_LEADER) >= 0.3 || previous === "toc")) {
+    return "toc";
+  }
+  return null;
+}
+
+// Table-of-contents and index pages only point elsewhere in the document.
+// Continuation pages count when they follow one.
+function stripNavigationPages(pages) {
+  const found = { tocPages: [], indexPages: [] };
+  let previous = null;
+  for (const page of pages) {
+    const kind = classifyPage(page, previous);
+    if (kind) {
+      page.lines.forEach((line, idx) => {
+        if (line.text) {
+          removeLine(page, idx);
+        }
+      });
+      found[kind === "toc" ? "tocPages" : "indexPages"].push(page.number);
+    }
+    if (kind || page.lines.some((l) => l.text)) {
+      previous = kind;
+    }
+  }
+  return found;
+}
+
+function isJoinable(line, context) {
+  return Boolean(line && line.text) && !(line.cells && line.cells.length > 1) && !detectHeading(line, context);
+}
+
+// How `a` and `b` join when `b` continues the same sentence: "hyphen" drops a
+// hyphen split inside a word, "wrap" rejoins a hard-wrapped line, and null
+// keeps them apart.
+function joinKind(a, b, fullLength, context) {
+  if (!isJoinable(a, context) || !isJoinable(b, context) || LIST_ITEM.test(b.text)) {
+    return null;
+  }
+  if (Math.abs((a.fontSize || 0) - (b.fontSize || 0)) >= 0.5) {
+    return null;
+  }
+  if (/\p{L}[-\u00ad]$/u.test(a.text) && /^\p{Ll}/u.test(b.text)) {
+    return "hyphen";
+  }
+  if (a.text.length < fullLength * FULL_LINE_SHARE || SENTENCE_TERMINAL.test(a.text)) {
+    return null;
+  }
+  if (/^\p{Ll}/u.test(b.text) || (CJK.test(a.text.slice(-1)) && CJK.test(b.text[0]))) {
+    return "wrap";
+  }
+  return null;
+}
+
+function joinText(a, b, kind) {
+  if (kind === "hyphen") {
+    return a.slice(0, -1) + b;
+  }
+  return CJK.test(a.slice(-1)) && CJK.test(b[0]) ? a + b : `${a} ${b}`;
+}
+
+// Typical length of a full-width line on the page.
+function fullLineLength(lines) {
+  const lengths = lines.filter((l) => l.text && !l.cells).map((l) => l.text.length).sort((a, b) => a - b);
+  return lengths.length > 0 ? lengths[Math.floor((lengths.length - 1) * 0.9)] : 0;
+}
+
+// A paragraph that runs over a page break is moved, up to its first blank
+// line, to the end of the page where it started.
+function carryOverPages(pages, context, counts) {
+  for (let p = 0; p + 1 < pages.length; p += 1) {
+    const head = pages[p].lines.filter((l) => l.text);
+    const next = pages[p + 1].lines;
+    const first = next.findIndex((l) => l.text);
+    if (head.length === 0 || first < 0) {
+      continue;
+    }
+    const kind = joinKind(head[head.length - 1], next[first], fullLineLength(pages[p].lines), context);
+    if (!kind) {
+      continue;
+    }
+    let end = first;
+    while (end < next.length && next[end].text) {
+      end += 1;
+    }
+    const moved = next.slice(first, end);
+    pages[p].lines = pages[p].lines.concat(moved);
+    pages[p + 1].lines = next.slice(0, first).concat(next.slice(end + 1));
+    counts.pageBreaks += 1;
+  }
+}
+
+function joinLines(page, context, counts) {
+  const fullLength = fullLineLength(page.lines);
+  const out = [];
+  for (const line of page.lines) {
+    const prev = out[out.length - 1];
+    const kind = prev ? joinKind(prev, line, fullLength, context) : null;
+    if (kind) {
+      out[out.length - 1] = { ...prev, text: joinText(prev.text, line.text, kind) };
+      counts[kind === "hyphen" ? "hyphenated" : "wrapped"] += 1;
+    } else {
+      out.push(line);
+    }
+  }
+  page.lines = out;
+}
+
+// Blank lines left where furniture was removed are dropped, so they do not
+// split paragraphs; real paragraph gaps stay.
+function dropRemoved(lines) {
+  const out = [];
+  for (const line of lines) {
+    if (line.removed) {
+      continue;
+    }
+    if (!line.text && (out.length === 0 || !out[out.length - 1].text)) {
+      continue;
+    }
+    out.push(line);
+  }
+  while (out.length > 0 && !out[out.length - 1].text) {
+    out.pop();
+  }
+  return out;
+}
+
+// Strips running headers/footers, page numbers, copyright lines and
+// table-of-contents/index pages from a paged (PDF) document, then rejoins
+// words hyphenated across lines and hard-wrapped lines, including across page
+// breaks. Structured formats have no page furniture and are returned as is,
+// with a null report.
+function cleanDocument(doc) {
+  if (doc.items || !Array.isArray(doc.pages)) {
+    return { doc, report: null };
+  }
+  const pages = doc.pages.map((page) => ({ ...page, lines: page.lines.map((line) => ({ ...line })) }));
+  const bodySize = bodyFontSize(pages);
+  const context = { bodySize, headingSizes: headingFontSizes(pages, bodySize) };
+
+  const repeated = pages.length >= MIN_REPEAT_PAGES ? stripRepeated(pages, bodySize) : [];
+  const edges = stripEdges(pages);
+  const navigation = stripNavigationPages(pages);
+  const removedLines = pages.reduce((n, page) => n + page.lines.filter((l) => l.removed).length, 0);
+  for (const page of pages) {
+    page.lines = dropRemoved(page.lines);
+  }
+
+  const counts = { hyphenated: 0, wrapped: 0, pageBreaks: 0 };
+  carryOverPages(pages, context, counts);
+  for (const page of pages) {
+    joinLines(page, context, counts);
+  }
+
+  return {
+    doc: { ...doc, pages, text: pages.map((page) => page.lines.map((l) => l.text).join("\n")).join("\n\n") },
+    report: {
+      removedLines,
+      repeated,
+      pageNumbers: edges.pageNumbers,
+      copyright: edges.copyright,
+      ...navigation,
+      ...counts,
+    },
+  };
+}
+
+module.exports = {
+  cleanDocument,
+};
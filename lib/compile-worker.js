@@ -0,0 +1,43 @@
+// Child-process entry for queued web compiles. Runs one job, reports progress
+// over IPC and exits, so the parent can enforce timeouts by killing it.
+const fs = require("fs");
+const { compile } = require("./compile");
+const { writeZip } = require("./output");
+
+function send(message) {
+  if (process.connected) {
+    process.send(message);
+  }
+}
+
+async function runJob(spec) {
+  const result = await compile({
+    ...spec.options,
+    inputs: spec.inputs.map((f) => ({ name: f.name, data: fs.readFileSync(f.path) })),
+    onProgress: (progress) => send({ type: "progress", progress }),
+  });
+
+  send({ type: "progress", progress: { stage: "writing" } });
+  const tmpPath = `${spec.zipPath}.${process.pid}.tmp`;
+  await writeZip(tmpPath, result.files);
+  fs.renameSync(tmpPath, spec.zipPath);
+
+  return {
+    skillName: result.skillName,
+    skills: result.skillItems.length,
+    dependencies: result.dependencies.length,
+    files: result.files.length,
+    validation: {
+      ok: result.validation.ok,
+      errors: result.validation.errors.length,
+      warnings: result.validation.warnings.length,
+    },
+  };
+}
+
+process.once("message", (spec) => {
+  runJob(spec)
+    .then((result) => send({ type: "done", result }))
+    .catch((err) => send({ type: "error", error: err.message || "Compile failed" }))
+    .finally(() => process.disconnect());
+});
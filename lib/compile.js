@@ -0,0 +1,580 @@
+const fs = require("fs");
+const path = require("path");
+const { slugify, normalizeText } = require("./text");
+const { detectFormat, extractDocument, SUPPORTED_EXTENSIONS } = require("./formats");
+const { findOcrTools, resolveOcrLang, pagesWithoutText, ocrPages } = require("./ocr");
+const { buildSections, buildChunks, limitChunks } = require("./sections");
+const { cleanDocument } = require("./cleanup");
+const { extractPdfImages } = require("./pdf");
+const { ASSETS_DIR, FIGURES_INDEX, locateFigures, placeFigures } = require("./figures");
+const { GLOSSARY_MD, GLOSSARY_PATH, buildGlossary } = require("./glossary");
+const { resolveDedupPolicy, dedupeBlocks, dedupeChunks } = require("./dedup");
+const { APPENDIX_PATH, SECTIONS_DIR, resolveBudgetMode, planBudget } = require("./budget");
+const { tokenize } = require("./keywords");
+const { readDictionaryFiles, createSegmenter } = require("./segment");
+const { CACHE_VERSION, hashContent, createCache } = require("./cache");
+const { assignSkillIds } = require("./ids");
+const { WEIGHTING_SCHEMES, buildCorpusStats, weightedKeywords } = require("./weights");
+const { analyzeProcedure } = require("./analyze");
+const { resolveEnrichOptions, enrichChunks } = require("./enrich");
+const { EMBEDDINGS_PATH, resolveEmbedOptions, embedChunks, buildEmbeddingsJson } = require("./embed");
+const { parseMarkdownTables, flattenTables, tableToCsv } = require("./tables");
+const { DEPENDENCY_THRESHOLDS, estimateRoutingScore, buildDependencies, buildSemanticDependencies } = require("./graph");
+const { validatePack } = require("./validate");
+const { DEFAULT_TUNING, resolveTuning } = require("./config");
+const {
+  buildMainSkillMd,
+  buildAtomicSkillMd,
+  buildIndexMd,
+  buildDependencyGraphMd,
+  buildRoutesJson,
+  buildPackReadmeMd,
+} = require("./render");
+
+const LANG_MODES = ["auto", "zh", "en", "ja", "ko"];
+const USER_DICTIONARY_PATH = "references/user-dictionary.txt";
+const TABLES_DIR = "references/tables";
+// Table headers name the parameters a chunk is about, so they count extra.
+const TABLE_HEADER_BOOST = 2;
+
+// Inputs may be file paths, raw Buffers or `{ name, data }` pairs; this turns
+// each one into a named buffer with its format so the rest of the pipeline
+// never touches disk.
+function resolveInput(input, index) {
+  let source;
+  if (typeof input === "string") {
+    const abs = path.resolve(input);
+    if (!fs.existsSync(abs)) {
+      throw new Error(`Input file not found: ${abs}`);
+    }
+    source = { name: path.basename(abs), label: abs, data: fs.readFileSync(abs) };
+  } else if (Buffer.isBuffer(input)) {
+    source = { name: "", data: input };
+  } else if (input && Buffer.isBuffer(input.data)) {
+    source = { name: String(input.name || ""), data: input.data };
+  } else {
+    throw new Error(`Unsupported input at position ${index + 1}: expected a path, Buffer or { name, data }`);
+  }
+
+  const format = detectFormat(source.name, source.data);
+  if (!format) {
+    throw new Error(
+      `Unsupported input format: ${source.name || `input ${index + 1}`} (supported: ${SUPPORTED_EXTENSIONS.join(", ")})`
+    );
+  }
+  source.format = format;
+  source.name = source.name || `input-${index + 1}${format.extensions[0]}`;
+  source.label = source.label || source.name;
+  return source;
+}
+
+function pageText(page) {
+  return page.lines.map((l) => l.text).join("\n");
+}
+
+// Pages without a text layer are OCR'd when tesseract and pdftoppm are
+// installed; otherwise they are listed as skipped. The OCR language is part of
+// the cache key, so installing the tools or changing `--lang` re-extracts.
+async function extractSource(source, cache, { onPage, onOcrPage, ocr }) {
+  if (source.format.name !== "pdf") {
+    const key = hashContent(CACHE_VERSION, source.hash, source.format.name);
+    const cached = cache.get("extract", key);
+    if (cached) {
+      return { doc: cached, reused: true };
+    }
+    const doc = await extractDocument(source.format, source.data);
+    cache.set("extract", key, doc);
+    return { doc, reused: false };
+  }
+
+  const tools = ocr.enabled ? await findOcrTools() : null;
+  const ocrLang = tools ? resolveOcrLang(ocr.langMode, tools.langs, ocr.lang) : "";
+  const key = hashContent(CACHE_VERSION, source.hash, ocrLang);
+  const cached = cache.get("extract", key);
+  if (cached) {
+    return { doc: cached, reused: true };
+  }
+  const doc = await extractDocument(source.format, source.data, { onPage });
+  const missing = pagesWithoutText(doc);
+  let cacheable = true;
+  if (missing.length > 0) {
+    doc.ocr = { engine: tools ? tools.tesseract : null, lang: ocrLang || null, pages: [], skipped: [] };
+    if (tools) {
+      const { pages, report } = await ocrPages(source.data, missing, { lang: ocrLang, onPage: onOcrPage });
+      const byNumber = new Map(doc.pages.map((p) => [p.number, p]));
+      for (const page of pages) {
+        byNumber.set(page.number, page);
+      }
+      doc.pages = Array.from(byNumber.values()).sort((a, b) => a.number - b.number);
+      doc.text = doc.pages.map(pageText).join("\n\n");
+      doc.ocr.pages = report;
+      // A page that failed may succeed next time; do not pin the failure.
+      cacheable = report.every((x) => !x.error);
+    } else {
+      doc.ocr.skipped = missing;
+    }
+  }
+  if (cacheable) {
+    cache.set("extract", key, doc);
+  }
+  return { doc, reused: false };
+}
+
+// Images are cached apart from the text, so packs built without assets never
+// pay for decoding them. The size limits are part of the key.
+async function extractImages(source, cache, { minPixels, maxBytes, onPage }) {
+  const key = hashContent(CACHE_VERSION, source.hash, minPixels, maxBytes);
+  const cached = cache.get("images", key);
+  if (cached) {
+    return { ...cached, images: cached.images.map((x) => ({ ...x, png: Buffer.from(x.png, "base64") })) };
+  }
+  const result = await extractPdfImages(source.data, { minPixels, maxBytes, onPage });
+  cache.set("images", key, { ...result, images: result.images.map((x) => ({ ...x, png: x.png.toString("base64") })) });
+  return result;
+}
+
+// Tokens, steps and conditions depend only on the chunk itself (plus language,
+// dictionary and tuning), so they are cached per chunk; keyword weights are
+// not, because they depend on the whole corpus.
+function analyzeChunks(chunks, { langMode, segmenter, cache, tuning, tuningKey }) {
+  let reused = 0;
+  const keep = (token) => !tuning.stopwords.has(token);
+  const analyses = chunks.map((chunk) => {
+    const key = hashContent(
+      CACHE_VERSION,
+      langMode,
+      segmenter.dictionary,
+      tuningKey,
+      chunk.path.join("\n"),
+      chunk.text
+    );
+    const cached = cache.get("analysis", key);
+    if (cached) {
+      reused += 1;
+      return cached;
+    }
+    const text = flattenTables(chunk.text);
+    const headers = parseMarkdownTables(chunk.text).map((t) => t.header.join(" ")).join("\n");
+    const headerTokens = tokenize(headers, langMode, segmenter).filter(keep);
+    const analysis = {
+      tokens: tokenize(`${chunk.path.join("\n")}\n${text}`, langMode, segmenter)
+        .filter(keep)
+        .concat(...Array(TABLE_HEADER_BOOST).fill(headerTokens)),
+      ...analyzeProcedure(text, tuning),
+    };
+    cache.set("analysis", key, analysis);
+    return analysis;
+  });
+  return { analyses, reused };
+}
+
+// A hierarchy parent is routed on what its children say, not on its own
+// overview text of excerpts and links. Their procedures stay in the linked
+// section files, so the parent draws none.
+function combineAnalyses(children, tuning) {
+  return {
+    tokens: children.flatMap((x) => x.tokens),
+    procedure: { steps: [], decisions: [] },
+    steps: children.flatMap((x) => x.steps).slice(0, tuning.maxSteps),
+    conditions: children.flatMap((x) => x.conditions).slice(0, tuning.maxConditions),
+  };
+}
+
+// `enrichments[idx]` (from a model, may be null) overrides the heuristic
+// title, trigger, steps and conditions field by field.
+function buildSkillItems(chunks, analyses, weighting, enrichments = [], keywordsPerSkill = DEFAULT_TUNING.keywordsPerSkill) {
+  const tokenLists = analyses.map((x) => x.tokens);
+  const stats = buildCorpusStats(tokenLists);
+  const ids = assignSkillIds(chunks);
+
+  return chunks.map((chunk, idx) => {
+    const enriched = enrichments[idx] || null;
+    const title = (enriched && enriched.title) || chunk.title;
+    const leaf = chunk.path.length > 0 ? chunk.path[chunk.path.length - 1] : chunk.title;
+    const id = ids[idx];
+    const ranked = weightedKeywords(tokenLists[idx], stats, keywordsPerSkill, weighting);
+    const keywords = ranked.map((x) => x.term);
+    const weights = ranked.map((x) => x.weight);
+    const steps = enriched && enriched.steps.length > 0 ? enriched.steps : analyses[idx].steps;
+    const conditions = enriched && enriched.conditions.length > 0 ? enriched.conditions : analyses[idx].conditions;
+    const baseScore = estimateRoutingScore({ keywords, weights, steps, conditions }, keywords.slice(0, 5));
+    return {
+      id,
+      title,
+      section: chunk.path,
+      sources: chunk.sources,
+      trigger: (enriched && enriched.trigger) || (leaf.length > 24 ? `${leaf.slice(0, 24)}...` : leaf),
+      summary: enriched ? enriched.summary : "",
+      tables: parseMarkdownTables(chunk.text).map((table, n) => ({
+        ...table,
+        file: `${TABLES_DIR}/${id}-${n + 1}.csv`,
+      })),
+      enriched: Boolean(enriched),
+      content: chunk.text,
+      keywords,
+      weights,
+      steps,
+      conditions,
+      procedure: analyses[idx].procedure,
+      figures: [],
+      baseScore,
+    };
+  });
+}
+
+function buildPackFiles({
+  skillName,
+  langMode,
+  weighting,
+  dictionary,
+  embeddings,
+  inputCount,
+  skillItems,
+  dependencies,
+  edges,
+  minScore,
+  normalized,
+  budgetFiles = [],
+  assetFiles = [],
+  glossaryFiles = [],
+}) {
+  const desc = `Auto-compiled from ${inputCount} source file(s). Includes ${skillItems.length} atomic skills.`;
+  // Text that did not fit the chunk budget still has to be findable.
+  const extras = [];
+  if (budgetFiles.some((f) => f.relativePath === APPENDIX_PATH)) {
+    extras.push({ path: APPENDIX_PATH, label: "sections left out of the skill budget" });
+  }
+  if (budgetFiles.some((f) => f.relativePath.startsWith(`${SECTIONS_DIR}/`))) {
+    extras.push({ path: `${SECTIONS_DIR}/skill-xxx.md`, label: "full text of sections grouped under overview skills" });
+  }
+  if (glossaryFiles.length > 0) {
+    extras.push({ path: GLOSSARY_MD, label: "defined terms and acronyms, with the skills that use them" });
+  }
+  if (assetFiles.length > 0) {
+    extras.push({ path: FIGURES_INDEX, label: `figures from the source PDFs (images in \`${ASSETS_DIR}/\`)` });
+  }
+
+  const files = [];
+  files.push({
+    relativePath: `SKILL.md`,
+    content: buildMainSkillMd(skillName, desc, skillItems.length, extras),
+  });
+
+  files.push({
+    relativePath: `README.md`,
+    content: buildPackReadmeMd(skillName, langMode, inputCount, extras),
+  });
+
+  files.push({
+    relativePath: `skills/index.md`,
+    content: buildIndexMd(skillItems, minScore),
+  });
+
+  files.push({
+    relativePath: `skills/dependency-graph.md`,
+    content: buildDependencyGraphMd(skillItems, dependencies, edges),
+  });
+
+  files.push({
+    relativePath: `skills/routes.json`,
+    content: buildRoutesJson(skillItems, dependencies, {
+      minScore,
+      langMode,
+      weighting,
+      dictionary: dictionary ? USER_DICTIONARY_PATH : undefined,
+      embeddings: embeddings ? EMBEDDINGS_PATH : undefined,
+      glossary: glossaryFiles.length > 0 ? GLOSSARY_PATH : undefined,
+    }),
+  });
+
+  if (embeddings) {
+    files.push({ relativePath: EMBEDDINGS_PATH, content: embeddings });
+  }
+
+  for (const item of skillItems) {
+    files.push({
+      relativePath: `skills/${item.id}.md`,
+      content: buildAtomicSkillMd(item),
+    });
+  }
+
+  files.push(...glossaryFiles);
+
+  const tables = skillItems.flatMap((item) =>
+    item.tables.map((table) => ({ skill: item.id, title: item.title, sources: item.sources, ...table }))
+  );
+  for (const table of tables) {
+    files.push({ relativePath: table.file, content: tableToCsv(table) });
+  }
+  if (tables.length > 0) {
+    files.push({ relativePath: `${TABLES_DIR}/tables.json`, content: JSON.stringify(tables, null, 2) });
+  }
+
+  files.push(...assetFiles);
+  files.push(...budgetFiles);
+
+  files.push({
+    relativePath: `references/source_excerpt.md`,
+    content: normalized.slice(0, 120000),
+  });
+
+  if (dictionary) {
+    files.push({
+      relativePath: USER_DICTIONARY_PATH,
+      content: dictionary,
+    });
+  }
+
+  return files;
+}
+
+async function compile(options = {}) {
+  const inputs = Array.isArray(options.inputs) ? options.inputs : [options.inputs].filter(Boolean);
+  if (inputs.length === 0) {
+    throw new Error("At least one input file is required");
+  }
+  const skillName = slugify(options.name || "");
+  if (!skillName) {
+    throw new Error("Skill name is invalid");
+  }
+
+  const langMode = LANG_MODES.includes(options.lang) ? options.lang : "auto";
+  const maxChunks = Number.isFinite(options.maxChunks) ? options.maxChunks : 24;
+  const minScore = Number.isFinite(options.minScore) ? options.minScore : 55;
+  const weighting = WEIGHTING_SCHEMES.includes(options.weighting) ? options.weighting : "bm25";
+  const enrich = resolveEnrichOptions(options.enrich);
+  const embed = resolveEmbedOptions(options.embedModel);
+  const dedupPolicy = resolveDedupPolicy(options.dedup);
+  const budgetMode = resolveBudgetMode(options.budget);
+  const ocr = { enabled: options.ocr !== false, langMode, lang: options.ocrLang };
+  const assets = options.assets !== false;
+  const tuning = resolveTuning(options.tuning);
+  const tuningSettings = { ...DEFAULT_TUNING, ...options.tuning };
+  const tuningKey = JSON.stringify(
+    ["stopwords", "stepPatterns", "conditionPatterns", "maxSteps", "maxConditions"].map((k) => tuningSettings[k])
+  );
+
+  const segmenter = createSegmenter(readDictionaryFiles(options.dictionaries));
+  const cache = createCache(options.cacheDir);
+  const sources = inputs.map(resolveInput);
+  const manifest = {
+    cacheDir: cache.dir,
+    profile: options.profile,
+    tuning: tuningSettings,
+    inputs: [],
+    chunks: { total: 0, reused: 0 },
+  };
+  const progress = typeof options.onProgress === "function" ? options.onProgress : () => {};
+
+  const extracted = [];
+  const sections = [];
+  const figures = [];
+  const imageReport = { images: 0, skipped: [], repeated: [], failed: [] };
+  for (const [fileIndex, source] of sources.entries()) {
+    source.hash = hashContent(source.data);
+    const fileInfo = { file: source.name, fileIndex: fileIndex + 1, fileCount: sources.length };
+    progress({ stage: "parsing", ...fileInfo });
+    const { doc: raw, reused } = await extractSource(source, cache, {
+      onPage: (page, pages) => progress({ stage: "parsing", ...fileInfo, page, pages }),
+      onOcrPage: (page, pages, pdfPage) => progress({ stage: "ocr", ...fileInfo, page, pages, pdfPage }),
+      ocr,
+    });
+    // Cleanup runs on every compile rather than being cached, so `--keep-raw`
+    // and cleanup fixes apply without re-parsing.
+    const { doc, report: cleanup } = options.keepRaw ? { doc: raw, report: null } : cleanDocument(raw);
+    manifest.inputs.push({
+      name: source.name,
+      sha256: source.hash,
+      format: source.format.name,
+      pages: doc.numPages,
+      extraction: reused ? "cached" : "parsed",
+      ...(doc.ocr ? { ocr: doc.ocr } : {}),
+      ...(cleanup ? { cleanup } : {}),
+    });
+    const normalizedSingle = normalizeText(doc.text);
+    if (normalizedSingle) {
+      extracted.push(`## Source: ${source.name}\n\n${normalizedSingle}`);
+    }
+    sections.push(...buildSections(doc, source.name));
+
+    if (assets && source.format.name === "pdf") {
+      progress({ stage: "images", ...fileInfo });
+      let extractedImages;
+      try {
+        extractedImages = await extractImages(source, cache, {
+          minPixels: tuning.minImagePixels,
+          maxBytes: tuning.maxImageKb * 1024,
+          onPage: (page, pages) => progress({ stage: "images", ...fileInfo, page, pages }),
+        });
+      } catch (err) {
+        // The text is already extracted; a PDF whose images pdf.js cannot
+        // read still compiles, without figures.
+        imageReport.failed.push({ source: source.name, error: err.message });
+        continue;
+      }
+      const { images, skipped } = extractedImages;
+      // A scanned page is one big image of the text it was OCR'd into.
+      const scanned = doc.ocr ? doc.ocr.pages.map((p) => p.page).concat(doc.ocr.skipped) : [];
+      const located = locateFigures(images, doc, source.name, { skipPages: scanned, keepRepeated: options.keepRaw });
+      figures.push(...located.figures);
+      imageReport.images += images.length;
+      imageReport.skipped.push(
+        ...skipped.map((x) => ({
+          source: source.name,
+          page: x.page,
+          reason: x.reason,
+          pixelWidth: x.pixelWidth,
+          pixelHeight: x.pixelHeight,
+        }))
+      );
+      imageReport.repeated.push(...located.repeated.map((x) => ({ source: x.source, pages: x.pages })));
+    }
+  }
+  const normalized = normalizeText(extracted.join("\n\n"));
+
+  if (!normalized) {
+    const skipped = manifest.inputs.filter((x) => x.ocr && x.ocr.skipped.length > 0);
+    const hint = skipped.length > 0
+      ? "; the PDF has no text layer, install tesseract and pdftoppm (poppler) to OCR it"
+      : "";
+    throw new Error(`Failed to extract text from input (empty output)${hint}`);
+  }
+
+  progress({ stage: "chunking" });
+  let candidates;
+  if (dedupPolicy !== "off" && sources.length > 1) {
+    // Collapse copies across inputs before `maxChunks` is applied, so they do
+    // not use up chunk slots.
+    const settings = {
+      policy: dedupPolicy,
+      threshold: tuning.dedupThreshold,
+      minWords: tuning.dedupMinWords,
+      order: sources.map((x) => x.name),
+    };
+    const blocks = dedupeBlocks(sections, settings);
+    const deduped = dedupeChunks(buildChunks(blocks.sections, tuning), settings);
+    candidates = deduped.chunks;
+    const collapsed = blocks.collapsed.concat(deduped.collapsed);
+    manifest.dedup = {
+      policy: dedupPolicy,
+      threshold: tuning.dedupThreshold,
+      blocks: blocks.collapsed.reduce((n, c) => n + c.removed.length, 0),
+      chunks: deduped.collapsed.reduce((n, c) => n + c.removed.length, 0),
+      collapsed,
+    };
+  } else {
+    candidates = buildChunks(sections, tuning);
+  }
+  // `appendix` and `hierarchy` rank chunks by their analysis, so they see
+  // every chunk and apply `maxChunks` afterwards.
+  const chunks = limitChunks(candidates, budgetMode === "merge" ? maxChunks : Infinity);
+  let clippedChunks = chunks.filter((x) => x.text.replace(/\s+/g, "").length > tuning.minChunkChars);
+
+  if (clippedChunks.length === 0) {
+    throw new Error("No meaningful semantic chunks extracted from input");
+  }
+
+  progress({ stage: "analyzing", chunks: clippedChunks.length });
+  const analyzeOptions = { langMode, segmenter, cache, tuning, tuningKey };
+  let { analyses, reused } = analyzeChunks(clippedChunks, analyzeOptions);
+  const analyzed = clippedChunks.length;
+  let budgetFiles = [];
+  if (budgetMode === "merge") {
+    const merged = clippedChunks.filter((x) => x.mergedFrom);
+    manifest.budget = {
+      mode: budgetMode,
+      maxChunks,
+      chunks: candidates.length,
+      kept: clippedChunks.length,
+      merged: merged.map((x) => ({ title: x.title, parts: x.mergedFrom })),
+    };
+  } else {
+    const total = clippedChunks.length;
+    manifest.budget = { mode: budgetMode, maxChunks, chunks: total, kept: total };
+    if (total > maxChunks) {
+      const plan = planBudget(clippedChunks, analyses, maxChunks, budgetMode);
+      const parentAnalyses = plan.parents.map((p) => combineAnalyses(p.members.map((idx) => analyses[idx]), tuning));
+      const positioned = plan.keep
+        .map((idx) => ({ at: idx, chunk: clippedChunks[idx], analysis: analyses[idx] }))
+        .concat(plan.parents.map((p, n) => ({ at: p.at, chunk: p.chunk, analysis: parentAnalyses[n] })))
+        .sort((a, b) => a.at - b.at);
+      clippedChunks = positioned.map((x) => x.chunk);
+      analyses = positioned.map((x) => x.analysis);
+      budgetFiles = plan.files;
+      manifest.budget = { ...manifest.budget, kept: plan.keep.length, parents: plan.parents.length, ...plan.report };
+    }
+  }
+  manifest.chunks = { total: analyzed, reused };
+
+  let enrichments = [];
+  if (enrich) {
+    const enrichment = await enrichChunks(clippedChunks, enrich, { cache, onProgress: progress });
+    enrichments = enrichment.results;
+    manifest.enrichment = enrichment.stats;
+  }
+
+  const skillItems = buildSkillItems(clippedChunks, analyses, weighting, enrichments, tuning.keywordsPerSkill);
+  const dependencyThreshold = tuning.dependencyThreshold ?? DEPENDENCY_THRESHOLDS[weighting];
+  let dependencies;
+  let embeddings = null;
+  if (embed) {
+    const embedding = await embedChunks(clippedChunks, embed, { cache, onProgress: progress });
+    manifest.embedding = embedding.stats;
+    embeddings = buildEmbeddingsJson(skillItems, embedding.vectors, embedding.stats);
+    dependencies = buildSemanticDependencies(skillItems, embedding.vectors, tuning.semanticThreshold);
+  } else {
+    dependencies = buildDependencies(skillItems, dependencyThreshold);
+  }
+  const edges = embed
+    ? { mode: "semantic", threshold: tuning.semanticThreshold }
+    : { mode: "keywords", threshold: dependencyThreshold };
+
+  let assetFiles = [];
+  if (assets) {
+    const placed = placeFigures(skillItems, figures, { maxBytes: tuning.maxAssetsKb * 1024 });
+    assetFiles = placed.files;
+    manifest.figures = { ...imageReport, ...placed.report };
+  }
+  const glossary = buildGlossary(skillItems);
+  manifest.glossary = glossary.report;
+
+  progress({ stage: "building" });
+  const files = buildPackFiles({
+    skillName,
+    langMode,
+    weighting,
+    dictionary: segmenter.dictionary,
+    embeddings,
+    inputCount: sources.length,
+    skillItems,
+    dependencies,
+    edges,
+    minScore,
+    normalized,
+    budgetFiles,
+    assetFiles,
+    glossaryFiles: glossary.files,
+  });
+  // Catch rendering bugs (unescaped titles, broken graph) before anything is
+  // written or zipped.
+  const validation = validatePack(files);
+  manifest.validation = validation;
+
+  return {
+    skillName,
+    langMode,
+    weighting,
+    inputs: sources.map((x) => x.label),
+    skillItems,
+    dependencies,
+    files,
+    manifest,
+    validation,
+  };
+}
+
+module.exports = {
+  LANG_MODES,
+  USER_DICTIONARY_PATH,
+  compile,
+};
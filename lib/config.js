@@ -0,0 +1,252 @@
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG_FILES = ["pdf2skill.config.json", "pdf2skill.config.js"];
+
+// Heuristic knobs of the compile pipeline. Patterns are strings (plain regex
+// source or `/source/flags`) so tuning survives JSON and IPC unchanged.
+const DEFAULT_TUNING = {
+  chunkMinWords: 140,
+  chunkMaxWords: 280,
+  smallSectionWords: 70,
+  minChunkChars: 80,
+  minBlockChars: 40,
+  // null: the default of the keyword weighting scheme (see graph.js).
+  dependencyThreshold: null,
+  semanticThreshold: 0.6,
+  dedupThreshold: 0.85,
+  dedupMinWords: 20,
+  keywordsPerSkill: 12,
+  maxSteps: 8,
+  maxConditions: 8,
+  minImagePixels: 48,
+  maxImageKb: 400,
+  maxAssetsKb: 10240,
+  stopwords: [],
+  stepPatterns: [],
+  conditionPatterns: [],
+};
+const NUMBER_TUNING = Object.keys(DEFAULT_TUNING).filter(
+  (k) => typeof DEFAULT_TUNING[k] === "number" || DEFAULT_TUNING[k] === null
+);
+const LIST_TUNING = Object.keys(DEFAULT_TUNING).filter((k) => Array.isArray(DEFAULT_TUNING[k]));
+
+// Compile options a config file or profile may set. Paths are resolved
+// against the config file's directory.
+const OPTION_KEYS = [
+  "inputs",
+  "name",
+  "outdir",
+  "targets",
+  "lang",
+  "maxChunks",
+  "minScore",
+  "weighting",
+  "dictionaries",
+  "cacheDir",
+  "ocr",
+  "ocrLang",
+  "keepRaw",
+  "assets",
+  "enrich",
+  "embedModel",
+  "dedup",
+  "budget",
+  "tuning",
+];
+const PATH_KEYS = ["outdir", "cacheDir", "embedModel"];
+const PATH_LIST_KEYS = ["inputs", "dictionaries"];
+
+const PROFILES = {
+  manual: {
+    description: "Manuals and handbooks: procedure-sized chunks, more steps per skill",
+    tuning: { chunkMinWords: 120, chunkMaxWords: 260, maxSteps: 12, maxConditions: 10 },
+  },
+  novel: {
+    description: "Narrative text: long chunks, fewer and stronger dependency links",
+    maxChunks: 40,
+    tuning: {
+      chunkMinWords: 400,
+      chunkMaxWords: 900,
+      smallSectionWords: 200,
+      dependencyThreshold: 0.08,
+      maxSteps: 0,
+      maxConditions: 4,
+    },
+  },
+  "api-reference": {
+    description: "API references: one small skill per endpoint or function",
+    maxChunks: 80,
+    tuning: {
+      chunkMinWords: 60,
+      chunkMaxWords: 180,
+      smallSectionWords: 30,
+      minChunkChars: 40,
+      minBlockChars: 20,
+      stopwords: ["param", "parameter", "parameters", "returns", "type", "default", "optional", "required"],
+      conditionPatterns: ["/\\b(throws?|raises?|fails?)\\b.+/gi"],
+    },
+  },
+};
+
+function parsePattern(source, flags) {
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(source);
+  try {
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(source, flags);
+  } catch (err) {
+    throw new Error(`Invalid pattern ${source}: ${err.message}`);
+  }
+}
+
+function checkTuning(tuning, where) {
+  if (tuning === undefined) {
+    return;
+  }
+  if (!tuning || typeof tuning !== "object" || Array.isArray(tuning)) {
+    throw new Error(`${where}: tuning must be an object`);
+  }
+  for (const [key, value] of Object.entries(tuning)) {
+    if (NUMBER_TUNING.includes(key)) {
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`${where}: tuning.${key} must be a non-negative number`);
+      }
+    } else if (LIST_TUNING.includes(key)) {
+      if (!Array.isArray(value)) {
+        throw new Error(`${where}: tuning.${key} must be an array`);
+      }
+    } else {
+      throw new Error(`${where}: unknown tuning key "${key}" (known: ${Object.keys(DEFAULT_TUNING).join(", ")})`);
+    }
+  }
+}
+
+function checkOptions(options, where) {
+  for (const key of Object.keys(options)) {
+    if (!OPTION_KEYS.includes(key)) {
+      throw new Error(`${where}: unknown key "${key}" (known: ${OPTION_KEYS.join(", ")})`);
+    }
+  }
+  checkTuning(options.tuning, where);
+}
+
+// RegExp objects from a .js config become `/source/flags` strings, and paths
+// become absolute, so the result is plain JSON.
+function normalizeOptions(options, baseDir) {
+  const out = { ...options };
+  for (const key of PATH_KEYS) {
+    if (typeof out[key] === "string") {
+      out[key] = path.resolve(baseDir, out[key]);
+    }
+  }
+  for (const key of PATH_LIST_KEYS) {
+    if (out[key] !== undefined) {
+      out[key] = [].concat(out[key]).map((p) => path.resolve(baseDir, String(p)));
+    }
+  }
+  if (out.tuning) {
+    out.tuning = { ...out.tuning };
+    for (const key of LIST_TUNING) {
+      if (out.tuning[key]) {
+        out.tuning[key] = out.tuning[key].map(String);
+      }
+    }
+  }
+  return out;
+}
+
+function findConfigFile(dir) {
+  for (const name of CONFIG_FILES) {
+    const file = path.join(dir, name);
+    if (fs.existsSync(file)) {
+      return file;
+    }
+  }
+  return null;
+}
+
+// Loads `pdf2skill.config.json` / `.js` from an explicit path or `dir`.
+// Returns null when there is no config file and none was asked for.
+function loadConfig(configPath, dir = process.cwd()) {
+  const file = configPath ? path.resolve(configPath) : findConfigFile(dir);
+  if (!file) {
+    return null;
+  }
+  if (!fs.existsSync(file)) {
+    throw new Error(`Config file not found: ${file}`);
+  }
+  let raw;
+  try {
+    raw = file.endsWith(".js") ? require(file) : JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid config ${file}: ${err.message}`);
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`Invalid config ${file}: expected an object`);
+  }
+
+  const { profiles = {}, ...options } = raw;
+  checkOptions(options, file);
+  const baseDir = path.dirname(file);
+  const normalizedProfiles = {};
+  for (const [name, profile] of Object.entries(profiles)) {
+    const { description, ...rest } = profile || {};
+    checkOptions(rest, `${file} profile "${name}"`);
+    normalizedProfiles[name] = { description, ...normalizeOptions(rest, baseDir) };
+  }
+  return { file, options: normalizeOptions(options, baseDir), profiles: normalizedProfiles };
+}
+
+function profileNames(config) {
+  return Array.from(new Set([...Object.keys(PROFILES), ...Object.keys((config && config.profiles) || {})]));
+}
+
+function mergeOptions(base, extra) {
+  const { description: _description, ...rest } = extra || {};
+  return {
+    ...base,
+    ...rest,
+    tuning: base.tuning || rest.tuning ? { ...base.tuning, ...rest.tuning } : undefined,
+  };
+}
+
+// Layers, later wins: config file, built-in profile, the config file's
+// profile of the same name, then `overrides` (CLI flags or web form fields).
+function resolveCompileOptions(config, profile, overrides = {}) {
+  let options = mergeOptions({}, config ? config.options : {});
+  if (profile) {
+    const builtIn = PROFILES[profile];
+    const custom = config && config.profiles[profile];
+    if (!builtIn && !custom) {
+      throw new Error(`Unknown profile "${profile}" (available: ${profileNames(config).join(", ")})`);
+    }
+    options = mergeOptions(mergeOptions(options, builtIn), custom);
+  }
+  const set = Object.fromEntries(Object.entries(overrides).filter(([, v]) => v !== undefined));
+  options = mergeOptions(options, set);
+  return { ...options, profile: profile || undefined };
+}
+
+// Fills in defaults and compiles the extra patterns; used by `compile()`.
+function resolveTuning(tuning = {}) {
+  checkTuning(tuning, "tuning");
+  const resolved = { ...DEFAULT_TUNING, ...tuning };
+  return {
+    ...resolved,
+    stopwords: new Set(resolved.stopwords.map((w) => String(w).toLowerCase())),
+    stepPatterns: resolved.stepPatterns.map((p) => parsePattern(p, "")),
+    conditionPatterns: resolved.conditionPatterns.map((p) => {
+      const re = parsePattern(p, "gi");
+      return re.global ? re : new RegExp(re.source, `${re.flags}g`);
+    }),
+  };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  DEFAULT_TUNING,
+  PROFILES,
+  loadConfig,
+  profileNames,
+  resolveCompileOptions,
+  resolveTuning,
+};
@@ -0,0 +1,282 @@
+const { mergeSourceRefs, formatSourceRef } = require("./sections");
+
+// Which copy of a near-duplicate survives. Either way the survivor cites the
+// sources of every copy it replaced.
+const DEDUP_POLICIES = ["longest", "newest", "off"];
+const SHINGLE_SIZE = 5;
+const NUM_HASHES = 64;
+// 16 bands of 4 rows: pairs above ~0.5 similarity almost always share a band.
+const BANDS = 16;
+const ROWS = NUM_HASHES / BANDS;
+
+function mix32(h) {
+  let x = h >>> 0;
+  x ^= x >>> 16;
+  x = Math.imul(x, 0x85ebca6b);
+  x ^= x >>> 13;
+  x = Math.imul(x, 0xc2b2ae35);
+  x ^= x >>> 16;
+  return x >>> 0;
+}
+
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix32(0x9e3779b9 + i));
+
+function fnv1a(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Words, with each CJK character counting as one word, so shingles work the
+// same for unsegmented text. Markdown table pipes and punctuation are ignored.
+function shingleTokens(text) {
+  return String(text || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{N}]+/gu) || [];
+}
+
+function minhash(tokens) {
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  const size = Math.min(SHINGLE_SIZE, tokens.length);
+  for (let i = 0; i + size <= tokens.length; i += 1) {
+    const h = fnv1a(tokens.slice(i, i + size).join(" "));
+    for (let k = 0; k < NUM_HASHES; k += 1) {
+      const v = mix32(h ^ SEEDS[k]);
+      if (v < signature[k]) {
+        signature[k] = v;
+      }
+    }
+  }
+  return signature;
+}
+
+// Share of equal MinHash slots: an estimate of the Jaccard similarity of the
+// two shingle sets.
+function similarity(a, b) {
+  let same = 0;
+  for (let k = 0; k < NUM_HASHES; k += 1) {
+    if (a[k] === b[k]) {
+      same += 1;
+    }
+  }
+  return same / NUM_HASHES;
+}
+
+// Groups entries `{ source, tokens }` whose estimated similarity reaches
+// `threshold`. Only pairs from different sources are compared: repetition
+// inside one document is the author's choice, not a merge artefact.
+function findClusters(entries, threshold) {
+  const signatures = entries.map((e) => minhash(e.tokens));
+  const parent = entries.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const best = new Map();
+
+  const buckets = new Map();
+  signatures.forEach((sig, i) => {
+    for (let b = 0; b < BANDS; b += 1) {
+      const key = `${b}:${sig.slice(b * ROWS, (b + 1) * ROWS).join(",")}`;
+      if (!buckets.has(key)) {
+        buckets.set(key, []);
+      }
+      buckets.get(key).push(i);
+    }
+  });
+  const seen = new Set();
+  for (const members of buckets.values()) {
+    for (let x = 0; x < members.length; x += 1) {
+      for (let y = x + 1; y < members.length; y += 1) {
+        const i = members[x];
+        const j = members[y];
+        const pair = `${i}:${j}`;
+        if (entries[i].source === entries[j].source || seen.has(pair)) {
+          continue;
+        }
+        seen.add(pair);
+        const score = similarity(signatures[i], signatures[j]);
+        if (score >= threshold) {
+          parent[find(i)] = find(j);
+          best.set(i, Math.max(best.get(i) || 0, score));
+          best.set(j, Math.max(best.get(j) || 0, score));
+        }
+      }
+    }
+  }
+
+  const clusters = new Map();
+  entries.forEach((_, i) => {
+    if (best.has(i)) {
+      const root = find(i);
+      clusters.set(root, (clusters.get(root) || []).concat(i));
+    }
+  });
+  return Array.from(clusters.values()).map((members) => members.map((i) => ({ index: i, similarity: best.get(i) })));
+}
+
+// `order` lists the input names oldest first; `newest` keeps the copy from
+// the latest input, `longest` the copy with the most words. Ties go to the
+// earlier copy.
+function pickSurvivor(members, entries, policy, order) {
+  const rank = (m) => {
+    const e = entries[m.index];
+    const age = order.indexOf(e.source);
+    return policy === "newest" ? [age, e.tokens.length] : [e.tokens.length, age];
+  };
+  return members.reduce((a, b) => {
+    const [a1, a2] = rank(a);
+    const [b1, b2] = rank(b);
+    return b1 > a1 || (b1 === a1 && b2 > a2) ? b : a;
+  });
+}
+
+function describe(source, path, refs) {
+  return { source, path, pages: refs.map(formatSourceRef).join("; ") };
+}
+
+// Drops section blocks that repeat, near-verbatim, a block from another
+// input. Blocks under `minWords` (list items, captions, short notes) are too
+// short to compare on their own; they are dropped only when identical to a
+// block of a section that already absorbed one of their section's blocks.
+// Sections left without blocks disappear. Returns the surviving sections and
+// one report entry per collapsed cluster.
+function dedupeBlocks(sections, { policy, threshold, minWords, order }) {
+  const entries = [];
+  sections.forEach((section, s) => {
+    section.blocks.forEach((block, b) => {
+      const tokens = shingleTokens(block.text);
+      if (tokens.length >= minWords) {
+        entries.push({ source: section.source, section: s, block: b, tokens });
+      }
+    });
+  });
+
+  const removed = new Set();
+  const alsoIn = new Map();
+  const absorbedBy = new Map();
+  const collapsed = [];
+  const refOf = (e) => {
+    const block = sections[e.section].blocks[e.block];
+    return { file: e.source, pageStart: block.pageStart, pageEnd: block.pageEnd };
+  };
+  const addAlsoIn = (key, refs) => alsoIn.set(key, (alsoIn.get(key) || []).concat(refs));
+  for (const members of findClusters(entries, threshold)) {
+    const keep = pickSurvivor(members, entries, policy, order);
+    const kept = entries[keep.index];
+    const dropped = members.filter((m) => entries[m.index].source !== kept.source);
+    addAlsoIn(`${kept.section}:${kept.block}`, dropped.map((m) => refOf(entries[m.index])));
+    for (const m of dropped) {
+      const e = entries[m.index];
+      removed.add(`${e.section}:${e.block}`);
+      absorbedBy.set(e.section, (absorbedBy.get(e.section) || new Set()).add(kept.section));
+    }
+    collapsed.push({
+      level: "block",
+      kept: describe(kept.source, sections[kept.section].path, [refOf(kept)]),
+      removed: dropped.map((m) => ({
+        ...describe(entries[m.index].source, sections[entries[m.index].section].path, [refOf(entries[m.index])]),
+        similarity: Number(m.similarity.toFixed(2)),
+      })),
+    });
+  }
+
+  const exact = (block) => shingleTokens(block.text).join(" ");
+  for (const [s, targets] of absorbedBy) {
+    sections[s].blocks.forEach((block, b) => {
+      const size = shingleTokens(block.text).length;
+      if (removed.has(`${s}:${b}`) || size === 0 || size >= minWords) {
+        return;
+      }
+      for (const t of targets) {
+        const match = sections[t].blocks.findIndex((other, o) => !removed.has(`${t}:${o}`) && exact(other) === exact(block));
+        if (match >= 0) {
+          const ref = { file: sections[s].source, pageStart: block.pageStart, pageEnd: block.pageEnd };
+          const keptBlock = sections[t].blocks[match];
+          removed.add(`${s}:${b}`);
+          addAlsoIn(`${t}:${match}`, [ref]);
+          collapsed.push({
+            level: "block",
+            kept: describe(sections[t].source, sections[t].path, [
+              { file: sections[t].source, pageStart: keptBlock.pageStart, pageEnd: keptBlock.pageEnd },
+            ]),
+            removed: [{ ...describe(sections[s].source, sections[s].path, [ref]), similarity: 1 }],
+          });
+          return;
+        }
+      }
+    });
+  }
+
+  const out = sections
+    .map((section, s) => {
+      const blocks = section.blocks
+        .map((block, b) => {
+          const key = `${s}:${b}`;
+          if (removed.has(key)) {
+            return null;
+          }
+          const refs = alsoIn.get(key);
+          return refs ? { ...block, alsoIn: (block.alsoIn || []).concat(refs) } : block;
+        })
+        .filter(Boolean);
+      const changed = blocks.length !== section.blocks.length || blocks.some((b, i) => b !== section.blocks[i]);
+      return changed ? { ...section, blocks, text: blocks.map((b) => b.text).join("\n\n") } : section;
+    })
+    .filter((section) => section.blocks.length > 0);
+  return { sections: out, collapsed };
+}
+
+// Same for whole chunks (from `buildChunks`), which catches copies whose
+// paragraphs were split or reflowed differently. The survivor's sources are
+// merged with those of the dropped copies.
+function dedupeChunks(chunks, { policy, threshold, minWords, order }) {
+  const entries = chunks
+    .map((chunk, chunkIndex) => ({ source: chunk.source, chunk: chunkIndex, tokens: shingleTokens(chunk.text) }))
+    .filter((e) => e.tokens.length >= minWords);
+  const removed = new Set();
+  const out = chunks.slice();
+  const collapsed = [];
+  for (const members of findClusters(entries, threshold)) {
+    const keep = pickSurvivor(members, entries, policy, order);
+    const kept = chunks[entries[keep.index].chunk];
+    const dropped = members
+      .filter((m) => entries[m.index].source !== kept.source)
+      .map((m) => ({ chunk: chunks[entries[m.index].chunk], index: entries[m.index].chunk, similarity: m.similarity }));
+    out[entries[keep.index].chunk] = {
+      ...kept,
+      sources: mergeSourceRefs(kept.sources, ...dropped.map((d) => d.chunk.sources)),
+    };
+    for (const d of dropped) {
+      removed.add(d.index);
+    }
+    collapsed.push({
+      level: "chunk",
+      kept: describe(kept.source, kept.path, kept.sources),
+      removed: dropped.map((d) => ({
+        ...describe(d.chunk.source, d.chunk.path, d.chunk.sources),
+        similarity: Number(d.similarity.toFixed(2)),
+      })),
+    });
+  }
+  return { chunks: out.filter((_, i) => !removed.has(i)), collapsed };
+}
+
+function resolveDedupPolicy(value) {
+  const policy = String(value || "longest").toLowerCase();
+  if (!DEDUP_POLICIES.includes(policy)) {
+    throw new Error(`Unknown dedup policy: ${value} (expected ${DEDUP_POLICIES.join("|")})`);
+  }
+  return policy;
+}
+
+module.exports = {
+  DEDUP_POLICIES,
+  resolveDedupPolicy,
+  shingleTokens,
+  minhash,
+  similarity,
+  dedupeBlocks,
+  dedupeChunks,
+};
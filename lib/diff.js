@@ -0,0 +1,167 @@
+const { readRoutes, findPackFile } = require("./pack");
+const { jaccard } = require("./graph");
+
+const RENAME_SIMILARITY = 0.5;
+const WEIGHT_EPSILON = 0.05;
+
+function skillMarkdown(files, id) {
+  const file = findPackFile(files, `skills/${id}.md`);
+  return file ? file.content : "";
+}
+
+function lineChanges(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  const setA = new Set(a);
+  const setB = new Set(b);
+  return {
+    added: b.filter((x) => !setA.has(x)).length,
+    removed: a.filter((x) => !setB.has(x)).length,
+  };
+}
+
+function describeChanges(oldSkill, newSkill, oldText, newText) {
+  const changes = [];
+  const oldKeywords = oldSkill.keywords || [];
+  const newKeywords = newSkill.keywords || [];
+  const gained = newKeywords.filter((k) => !oldKeywords.includes(k));
+  const lost = oldKeywords.filter((k) => !newKeywords.includes(k));
+  if (gained.length > 0 || lost.length > 0) {
+    changes.push(`keywords ${gained.map((k) => `+${k}`).concat(lost.map((k) => `-${k}`)).join(" ")}`);
+  }
+  if (oldSkill.baseScore !== newSkill.baseScore) {
+    changes.push(`base score ${oldSkill.baseScore} -> ${newSkill.baseScore}`);
+  }
+  if (JSON.stringify(oldSkill.sources || []) !== JSON.stringify(newSkill.sources || [])) {
+    changes.push("sources changed");
+  }
+  if (oldText !== newText) {
+    const lines = lineChanges(oldText, newText);
+    changes.push(`content +${lines.added}/-${lines.removed} lines`);
+  }
+  return changes;
+}
+
+function edgeKey(d) {
+  return `${d.from}->${d.to}`;
+}
+
+function diffDependencies(oldDeps, newDeps) {
+  const before = new Map((oldDeps || []).map((d) => [edgeKey(d), d]));
+  const after = new Map((newDeps || []).map((d) => [edgeKey(d), d]));
+  const out = { added: [], removed: [], changed: [] };
+  for (const [key, d] of after) {
+    const prev = before.get(key);
+    if (!prev) {
+      out.added.push(d);
+    } else if (Math.abs(prev.weight - d.weight) >= WEIGHT_EPSILON) {
+      out.changed.push({ from: d.from, to: d.to, before: prev.weight, after: d.weight });
+    }
+  }
+  for (const [key, d] of before) {
+    if (!after.has(key)) {
+      out.removed.push(d);
+    }
+  }
+  return out;
+}
+
+// Compares two packs given as `{ relativePath, content }` lists. Skills are
+// matched by ID first; leftover removed/added pairs with similar keywords are
+// reported as renamed so a retitled section does not read as delete + create.
+function diffPacks(oldFiles, newFiles) {
+  const oldRoutes = readRoutes(oldFiles);
+  const newRoutes = readRoutes(newFiles);
+  const oldSkills = new Map((oldRoutes.skills || []).map((s) => [s.id, s]));
+  const newSkills = new Map((newRoutes.skills || []).map((s) => [s.id, s]));
+
+  const report = {
+    before: { skills: oldSkills.size, dependencies: (oldRoutes.dependencies || []).length },
+    after: { skills: newSkills.size, dependencies: (newRoutes.dependencies || []).length },
+    added: [],
+    removed: [],
+    renamed: [],
+    changed: [],
+    unchanged: 0,
+    dependencies: diffDependencies(oldRoutes.dependencies, newRoutes.dependencies),
+  };
+
+  for (const [id, skill] of newSkills) {
+    const prev = oldSkills.get(id);
+    if (!prev) {
+      report.added.push({ id, title: skill.title });
+      continue;
+    }
+    const changes = describeChanges(prev, skill, skillMarkdown(oldFiles, id), skillMarkdown(newFiles, id));
+    if (prev.title !== skill.title) {
+      report.renamed.push({ id, fromId: id, from: prev.title, to: skill.title, changes });
+    } else if (changes.length > 0) {
+      report.changed.push({ id, title: skill.title, changes });
+    } else {
+      report.unchanged += 1;
+    }
+  }
+  for (const [id, skill] of oldSkills) {
+    if (!newSkills.has(id)) {
+      report.removed.push({ id, title: skill.title });
+    }
+  }
+
+  for (const removed of report.removed.slice()) {
+    const oldSkill = oldSkills.get(removed.id);
+    let best = null;
+    let bestScore = RENAME_SIMILARITY;
+    for (const added of report.added) {
+      const score = jaccard(oldSkill.keywords || [], newSkills.get(added.id).keywords || []);
+      if (score >= bestScore) {
+        best = added;
+        bestScore = score;
+      }
+    }
+    if (best) {
+      report.removed.splice(report.removed.indexOf(removed), 1);
+      report.added.splice(report.added.indexOf(best), 1);
+      report.renamed.push({
+        id: best.id,
+        fromId: removed.id,
+        from: removed.title,
+        to: best.title,
+        changes: [`matched by keyword similarity ${bestScore.toFixed(2)}`],
+      });
+    }
+  }
+
+  return report;
+}
+
+function formatDiffReport(report) {
+  const d = report.dependencies;
+  const lines = [
+    `Skills: ${report.before.skills} -> ${report.after.skills}`,
+    `Added: ${report.added.length}, removed: ${report.removed.length}, renamed: ${report.renamed.length}, changed: ${report.changed.length}, unchanged: ${report.unchanged}`,
+    `Dependency edges: ${report.before.dependencies} -> ${report.after.dependencies} (+${d.added.length} -${d.removed.length} ~${d.changed.length})`,
+  ];
+
+  const section = (title, items, render) => {
+    if (items.length > 0) {
+      lines.push("", `${title}:`, ...items.map(render));
+    }
+  };
+  section("Added", report.added, (x) => `+ ${x.id}  ${x.title}`);
+  section("Removed", report.removed, (x) => `- ${x.id}  ${x.title}`);
+  section("Renamed", report.renamed, (x) => {
+    const ids = x.fromId === x.id ? x.id : `${x.fromId} -> ${x.id}`;
+    const extra = x.changes.length > 0 ? ` (${x.changes.join("; ")})` : "";
+    return `~ ${ids}  "${x.from}" -> "${x.to}"${extra}`;
+  });
+  section("Changed", report.changed, (x) => `* ${x.id}  ${x.title}: ${x.changes.join("; ")}`);
+  section("Edges added", d.added, (x) => `+ ${x.from} -> ${x.to} (${x.weight})`);
+  section("Edges removed", d.removed, (x) => `- ${x.from} -> ${x.to} (${x.weight})`);
+  section("Edge weights changed", d.changed, (x) => `~ ${x.from} -> ${x.to} (${x.before} -> ${x.after})`);
+  return lines.join("\n");
+}
+
+module.exports = {
+  diffPacks,
+  formatDiffReport,
+};
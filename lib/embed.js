@@ -0,0 +1,176 @@
+const fs = require("fs");
+const path = require("path");
+const { CACHE_VERSION, hashContent } = require("./cache");
+const { findPackFile, readRoutes } = require("./pack");
+
+const EMBEDDINGS_PATH = "skills/embeddings.json";
+// Bump when the embedded text or the pooling changes.
+const EMBED_VERSION = 1;
+// Sentence models truncate at 256-512 tokens anyway.
+const MAX_EMBED_CHARS = 2000;
+const BATCH_SIZE = 16;
+const VECTOR_DECIMALS = 4;
+// Transformers.js file names per dtype, in order of preference.
+const MODEL_FILES = [
+  ["fp32", "model.onnx"],
+  ["fp16", "model_fp16.onnx"],
+  ["q8", "model_quantized.onnx"],
+];
+
+// Resolves `--embed-model` (a local model folder in the Transformers.js layout:
+// config.json, tokenizer.json, onnx/model*.onnx) into a config, or null when
+// embeddings are off. Nothing is ever downloaded.
+function resolveEmbedOptions(model) {
+  if (!model) {
+    return null;
+  }
+  const dir = path.resolve(String(model));
+  const onnxDir = path.join(dir, "onnx");
+  const found = MODEL_FILES.find(([, file]) => fs.existsSync(path.join(onnxDir, file)));
+  const hasFiles = ["config.json", "tokenizer.json"].every((file) => fs.existsSync(path.join(dir, file)));
+  if (!hasFiles || !found) {
+    throw new Error(
+      `Embedding model not found in ${dir}: expected config.json, tokenizer.json and onnx/${MODEL_FILES.map((x) => x[1]).join("|")}`
+    );
+  }
+  const [dtype, file] = found;
+  const stat = fs.statSync(path.join(onnxDir, file));
+  return {
+    model: dir,
+    name: path.basename(dir),
+    dtype,
+    // Replacing the weights in place must not reuse old vectors.
+    fingerprint: hashContent(fs.readFileSync(path.join(dir, "config.json")), file, stat.size, stat.mtimeMs),
+  };
+}
+
+const embedders = new Map();
+
+async function createEmbedder(config) {
+  let transformers;
+  try {
+    transformers = require("@huggingface/transformers");
+  } catch (err) {
+    if (err.code === "MODULE_NOT_FOUND") {
+      throw new Error("Embeddings need the optional package @huggingface/transformers (npm install @huggingface/transformers@3)");
+    }
+    throw err;
+  }
+  const { env, pipeline } = transformers;
+  env.allowRemoteModels = false;
+  env.allowLocalModels = true;
+  env.localModelPath = path.dirname(config.model);
+  const extractor = await pipeline("feature-extraction", path.basename(config.model), {
+    device: "cpu",
+    dtype: config.dtype,
+  });
+  return async (texts) => (await extractor(texts, { pooling: "mean", normalize: true })).tolist();
+}
+
+// One loaded model per process; `serve-mcp` and the web server embed every
+// query with it.
+function loadEmbedder(config) {
+  if (!embedders.has(config.model)) {
+    const loading = createEmbedder(config);
+    loading.catch(() => embedders.delete(config.model));
+    embedders.set(config.model, loading);
+  }
+  return embedders.get(config.model);
+}
+
+function roundVector(vector) {
+  const scale = 10 ** VECTOR_DECIMALS;
+  return vector.map((x) => Math.round(x * scale) / scale);
+}
+
+function chunkText(chunk) {
+  const text = `${chunk.path.join(" > ")}\n${chunk.text}`.trim();
+  return text.length > MAX_EMBED_CHARS ? text.slice(0, MAX_EMBED_CHARS) : text;
+}
+
+// Embeds chunks in batches; vectors are cached per chunk and model, so only
+// new or edited chunks go through the model on a rerun.
+async function embedChunks(chunks, config, { cache, onProgress = () => {} }) {
+  const keys = chunks.map((chunk) =>
+    hashContent(CACHE_VERSION, EMBED_VERSION, config.fingerprint, chunk.path.join("\n"), chunk.text)
+  );
+  const vectors = keys.map((key) => cache.get("embedding", key) || null);
+  const missing = vectors.map((v, idx) => (v ? -1 : idx)).filter((idx) => idx >= 0);
+  const stats = { model: config.name, dims: 0, embedded: 0, cached: chunks.length - missing.length };
+
+  if (missing.length > 0) {
+    const embed = await loadEmbedder(config);
+    for (let start = 0; start < missing.length; start += BATCH_SIZE) {
+      onProgress({ stage: "embedding", current: start, total: missing.length });
+      const batch = missing.slice(start, start + BATCH_SIZE);
+      const output = await embed(batch.map((idx) => chunkText(chunks[idx])));
+      batch.forEach((idx, n) => {
+        vectors[idx] = roundVector(output[n]);
+        cache.set("embedding", keys[idx], vectors[idx]);
+      });
+      stats.embedded += batch.length;
+    }
+  }
+  stats.dims = vectors.length > 0 ? vectors[0].length : 0;
+  return { vectors, stats };
+}
+
+async function embedQuery(config, query) {
+  const embed = await loadEmbedder(config);
+  const [vector] = await embed([String(query || "").slice(0, MAX_EMBED_CHARS)]);
+  return vector;
+}
+
+function buildEmbeddingsJson(items, vectors, stats) {
+  return JSON.stringify({
+    version: EMBED_VERSION,
+    model: stats.model,
+    dims: stats.dims,
+    pooling: "mean",
+    normalize: true,
+    vectors: Object.fromEntries(items.map((item, idx) => [item.id, vectors[idx]])),
+  });
+}
+
+// The pack's skill vectors, or null when it was compiled without embeddings.
+function readEmbeddings(files) {
+  const routes = readRoutes(files);
+  if (!routes.embeddings) {
+    return null;
+  }
+  const file = findPackFile(files, routes.embeddings);
+  if (!file) {
+    throw new Error(`Skill pack has no ${routes.embeddings}`);
+  }
+  try {
+    return JSON.parse(file.content);
+  } catch (err) {
+    throw new Error(`Invalid ${routes.embeddings}: ${err.message}`);
+  }
+}
+
+// Extra `routeQuery` options for semantic ranking, or null (keyword routing)
+// when the pack carries no vectors.
+async function semanticRouting(pack, query, config) {
+  const embeddings = readEmbeddings(pack.files);
+  if (!embeddings) {
+    return null;
+  }
+  const queryVector = await embedQuery(config, query);
+  if (queryVector.length !== embeddings.dims) {
+    throw new Error(
+      `Pack vectors come from ${embeddings.model} (${embeddings.dims} dims) but ${config.name} gives ${queryVector.length} dims; route with the same model`
+    );
+  }
+  return { vectors: embeddings.vectors, queryVector };
+}
+
+module.exports = {
+  EMBEDDINGS_PATH,
+  resolveEmbedOptions,
+  embedChunks,
+  embedQuery,
+  buildEmbeddingsJson,
+  readEmbeddings,
+  semanticRouting,
+};
@@ -0,0 +1,166 @@
+const { CACHE_VERSION, hashContent } = require("./cache");
+
+const ENRICH_PROVIDERS = ["openai", "ollama"];
+const DEFAULT_BASE_URLS = {
+  openai: "http://localhost:8080/v1",
+  ollama: "http://localhost:11434",
+};
+const DEFAULT_MODELS = {
+  openai: "gpt-4o-mini",
+  ollama: "llama3.1",
+};
+// Bump when the prompt or the expected reply shape changes.
+const PROMPT_VERSION = 1;
+const MAX_CHUNK_CHARS = 6000;
+const MAX_LIST_ITEMS = 8;
+
+const SYSTEM_PROMPT = [
+  "You turn one section of a technical document into a reusable skill.",
+  "Reply with a single JSON object and nothing else, using these keys:",
+  '  "title": short skill title (max 8 words)',
+  '  "summary": 1-3 sentence summary of what the section teaches',
+  '  "trigger": one sentence describing when an assistant should use this skill',
+  '  "steps": ordered list of concrete procedure steps found in the text (may be empty)',
+  '  "conditions": list of "if X then Y" style rules or exceptions found in the text (may be empty)',
+  "Use only facts from the section. Answer in the language of the section.",
+].join("\n");
+
+// Resolves CLI/env settings into a normalized enricher config, or null when
+// enrichment is off.
+function resolveEnrichOptions(options) {
+  if (!options || !options.provider) {
+    return null;
+  }
+  const provider = String(options.provider).toLowerCase();
+  if (!ENRICH_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown enrichment provider: ${options.provider} (expected ${ENRICH_PROVIDERS.join("|")})`);
+  }
+  const timeoutMs = Number(options.timeoutMs);
+  return {
+    provider,
+    baseUrl: String(options.baseUrl || DEFAULT_BASE_URLS[provider]).replace(/\/+$/, ""),
+    model: String(options.model || DEFAULT_MODELS[provider]),
+    apiKey: options.apiKey || "",
+    timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : 60000,
+  };
+}
+
+function buildUserPrompt(chunk) {
+  const text = chunk.text.length > MAX_CHUNK_CHARS ? `${chunk.text.slice(0, MAX_CHUNK_CHARS)}\n...` : chunk.text;
+  const section = chunk.path.length > 0 ? chunk.path.join(" > ") : chunk.title;
+  return `Section: ${section}\n\n${text}`;
+}
+
+function buildRequest(config, chunk) {
+  const messages = [
+    { role: "system", content: SYSTEM_PROMPT },
+    { role: "user", content: buildUserPrompt(chunk) },
+  ];
+  if (config.provider === "ollama") {
+    return {
+      url: `${config.baseUrl}/api/chat`,
+      body: { model: config.model, messages, stream: false, format: "json", options: { temperature: 0 } },
+      reply: (data) => data && data.message && data.message.content,
+    };
+  }
+  return {
+    url: `${config.baseUrl}/chat/completions`,
+    body: { model: config.model, messages, temperature: 0 },
+    reply: (data) => data && data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content,
+  };
+}
+
+function cleanString(value, maxLength) {
+  const text = String(value == null ? "" : value).replace(/\s+/g, " ").trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength - 3)}...` : text;
+}
+
+function cleanList(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  const items = value
+    .map((x) => cleanString(typeof x === "object" && x !== null ? x.text || x.step || "" : x, 200))
+    .map((x) => x.replace(/^(\d+[.)]|[-*])\s+/, ""))
+    .filter(Boolean);
+  return Array.from(new Set(items)).slice(0, MAX_LIST_ITEMS);
+}
+
+// Models often wrap JSON in code fences or chatter; take the outermost object.
+function parseReply(content) {
+  const text = String(content || "");
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start < 0 || end <= start) {
+    throw new Error("reply is not JSON");
+  }
+  const data = JSON.parse(text.slice(start, end + 1));
+  const result = {
+    title: cleanString(data.title, 80),
+    summary: cleanString(data.summary, 600),
+    trigger: cleanString(data.trigger, 240),
+    steps: cleanList(data.steps),
+    conditions: cleanList(data.conditions),
+  };
+  if (!result.summary && !result.trigger) {
+    throw new Error("reply has neither summary nor trigger");
+  }
+  return result;
+}
+
+async function requestEnrichment(config, chunk) {
+  const request = buildRequest(config, chunk);
+  const headers = { "content-type": "application/json" };
+  if (config.apiKey) {
+    headers.authorization = `Bearer ${config.apiKey}`;
+  }
+  const resp = await fetch(request.url, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(request.body),
+    signal: AbortSignal.timeout(config.timeoutMs),
+  });
+  if (!resp.ok) {
+    throw new Error(`HTTP ${resp.status} from ${request.url}`);
+  }
+  return parseReply(request.reply(await resp.json()));
+}
+
+// Enriches chunks one at a time (local models rarely serve requests in
+// parallel). Successful replies are cached per chunk; failures are not, so a
+// rerun retries them. A failed chunk yields null and keeps its heuristics.
+async function enrichChunks(chunks, config, { cache, onProgress = () => {} }) {
+  const stats = { provider: config.provider, model: config.model, enriched: 0, cached: 0, failed: 0, errors: [] };
+  const results = [];
+  for (const [index, chunk] of chunks.entries()) {
+    onProgress({ stage: "enriching", current: index + 1, total: chunks.length });
+    const key = hashContent(CACHE_VERSION, PROMPT_VERSION, config.provider, config.model, chunk.path.join("\n"), chunk.text);
+    const cached = cache.get("enrich", key);
+    if (cached) {
+      stats.cached += 1;
+      results.push(cached);
+      continue;
+    }
+    try {
+      const result = await requestEnrichment(config, chunk);
+      cache.set("enrich", key, result);
+      stats.enriched += 1;
+      results.push(result);
+    } catch (err) {
+      stats.failed += 1;
+      if (stats.errors.length < 5) {
+        const cause = err.cause && err.cause.code ? ` (${err.cause.code})` : "";
+        stats.errors.push(`${chunk.title}: ${err.message}${cause}`);
+      }
+      results.push(null);
+    }
+  }
+  return { results, stats };
+}
+
+module.exports = {
+  ENRICH_PROVIDERS,
+  resolveEnrichOptions,
+  parseReply,
+  enrichChunks,
+};
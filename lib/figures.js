@@ -0,0 +1,205 @@
+const { hashContent } = require("./cache");
+
+const ASSETS_DIR = "assets";
+const FIGURES_INDEX = `${ASSETS_DIR}/figures.json`;
+// How far from an image its caption may sit, in multiples of the caption's
+// font size.
+const CAPTION_GAP = 4;
+// An identical image on this many pages is a logo or decoration.
+const REPEAT_PAGES = 3;
+
+const CAPTION = /^(figure|fig\.?|screenshot|diagram|exhibit|plate|图|圖)\s*(\d+(?:[-.–]\d+)*)(?=$|[\s:：.\-–—])/i;
+const MENTION = /(?<!\p{L})(figure|fig\.?|screenshot|diagram|exhibit|plate|图|圖)\s*(\d+(?:[-.–]\d+)*)/giu;
+
+// "Fig. 3.2", "Figure 3-2" and "figure 3–2" are the same figure.
+function labelKey(word, number) {
+  const kind = /^fig/i.test(word) ? "figure" : word === "圖" ? "图" : word.toLowerCase();
+  return `${kind} ${number.replace(/[.–]/g, "-")}`;
+}
+
+function mentionedLabels(text) {
+  return new Set(Array.from(String(text).matchAll(MENTION), (m) => labelKey(m[1], m[2])));
+}
+
+function squash(text) {
+  return String(text).replace(/\s+/g, " ").trim();
+}
+
+// The caption line closest above or below the image, within `CAPTION_GAP`.
+function findCaption(lines, image) {
+  const top = image.y + image.height;
+  let best = null;
+  for (const line of lines) {
+    const m = line.text && CAPTION.exec(line.text.trim());
+    if (!m) {
+      continue;
+    }
+    const size = line.fontSize || 10;
+    const gap = line.y < image.y ? image.y - line.y : line.y - top;
+    if (gap >= 0 && gap <= CAPTION_GAP * size && (!best || gap < best.gap)) {
+      best = { gap, text: squash(line.text), label: labelKey(m[1], m[2]) };
+    }
+  }
+  return best;
+}
+
+// The text line just above the image (or, failing that, below it), used to
+// find the chunk the image sits in when nothing refers to it by number.
+function findAnchor(lines, image) {
+  const top = image.y + image.height;
+  const above = lines.filter((l) => l.text && l.y >= top).sort((a, b) => a.y - b.y);
+  const below = lines.filter((l) => l.text && l.y < image.y).sort((a, b) => b.y - a.y);
+  const line = above[0] || below[0];
+  return line ? squash(line.text).slice(0, 80) : "";
+}
+
+// Pairs the images of one PDF (from `extractPdfImages`) with their caption
+// and surrounding text. `skipPages` are scanned pages, whose only image is
+// the page itself. Identical images on `REPEAT_PAGES` or more pages are
+// dropped unless `keepRepeated` is set.
+function locateFigures(images, doc, source, { skipPages = [], keepRepeated = false } = {}) {
+  const byNumber = new Map((doc.pages || []).map((p) => [p.number, p.lines]));
+  const kept = images
+    .filter((image) => !skipPages.includes(image.page))
+    .map((image) => ({ ...image, sha256: hashContent(image.png) }));
+  const pagesBySha = new Map();
+  for (const image of kept) {
+    pagesBySha.set(image.sha256, (pagesBySha.get(image.sha256) || new Set()).add(image.page));
+  }
+  const repeated = [];
+  for (const [sha256, pages] of pagesBySha) {
+    if (!keepRepeated && pages.size >= REPEAT_PAGES) {
+      repeated.push({ source, sha256, pages: Array.from(pages) });
+    }
+  }
+  const dropped = new Set(repeated.map((r) => r.sha256));
+  const figures = kept
+    .filter((image) => !dropped.has(image.sha256))
+    .map((image) => {
+      const lines = byNumber.get(image.page) || [];
+      const caption = findCaption(lines, image);
+      return {
+        ...image,
+        source,
+        caption: caption ? caption.text : "",
+        label: caption ? caption.label : "",
+        anchor: findAnchor(lines, image),
+      };
+    });
+  return { figures, repeated };
+}
+
+function coversPage(item, source, page) {
+  return (item.sources || []).some(
+    (ref) => ref.file === source && ref.pageStart != null && ref.pageStart <= page && page <= ref.pageEnd
+  );
+}
+
+function fromSource(item, source) {
+  return (item.sources || []).some((ref) => ref.file === source);
+}
+
+// Skills a figure belongs to: every skill from the same input that mentions
+// its label ("see Figure 3-2"), or else the skill holding its page, preferring
+// the one that contains its caption or the text next to it.
+function figureTargets(figure, items, mentions) {
+  if (figure.label) {
+    const citing = items.filter((item, idx) => fromSource(item, figure.source) && mentions[idx].has(figure.label));
+    if (citing.length > 0) {
+      return citing;
+    }
+  }
+  const onPage = items.filter((item) => coversPage(item, figure.source, figure.page));
+  const content = (item) => squash(item.content);
+  const near = onPage.find(
+    (item) => (figure.caption && content(item).includes(figure.caption)) || (figure.anchor && content(item).includes(figure.anchor))
+  );
+  return near ? [near] : onPage.slice(0, 1);
+}
+
+function figureAlt(figure) {
+  return (figure.caption || `Figure on page ${figure.page}`).replace(/[[\]\n]/g, " ");
+}
+
+// Sets `item.figures` on the skill items and returns the asset files (one
+// PNG per distinct image, named by content hash, plus `assets/figures.json`)
+// and a report. Images are written in skill order until `maxBytes` is used up.
+function placeFigures(items, figures, { maxBytes = Infinity } = {}) {
+  const mentions = items.map((item) => mentionedLabels(item.content));
+  const placements = new Map(items.map((item) => [item, []]));
+  const unplaced = [];
+  for (const figure of figures) {
+    const targets = figureTargets(figure, items, mentions);
+    if (targets.length === 0) {
+      unplaced.push({ source: figure.source, page: figure.page, caption: figure.caption });
+    }
+    for (const item of targets) {
+      placements.get(item).push(figure);
+    }
+  }
+
+  const written = new Map();
+  const overBudget = [];
+  let bytes = 0;
+  for (const item of items) {
+    item.figures = [];
+    for (const figure of placements.get(item)) {
+      let file = written.get(figure.sha256);
+      if (!file) {
+        if (bytes + figure.png.length > maxBytes) {
+          overBudget.push({ source: figure.source, page: figure.page, caption: figure.caption, skill: item.id });
+          continue;
+        }
+        file = { relativePath: `${ASSETS_DIR}/fig-${figure.sha256.slice(0, 12)}.png`, content: figure.png, figure, skills: [] };
+        written.set(figure.sha256, file);
+        bytes += figure.png.length;
+      }
+      if (!file.skills.includes(item.id)) {
+        file.skills.push(item.id);
+        item.figures.push({
+          file: file.relativePath,
+          alt: figureAlt(figure),
+          caption: figure.caption,
+          source: figure.source,
+          page: figure.page,
+          width: figure.scaledWidth,
+          height: figure.scaledHeight,
+        });
+      }
+    }
+  }
+
+  const assets = Array.from(written.values());
+  const files = assets.map((f) => ({ relativePath: f.relativePath, content: f.content }));
+  if (assets.length > 0) {
+    const index = assets.map((f) => ({
+      file: f.relativePath,
+      caption: f.figure.caption,
+      source: f.figure.source,
+      page: f.figure.page,
+      width: f.figure.scaledWidth,
+      height: f.figure.scaledHeight,
+      skills: f.skills,
+    }));
+    files.push({ relativePath: FIGURES_INDEX, content: JSON.stringify(index, null, 2) });
+  }
+  return {
+    files,
+    report: {
+      figures: figures.length,
+      files: assets.length,
+      bytes,
+      skills: items.filter((item) => item.figures.length > 0).length,
+      unplaced,
+      overBudget,
+    },
+  };
+}
+
+module.exports = {
+  ASSETS_DIR,
+  FIGURES_INDEX,
+  mentionedLabels,
+  locateFigures,
+  placeFigures,
+};
@@ -0,0 +1,169 @@
+const JSZip = require("jszip");
+const { tokenizeMarkup } = require("./markup");
+
+const HEADING_STYLE = /^(?:heading|标题)\s*(\d)$/i;
+
+async function readZipText(zip, name) {
+  const file = zip.file(name);
+  return file ? file.async("string") : "";
+}
+
+// Maps style IDs to heading levels from styles.xml: built-in "heading N"
+// names (IDs are localized, e.g. "1" or "Heading1") or an explicit outline
+// level. "Title" counts as level 1.
+function headingStyles(stylesXml) {
+  const levels = new Map();
+  let current = null;
+  for (const token of tokenizeMarkup(stylesXml)) {
+    if (token.type === "open" && token.name === "w:style") {
+      current = { id: token.attrs["w:styleid"], level: 0 };
+    } else if (current && token.type === "open" && token.name === "w:name") {
+      const name = token.attrs["w:val"] || "";
+      const m = HEADING_STYLE.exec(name);
+      if (m) {
+        current.level = Number(m[1]);
+      } else if (/^title$/i.test(name)) {
+        current.level = 1;
+      }
+    } else if (current && token.type === "open" && token.name === "w:outlinelvl" && !current.level) {
+      const lvl = Number(token.attrs["w:val"]);
+      if (lvl >= 0 && lvl < 9) {
+        current.level = lvl + 1;
+      }
+    } else if (current && token.type === "close" && token.name === "w:style") {
+      if (current.id && current.level) {
+        levels.set(current.id, current.level);
+      }
+      current = null;
+    }
+  }
+  return levels;
+}
+
+// Resolves `numId` + `ilvl` to whether that list level is a bullet list.
+function bulletLevels(numberingXml) {
+  const abstract = new Map();
+  const nums = new Map();
+  let abstractId = null;
+  let level = null;
+  let numId = null;
+  for (const token of tokenizeMarkup(numberingXml)) {
+    if (token.type === "open" && token.name === "w:abstractnum") {
+      abstractId = token.attrs["w:abstractnumid"];
+      abstract.set(abstractId, new Map());
+    } else if (token.type === "open" && token.name === "w:lvl" && abstractId !== null) {
+      level = token.attrs["w:ilvl"];
+    } else if (token.type === "open" && token.name === "w:numfmt" && abstractId !== null && level !== null) {
+      abstract.get(abstractId).set(level, token.attrs["w:val"] === "bullet");
+    } else if (token.type === "close" && token.name === "w:abstractnum") {
+      abstractId = null;
+      level = null;
+    } else if (token.type === "open" && token.name === "w:num") {
+      numId = token.attrs["w:numid"];
+    } else if (token.type === "open" && token.name === "w:abstractnumid" && numId !== null) {
+      nums.set(numId, token.attrs["w:val"]);
+    } else if (token.type === "close" && token.name === "w:num") {
+      numId = null;
+    }
+  }
+  return (id, ilvl) => {
+    const levels = abstract.get(nums.get(id));
+    return levels ? levels.get(String(ilvl)) !== false : true;
+  };
+}
+
+async function extractDocx(data) {
+  const zip = await JSZip.loadAsync(data);
+  const documentXml = await readZipText(zip, "word/document.xml");
+  if (!documentXml) {
+    throw new Error("Invalid DOCX: word/document.xml is missing");
+  }
+  const headings = headingStyles(await readZipText(zip, "word/styles.xml"));
+  const isBullet = bulletLevels(await readZipText(zip, "word/numbering.xml"));
+
+  const items = [];
+  let list = null;
+  let para = null;
+  let inText = false;
+  const tables = [];
+
+  const flushList = () => {
+    if (list && list.length > 0) {
+      items.push({ type: "list", items: list, page: null });
+    }
+    list = null;
+  };
+
+  for (const token of tokenizeMarkup(documentXml)) {
+    const { type, name } = token;
+    const table = tables[tables.length - 1];
+    if (type === "open" && name === "w:p") {
+      para = { text: "", style: null, numId: null, ilvl: 0 };
+      if (token.selfClosing) {
+        para = null;
+      }
+    } else if (para && type === "open" && name === "w:pstyle") {
+      para.style = token.attrs["w:val"];
+    } else if (para && type === "open" && name === "w:numid") {
+      para.numId = token.attrs["w:val"];
+    } else if (para && type === "open" && name === "w:ilvl") {
+      para.ilvl = Number(token.attrs["w:val"]) || 0;
+    } else if (para && type === "open" && name === "w:t") {
+      inText = !token.selfClosing;
+    } else if (type === "close" && name === "w:t") {
+      inText = false;
+    } else if (para && type === "text" && inText) {
+      para.text += token.text;
+    } else if (para && type === "open" && (name === "w:tab" || name === "w:br")) {
+      para.text += name === "w:tab" ? " " : "\n";
+    } else if (type === "close" && name === "w:p" && para) {
+      const text = para.text.replace(/[ \t]+/g, " ").trim();
+      if (table && table.cell !== null) {
+        table.cell = `${table.cell} ${text}`.trim();
+      } else if (text && headings.has(para.style)) {
+        flushList();
+        items.push({ type: "heading", level: headings.get(para.style), text: text.replace(/\n/g, " "), page: null });
+      } else if (text && para.numId && para.numId !== "0") {
+        list = list || [];
+        list.push({ text: text.replace(/\n/g, " "), depth: para.ilvl, ordered: !isBullet(para.numId, para.ilvl) });
+      } else if (text) {
+        flushList();
+        items.push({ type: "paragraph", text, page: null });
+      }
+      para = null;
+    } else if (type === "open" && name === "w:tbl") {
+      if (!table) {
+        flushList();
+      }
+      tables.push({ rows: [], row: [], cell: null });
+    } else if (table && type === "open" && name === "w:tc") {
+      table.cell = "";
+    } else if (table && type === "close" && name === "w:tc") {
+      table.row.push(table.cell || "");
+      table.cell = null;
+    } else if (table && type === "close" && name === "w:tr") {
+      table.rows.push(table.row);
+      table.row = [];
+    } else if (table && type === "close" && name === "w:tbl") {
+      tables.pop();
+      const parent = tables[tables.length - 1];
+      const rows = table.rows.filter((r) => r.some(Boolean));
+      if (parent && parent.cell !== null) {
+        // Nested tables are flattened into the enclosing cell.
+        parent.cell = `${parent.cell} ${rows.map((r) => r.filter(Boolean).join(" ")).join(" ")}`.trim();
+      } else if (rows.length >= 2 && Math.max(...rows.map((r) => r.length)) >= 2) {
+        const width = Math.max(...rows.map((r) => r.length));
+        const grid = rows.map((r) => r.concat(Array(width - r.length).fill("")));
+        items.push({ type: "table", header: grid[0], rows: grid.slice(1), page: null });
+      } else if (rows.length > 0) {
+        items.push({ type: "paragraph", text: rows.map((r) => r.filter(Boolean).join(" ")).join("\n"), page: null });
+      }
+    }
+  }
+  flushList();
+  return items;
+}
+
+module.exports = {
+  extractDocx,
+};
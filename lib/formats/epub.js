@@ -0,0 +1,81 @@
+const path = require("path");
+const JSZip = require("jszip");
+const { tokenizeMarkup } = require("./markup");
+const { htmlToItems } = require("./html");
+
+const CHAPTER_TYPES = new Set(["application/xhtml+xml", "text/html"]);
+
+async function readZipText(zip, name) {
+  const file = zip.file(name);
+  if (!file) {
+    throw new Error(`Invalid EPUB: ${name} is missing`);
+  }
+  return file.async("string");
+}
+
+// A malformed escape (a literal "%" in the href) is kept as written rather
+// than failing the whole book.
+function resolveHref(base, href) {
+  const file = href.split("#")[0];
+  let decoded = file;
+  try {
+    decoded = decodeURIComponent(file);
+  } catch (_) {
+    // Keep the raw href.
+  }
+  return path.posix.normalize(path.posix.join(base, decoded));
+}
+
+// Reads chapters in spine (reading) order. Navigation documents are skipped
+// because their lists duplicate the headings of the chapters themselves.
+async function extractEpub(data) {
+  const zip = await JSZip.loadAsync(data);
+  let opfPath = null;
+  for (const token of tokenizeMarkup(await readZipText(zip, "META-INF/container.xml"))) {
+    if (token.type === "open" && token.name === "rootfile" && token.attrs["full-path"]) {
+      opfPath = token.attrs["full-path"];
+      break;
+    }
+  }
+  if (!opfPath) {
+    throw new Error("Invalid EPUB: no rootfile in META-INF/container.xml");
+  }
+
+  const base = path.posix.dirname(opfPath);
+  const manifest = new Map();
+  const spine = [];
+  for (const token of tokenizeMarkup(await readZipText(zip, opfPath))) {
+    if (token.type !== "open") {
+      continue;
+    }
+    const name = token.name.replace(/^opf:/, "");
+    if (name === "item" && token.attrs.id && token.attrs.href) {
+      manifest.set(token.attrs.id, token.attrs);
+    } else if (name === "itemref" && token.attrs.idref && token.attrs.linear !== "no") {
+      spine.push(token.attrs.idref);
+    }
+  }
+
+  const items = [];
+  let chapters = 0;
+  for (const id of spine) {
+    const entry = manifest.get(id);
+    if (!entry || !CHAPTER_TYPES.has(entry["media-type"]) || /\bnav\b/.test(entry.properties || "")) {
+      continue;
+    }
+    const file = zip.file(resolveHref(base, entry.href));
+    if (!file) {
+      continue;
+    }
+    items.push(...htmlToItems(await file.async("string")));
+    chapters += 1;
+  }
+  if (chapters === 0) {
+    throw new Error("Invalid EPUB: no readable chapters in the spine");
+  }
+  return items;
+}
+
+module.exports = {
+  extractEpub,
+};
@@ -0,0 +1,194 @@
+const { tokenizeMarkup } = require("./markup");
+
+const SKIPPED_TAGS = new Set(["head", "script", "style", "noscript", "template", "svg", "nav", "math"]);
+const BLOCK_TAGS = new Set([
+  "p",
+  "div",
+  "section",
+  "article",
+  "main",
+  "header",
+  "footer",
+  "aside",
+  "blockquote",
+  "figure",
+  "figcaption",
+  "dl",
+  "dt",
+  "dd",
+  "hr",
+  "address",
+]);
+const HEADING_TAG = /^h([1-6])$/;
+
+function cleanText(buffer) {
+  return buffer
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Converts HTML/XHTML into document items (headings, paragraphs, lists,
+// tables, code) so native structure survives instead of being re-guessed
+// from flattened text.
+function htmlToItems(html, page = null) {
+  const items = [];
+  let buffer = "";
+  let skipDepth = 0;
+  let heading = 0;
+  let pre = null;
+  const lists = [];
+  let listItems = null;
+  let table = null;
+
+  const take = () => {
+    const text = cleanText(buffer);
+    buffer = "";
+    return text;
+  };
+  const flushItem = () => {
+    const text = take();
+    if (text && listItems) {
+      const list = lists[lists.length - 1];
+      listItems.push({ text: text.replace(/\n/g, " "), depth: lists.length - 1, ordered: list.ordered });
+    }
+  };
+  const flush = () => {
+    if (listItems) {
+      flushItem();
+      return;
+    }
+    const text = take();
+    if (text) {
+      items.push({ type: "paragraph", text, page });
+    }
+  };
+
+  for (const token of tokenizeMarkup(html)) {
+    const { type, name } = token;
+    if (type !== "text" && SKIPPED_TAGS.has(name) && !token.selfClosing) {
+      skipDepth += type === "open" ? 1 : -1;
+      skipDepth = Math.max(0, skipDepth);
+      continue;
+    }
+    if (skipDepth > 0) {
+      continue;
+    }
+
+    if (type === "text") {
+      if (pre !== null) {
+        pre += token.text;
+      } else if (table && table.cell !== null) {
+        table.cell += token.text;
+      } else {
+        buffer += token.text.replace(/\s+/g, " ");
+      }
+      continue;
+    }
+
+    if (pre !== null) {
+      if (type === "close" && name === "pre") {
+        const text = pre.replace(/^\n+|\s+$/g, "");
+        if (text) {
+          items.push({ type: "code", text, page });
+        }
+        pre = null;
+      }
+      continue;
+    }
+
+    if (table) {
+      if (type === "open" && (name === "td" || name === "th")) {
+        table.cell = "";
+      } else if (type === "close" && (name === "td" || name === "th") && table.cell !== null) {
+        table.row.push(table.cell.replace(/\s+/g, " ").trim());
+        table.cell = null;
+      } else if (type === "close" && name === "tr") {
+        if (table.row.some(Boolean)) {
+          table.rows.push(table.row);
+        }
+        table.row = [];
+      } else if (type === "close" && name === "table") {
+        const width = Math.max(0, ...table.rows.map((r) => r.length));
+        const rows = table.rows.map((r) => r.concat(Array(width - r.length).fill("")));
+        if (rows.length >= 2 && width >= 2) {
+          items.push({ type: "table", header: rows[0], rows: rows.slice(1), page });
+        } else if (rows.length > 0) {
+          items.push({ type: "paragraph", text: rows.map((r) => r.filter(Boolean).join(" ")).join("\n"), page });
+        }
+        table = null;
+      } else if (table.cell !== null && (name === "br" || BLOCK_TAGS.has(name))) {
+        table.cell += " ";
+      }
+      continue;
+    }
+
+    const level = HEADING_TAG.exec(name);
+    if (level) {
+      if (type === "open") {
+        flush();
+        heading = Number(level[1]);
+      } else if (heading) {
+        const text = take().replace(/\n/g, " ");
+        if (text) {
+          items.push({ type: "heading", level: heading, text, page });
+        }
+        heading = 0;
+      }
+      continue;
+    }
+
+    if (name === "ul" || name === "ol") {
+      if (type === "open") {
+        flush();
+        lists.push({ ordered: name === "ol" });
+        listItems = listItems || [];
+      } else if (lists.length > 0) {
+        flushItem();
+        lists.pop();
+        if (lists.length === 0) {
+          if (listItems.length > 0) {
+            items.push({ type: "list", items: listItems, page });
+          }
+          listItems = null;
+        }
+      }
+      continue;
+    }
+    if (name === "li") {
+      flushItem();
+      continue;
+    }
+    if (name === "table" && type === "open") {
+      flush();
+      table = { rows: [], row: [], cell: null };
+      continue;
+    }
+    if (name === "pre" && type === "open") {
+      flush();
+      pre = "";
+      continue;
+    }
+    if (name === "br") {
+      buffer += "\n";
+      continue;
+    }
+    if (BLOCK_TAGS.has(name)) {
+      if (listItems) {
+        buffer += " ";
+      } else {
+        flush();
+      }
+    }
+  }
+  flush();
+  if (listItems && listItems.length > 0) {
+    items.push({ type: "list", items: listItems, page });
+  }
+  return items;
+}
+
+module.exports = {
+  htmlToItems,
+};
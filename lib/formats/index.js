@@ -0,0 +1,131 @@
+const path = require("path");
+const { extractPdf } = require("../pdf");
+const { renderMarkdownTable } = require("../tables");
+const { htmlToItems } = require("./html");
+const { markdownToItems } = require("./markdown");
+const { extractDocx } = require("./docx");
+const { extractEpub } = require("./epub");
+
+// PDFs yield positioned page lines and go through heading heuristics (and
+// OCR). The other formats yield document items with their native headings,
+// lists and tables: `{ type: "heading" | "paragraph" | "list" | "table" | "code", ... }`.
+const FORMATS = [
+  {
+    name: "pdf",
+    extensions: [".pdf"],
+    mimeTypes: ["application/pdf"],
+    extract: extractPdf,
+  },
+  {
+    name: "epub",
+    extensions: [".epub"],
+    mimeTypes: ["application/epub+zip"],
+    extract: extractEpub,
+  },
+  {
+    name: "docx",
+    extensions: [".docx"],
+    mimeTypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+    extract: extractDocx,
+  },
+  {
+    name: "html",
+    extensions: [".html", ".htm", ".xhtml"],
+    mimeTypes: ["text/html", "application/xhtml+xml"],
+    extract: async (data) => htmlToItems(data.toString("utf8")),
+  },
+  {
+    name: "markdown",
+    extensions: [".md", ".markdown"],
+    mimeTypes: ["text/markdown", "text/x-markdown"],
+    extract: async (data) => markdownToItems(data.toString("utf8")),
+  },
+];
+// Browsers and curl often send these for any file they cannot classify.
+const GENERIC_MIME_TYPES = ["", "application/octet-stream", "application/zip", "text/plain"];
+const SUPPORTED_EXTENSIONS = FORMATS.flatMap((f) => f.extensions);
+
+function sniffFormat(data) {
+  const head = data.subarray(0, 4096).toString("latin1");
+  if (head.startsWith("%PDF")) {
+    return "pdf";
+  }
+  if (head.startsWith("PK")) {
+    if (head.includes("application/epub+zip")) {
+      return "epub";
+    }
+    if (head.includes("word/") || head.includes("[Content_Types].xml")) {
+      return "docx";
+    }
+    return null;
+  }
+  // `head` is latin1, so a UTF-8 BOM shows up as three characters.
+  if (/^\s*(<!doctype html|<html|<\?xml[^>]*>\s*<html)/i.test(head.replace(/^\u00ef\u00bb\u00bf/, ""))) {
+    return "html";
+  }
+  return null;
+}
+
+// Picks a format by file extension, falling back to magic bytes for unnamed
+// buffers.
+function detectFormat(name, data) {
+  const ext = path.extname(String(name || "")).toLowerCase();
+  const byExtension = FORMATS.find((f) => f.extensions.includes(ext));
+  if (byExtension) {
+    return byExtension;
+  }
+  const sniffed = data ? sniffFormat(data) : null;
+  return sniffed ? FORMATS.find((f) => f.name === sniffed) : null;
+}
+
+function acceptsUpload(name, mimeType) {
+  const format = detectFormat(name);
+  const mime = String(mimeType || "").toLowerCase();
+  return Boolean(format) && (format.mimeTypes.includes(mime) || GENERIC_MIME_TYPES.includes(mime));
+}
+
+function renderList(items) {
+  const counters = [];
+  return items
+    .map((item) => {
+      counters.length = item.depth + 1;
+      counters[item.depth] = (counters[item.depth] || 0) + 1;
+      const marker = item.ordered ? `${counters[item.depth]}.` : "-";
+      return `${"  ".repeat(item.depth)}${marker} ${item.text}`;
+    })
+    .join("\n");
+}
+
+function renderItem(item) {
+  switch (item.type) {
+    case "heading":
+      return `${"#".repeat(item.level)} ${item.text}`;
+    case "list":
+      return renderList(item.items);
+    case "table":
+      return renderMarkdownTable(item);
+    default:
+      return item.text;
+  }
+}
+
+async function extractDocument(format, data, options = {}) {
+  if (format.name === "pdf") {
+    return format.extract(data, options);
+  }
+  const items = await format.extract(data);
+  return {
+    numPages: null,
+    text: items.map(renderItem).join("\n\n"),
+    items,
+  };
+}
+
+module.exports = {
+  FORMATS,
+  SUPPORTED_EXTENSIONS,
+  detectFormat,
+  acceptsUpload,
+  renderItem,
+  extractDocument,
+};
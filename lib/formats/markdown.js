@@ -0,0 +1,133 @@
+const ATX_HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const SETEXT_RULE = /^(=+|-+)\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const FENCE = /^\s*(```|~~~)/;
+const THEMATIC_BREAK = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const TABLE_RULE = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+// Drops inline markup but keeps the words: links and images keep their text,
+// emphasis and code spans lose their markers.
+function cleanInline(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/<[^>]+>/g, "")
+    .replace(/(\*\*|__)(.+?)\1/g, "$2")
+    .replace(/(\*|_)(\S.*?)\1/g, "$2")
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function splitTableRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/\|$/, "")
+    .split(/(?<!\\)\|/)
+    .map((cell) => cleanInline(cell.replace(/\\\|/g, "|")));
+}
+
+function indentDepth(indent) {
+  return Math.floor(indent.replace(/\t/g, "    ").length / 2);
+}
+
+function markdownToItems(source) {
+  const lines = String(source).replace(/\r/g, "").split("\n");
+  const items = [];
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    const text = paragraph.map(cleanInline).filter(Boolean).join("\n");
+    if (text) {
+      items.push({ type: "paragraph", text, page: null });
+    }
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list && list.length > 0) {
+      items.push({ type: "list", items: list, page: null });
+    }
+    list = null;
+  };
+  const flush = () => {
+    flushParagraph();
+    flushList();
+  };
+
+  let i = 0;
+  if (lines[0] === "---") {
+    const end = lines.indexOf("---", 1);
+    i = end > 0 ? end + 1 : 0;
+  }
+  for (; i < lines.length; i += 1) {
+    const raw = lines[i];
+    const line = raw.replace(/^\s{0,3}>\s?/, "");
+
+    if (FENCE.test(line)) {
+      flush();
+      const fence = line.trim().slice(0, 3);
+      const code = [];
+      for (i += 1; i < lines.length && !lines[i].trim().startsWith(fence); i += 1) {
+        code.push(lines[i]);
+      }
+      if (code.some((l) => l.trim())) {
+        items.push({ type: "code", text: code.join("\n"), page: null });
+      }
+      continue;
+    }
+    if (!line.trim()) {
+      flushParagraph();
+      continue;
+    }
+    const heading = ATX_HEADING.exec(line);
+    if (heading) {
+      flush();
+      items.push({ type: "heading", level: heading[1].length, text: cleanInline(heading[2]), page: null });
+      continue;
+    }
+    if (paragraph.length === 1 && !list && SETEXT_RULE.test(line)) {
+      const text = cleanInline(paragraph[0]);
+      paragraph = [];
+      items.push({ type: "heading", level: line.trim()[0] === "=" ? 1 : 2, text, page: null });
+      continue;
+    }
+    if (THEMATIC_BREAK.test(line)) {
+      flush();
+      continue;
+    }
+    if (line.includes("|") && i + 1 < lines.length && TABLE_RULE.test(lines[i + 1])) {
+      flush();
+      const header = splitTableRow(line);
+      const rows = [];
+      for (i += 2; i < lines.length && lines[i].includes("|") && lines[i].trim(); i += 1) {
+        const row = splitTableRow(lines[i]);
+        rows.push(header.map((_, idx) => row[idx] || ""));
+      }
+      i -= 1;
+      items.push({ type: "table", header, rows, page: null });
+      continue;
+    }
+    const item = LIST_ITEM.exec(line);
+    if (item) {
+      flushParagraph();
+      list = list || [];
+      list.push({ text: cleanInline(item[3]), depth: indentDepth(item[1]), ordered: /\d/.test(item[2]) });
+      continue;
+    }
+    if (list && /^\s+\S/.test(line) && paragraph.length === 0) {
+      const last = list[list.length - 1];
+      last.text = `${last.text} ${cleanInline(line)}`;
+      continue;
+    }
+    flushList();
+    paragraph.push(line);
+  }
+  flush();
+  return items;
+}
+
+module.exports = {
+  markdownToItems,
+};
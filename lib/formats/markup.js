@@ -0,0 +1,70 @@
+// A small tolerant tokenizer for HTML/XHTML and Office XML. It does not build
+// a tree; extractors walk the token stream and keep only the state they need.
+const TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<([!?/]?)([^\s>/]*)([^>]*?)(\/?)>|([^<]+)/g;
+const ATTR = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  bull: "•",
+  middot: "·",
+  copy: "©",
+  reg: "®",
+  trade: "™",
+  times: "×",
+  deg: "°",
+};
+
+function decodeEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const n = code[1] === "x" || code[1] === "X" ? Number.parseInt(code.slice(2), 16) : Number.parseInt(code.slice(1), 10);
+      return Number.isFinite(n) && n > 0 && n <= 0x10ffff ? String.fromCodePoint(n) : match;
+    }
+    const named = NAMED_ENTITIES[code.toLowerCase()];
+    return named === undefined ? match : named;
+  });
+}
+
+function parseAttrs(source) {
+  const attrs = {};
+  for (const m of source.matchAll(ATTR)) {
+    attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? "");
+  }
+  return attrs;
+}
+
+// Yields `{ type: "open" | "close" | "text", name, attrs, selfClosing, text }`.
+// Tag names are lower-cased; namespace prefixes (`w:p`) are kept.
+function* tokenizeMarkup(source) {
+  for (const m of String(source).matchAll(TOKEN)) {
+    if (m[1] !== undefined) {
+      yield { type: "text", text: m[1] };
+    } else if (m[6] !== undefined) {
+      yield { type: "text", text: decodeEntities(m[6]) };
+    } else if (m[3] !== undefined && m[2] !== "!" && m[2] !== "?") {
+      const name = m[3].toLowerCase();
+      if (m[2] === "/") {
+        yield { type: "close", name };
+      } else {
+        yield { type: "open", name, attrs: parseAttrs(m[4]), selfClosing: m[5] === "/" };
+      }
+    }
+  }
+}
+
+module.exports = {
+  decodeEntities,
+  tokenizeMarkup,
+};
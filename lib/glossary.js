@@ -0,0 +1,333 @@
+const { formatSourceRef } = require("./sections");
+const { findPackFile, readRoutes } = require("./pack");
+
+const GLOSSARY_MD = "skills/glossary.md";
+const GLOSSARY_PATH = "skills/glossary.json";
+// Skills listed per term in glossary.md; glossary.json lists them all.
+const MAX_LINKED_SKILLS = 8;
+const MAX_DEFINITION_CHARS = 300;
+
+const HAN_RUN = "\\p{Script=Han}";
+// Groups: an opening quote, the term and its acronym.
+const EN_DEFINITION = new RegExp(
+  "^(?:(?:[Aa]n?|[Tt]he)\\s+)?([“\"「]?)([A-Za-z][\\w'-]*(?:\\s+[A-Za-z0-9][\\w'-]*){0,3}?)[”\"」]?" +
+    "(?:\\s+\\(([A-Z][A-Za-z0-9&]{1,9})\\))?" +
+    "\\s+(?:(?:is|are)\\s+(?:an?|the|any|one)\\s|(?:is|are)\\s+defined\\s+as\\s|refers?\\s+to\\s|means\\s)"
+);
+const ZH_DEFINITION = new RegExp(
+  `^(?:所谓)?[“「"]?([${HAN_RUN}A-Za-z0-9·\\- ]{2,16}?)[”」"]?\\s*(?:[:：]\\s*指|是指|指的是|定义为|是一种|是一種)`,
+  "u"
+);
+// Bold markers are stripped at extraction, so a bold-term list reaches us as
+// "- Term: definition" list items.
+const TERM_ITEM = /^\s*[-*]\s+([^:：—–]{1,40}?)\s*(?:[:：]|\s[—–-]\s)\s*(.{8,})$/;
+const TERM_CHARS = /^[\p{L}\p{N}-][\p{L}\p{N}\s'’·_-]*$/u;
+const NOT_TERMS = /^(this|that|these|those|it|its|there|here|they|which|what|who|whose|each|every|all|some|any|no|another|other|such|many|most|both|either|neither|my|our|your|his|her|their|one|everything|nothing|something|anything|if|when|unless|step|note|warning|tip|example|caution|注意|提示|步骤|例如|如果)\b/i;
+const RELATIVE_WORDS = /^(which|whose|who|whom|that|where|when)$/i;
+
+const EXPANSION_ACRONYM = /([A-Za-z][\w-]*(?:\s+[\w-]+){0,7})\s*[(（]([A-Z][A-Za-z0-9&]{1,9})[)）]/g;
+const ACRONYM_EXPANSION = /\b([A-Z][A-Z0-9&]{1,9})\s*[(（]([A-Za-z][^()（）]{3,60})[)）]/g;
+const HAN_ACRONYM = new RegExp(`([${HAN_RUN}]{2,8})\\s*[(（]([A-Z][A-Za-z0-9&]{1,9})[)）]`, "gu");
+const MINOR_WORDS = new Set(["of", "and", "the", "for", "to", "in", "on", "a", "an", "&"]);
+// Acronyms that are also everyday words only match in capitals, so "IT" is
+// not found in every "it".
+const COMMON_WORDS = new Set([
+  "am", "an", "as", "at", "be", "by", "do", "go", "he", "if", "in", "is", "it", "me", "my", "no", "of", "ok",
+  "on", "or", "so", "to", "up", "us", "we", "all", "and", "any", "are", "can", "for", "may", "not", "the", "use",
+]);
+
+function squash(text) {
+  return String(text).replace(/\s+/g, " ").trim();
+}
+
+function termKey(term) {
+  return squash(term).normalize("NFKC").toLowerCase();
+}
+
+function sentences(content) {
+  return String(content)
+    .split("\n")
+    .filter((line) => !/^\s*(#|\|)/.test(line))
+    .flatMap((line) => line.split(/(?<=[.!?。！？])\s*/))
+    .map(squash)
+    .filter(Boolean);
+}
+
+// "hit points (HP)" and "HP (hit points)": the acronym's letters must be the
+// initials of the expansion's words, with or without "of", "and" and so on.
+function matchInitials(words, acronym) {
+  const letters = acronym.replace(/(?<=[A-Z])s$/, "").replace(/[^A-Za-z0-9]/g, "").toLowerCase();
+  for (let k = 1; k <= Math.min(words.length, letters.length + 3); k += 1) {
+    const tail = words.slice(-k);
+    const all = tail.map((w) => w[0].toLowerCase()).join("");
+    const major = tail.filter((w) => !MINOR_WORDS.has(w.toLowerCase())).map((w) => w[0].toLowerCase()).join("");
+    if ((all === letters || major === letters) && !MINOR_WORDS.has(tail[0].toLowerCase())) {
+      return tail.join(" ");
+    }
+  }
+  return null;
+}
+
+function findAcronyms(text) {
+  const found = [];
+  for (const m of text.matchAll(EXPANSION_ACRONYM)) {
+    const expansion = matchInitials(m[1].split(/\s+/), m[2]);
+    if (expansion) {
+      found.push({ acronym: m[2], expansion });
+    }
+  }
+  for (const m of text.matchAll(ACRONYM_EXPANSION)) {
+    const words = squash(m[2]).split(" ");
+    const expansion = matchInitials(words, m[1]);
+    if (expansion && expansion.split(" ").length === words.length) {
+      found.push({ acronym: m[1], expansion });
+    }
+  }
+  // Chinese has no initials to check; the expansion starts after the last
+  // particle ("玩家的经验值（EXP）" expands to 经验值).
+  for (const m of text.matchAll(HAN_ACRONYM)) {
+    const expansion = m[1].split(/[的了在和与及是将把]/).pop();
+    if (expansion.length >= 2) {
+      found.push({ acronym: m[2], expansion });
+    }
+  }
+  return found;
+}
+
+// "Poison and burning are the ..." lists things rather than defining one, and
+// "the item after it is ..." is a sentence fragment.
+function isTerm(term) {
+  const words = term.split(" ");
+  return (
+    term.length >= 2 &&
+    words.length <= 4 &&
+    TERM_CHARS.test(term) &&
+    !/^\d/.test(term) &&
+    !NOT_TERMS.test(term) &&
+    !words.some((w) => /^(and|or)$/i.test(w) || RELATIVE_WORDS.test(w)) &&
+    !/^(it|them|this|that|one)$/i.test(words[words.length - 1])
+  );
+}
+
+// "X is a ..." only defines X when X reads as a name: quoted, given with its
+// acronym, or capitalised ("Mana", "The Magic Circle"). "A shrine is ..." and
+// "files is the ..." are ordinary sentences.
+function namesTerm(quote, term, acronym) {
+  return Boolean(quote || acronym) || term.split(" ").every((w, i) => /^[A-Z0-9]/.test(w) || (i > 0 && MINOR_WORDS.has(w)));
+}
+
+function clip(text) {
+  return text.length > MAX_DEFINITION_CHARS ? `${text.slice(0, MAX_DEFINITION_CHARS - 3)}...` : text;
+}
+
+// Defined terms in one skill's text: definitional sentences ("X is a ...",
+// "X：指..."), and term lists, which need two or more "Term: ..." items in a
+// row so that a lone "Note: ..." does not count.
+function findDefinitions(content) {
+  const found = [];
+  for (const sentence of sentences(content)) {
+    const en = EN_DEFINITION.exec(sentence);
+    if (en && namesTerm(en[1], squash(en[2]), en[3]) && isTerm(squash(en[2]))) {
+      found.push({ term: squash(en[2]), acronym: en[3], definition: clip(sentence) });
+      continue;
+    }
+    const zh = en ? null : ZH_DEFINITION.exec(sentence);
+    if (zh && isTerm(squash(zh[1]))) {
+      found.push({ term: squash(zh[1]), definition: clip(sentence) });
+    }
+  }
+  let run = [];
+  const flush = () => {
+    if (run.length >= 2) {
+      found.push(...run);
+    }
+    run = [];
+  };
+  for (const line of String(content).split("\n")) {
+    const m = TERM_ITEM.exec(line);
+    if (m && isTerm(squash(m[1]))) {
+      run.push({ term: squash(m[1]), definition: clip(squash(m[2])) });
+    } else {
+      flush();
+    }
+  }
+  flush();
+  return found;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Word-bounded for Latin terms.
+function termPattern(term, caseSensitive) {
+  const flags = caseSensitive ? "gu" : "giu";
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, flags);
+}
+
+function countUses(entry, item) {
+  const needles = [{ text: entry.term, exact: false }];
+  if (entry.acronym) {
+    needles.push({ text: entry.acronym, exact: COMMON_WORDS.has(entry.acronym.toLowerCase()) });
+  }
+  let count = 0;
+  for (const needle of needles) {
+    count += (String(item.content).match(termPattern(needle.text, needle.exact)) || []).length;
+  }
+  if (count === 0 && item.keywords.includes(termKey(entry.term))) {
+    count = 1;
+  }
+  return count;
+}
+
+// Merges the definitions and acronyms found in every skill into one entry per
+// term. The first definition wins; an acronym whose expansion is a defined
+// term joins that term's entry.
+function collectEntries(items) {
+  const entries = new Map();
+  const entryFor = (term, item) => {
+    const key = termKey(term);
+    if (!entries.has(key)) {
+      entries.set(key, { term, definition: "", definedIn: item.id, source: item.sources[0] });
+    }
+    return entries.get(key);
+  };
+  for (const item of items) {
+    for (const d of findDefinitions(item.content)) {
+      const entry = entryFor(d.term, item);
+      if (!entry.definition) {
+        Object.assign(entry, { definition: d.definition, definedIn: item.id, source: item.sources[0] });
+      }
+      if (d.acronym && !entry.acronym) {
+        entry.acronym = d.acronym;
+      }
+    }
+    for (const a of findAcronyms(item.content)) {
+      const entry = entryFor(a.expansion, item);
+      if (!entry.acronym) {
+        entry.acronym = a.acronym;
+      }
+    }
+  }
+  // An acronym that is also defined on its own ("HP is a ...") folds into
+  // its expansion.
+  for (const entry of Array.from(entries.values())) {
+    const alias = entry.acronym && entries.get(termKey(entry.acronym));
+    if (alias && alias !== entry && !alias.acronym) {
+      entry.definition = entry.definition || alias.definition;
+      entries.delete(termKey(entry.acronym));
+    }
+  }
+  return Array.from(entries.values());
+}
+
+function buildGlossaryMd(entries, titles) {
+  const lines = [
+    "# Glossary",
+    "",
+    `${entries.length} terms defined or abbreviated in this pack, with the skills that use them.`,
+  ];
+  let letter = null;
+  for (const entry of entries) {
+    const initial = entry.term[0].toUpperCase();
+    if (initial !== letter) {
+      letter = initial;
+      lines.push("", `## ${initial}`, "");
+    }
+    const name = entry.acronym ? `**${entry.term}** (${entry.acronym})` : `**${entry.term}**`;
+    const where = entry.source ? `, see ${formatSourceRef(entry.source)}` : "";
+    lines.push(`- ${name}: ${entry.definition || `abbreviation${where}`}`);
+    const shown = entry.skills.slice(0, MAX_LINKED_SKILLS).map((id) => `[${titles.get(id).replace(/[[\]]/g, "")}](${id}.md)`);
+    const more = entry.skills.length > MAX_LINKED_SKILLS ? ` and ${entry.skills.length - MAX_LINKED_SKILLS} more` : "";
+    lines.push(`  - Used in: ${shown.join(", ")}${more}`);
+  }
+  return lines.join("\n");
+}
+
+// Extracts defined terms and acronyms from the skill items and links each to
+// the skills that mention it, the defining skill first. Returns the glossary
+// files (none when nothing was found), the entries and a report.
+function buildGlossary(items) {
+  const titles = new Map(items.map((item) => [item.id, item.title]));
+  const entries = collectEntries(items)
+    .map((entry) => {
+      const uses = items
+        .map((item, idx) => ({ id: item.id, idx, count: item.id === entry.definedIn ? Infinity : countUses(entry, item) }))
+        .filter((x) => x.count > 0)
+        .sort((a, b) => b.count - a.count || a.idx - b.idx);
+      return { ...entry, skills: uses.map((x) => x.id) };
+    })
+    .sort((a, b) => a.term.localeCompare(b.term, undefined, { sensitivity: "base" }));
+  const report = { terms: entries.length, acronyms: entries.filter((x) => x.acronym).length };
+  if (entries.length === 0) {
+    return { entries, files: [], report };
+  }
+  const json = entries.map((x) => ({
+    term: x.term,
+    acronym: x.acronym,
+    definition: x.definition || undefined,
+    definedIn: x.definedIn,
+    source: x.source,
+    skills: x.skills,
+  }));
+  return {
+    entries,
+    files: [
+      { relativePath: GLOSSARY_MD, content: buildGlossaryMd(entries, titles) },
+      { relativePath: GLOSSARY_PATH, content: JSON.stringify(json, null, 2) },
+    ],
+    report,
+  };
+}
+
+// The parsed glossary of a pack's files, or null when it was compiled without
+// one.
+function readGlossary(files) {
+  const routes = readRoutes(files);
+  if (!routes.glossary) {
+    return null;
+  }
+  const file = findPackFile(files, routes.glossary);
+  if (!file) {
+    throw new Error(`Skill pack has no ${routes.glossary}`);
+  }
+  try {
+    return JSON.parse(file.content);
+  } catch (err) {
+    throw new Error(`Invalid ${routes.glossary}: ${err.message}`);
+  }
+}
+
+// Acronym -> expansion from a parsed glossary.json.
+function glossaryAcronyms(glossary) {
+  const acronyms = {};
+  for (const entry of Array.isArray(glossary) ? glossary : []) {
+    if (entry.acronym && entry.term) {
+      acronyms[entry.acronym] = entry.term;
+    }
+  }
+  return acronyms;
+}
+
+// Appends the expansion of every known acronym in `query`, so "HP regen"
+// also matches skills that only say "hit points".
+function expandAcronyms(query, acronyms = {}) {
+  const expanded = [];
+  for (const [acronym, expansion] of Object.entries(acronyms)) {
+    if (termPattern(acronym, COMMON_WORDS.has(acronym.toLowerCase())).test(query) && !termPattern(expansion, false).test(query)) {
+      expanded.push({ acronym, expansion });
+    }
+  }
+  return { text: [query, ...expanded.map((x) => x.expansion)].join(" "), expanded };
+}
+
+module.exports = {
+  GLOSSARY_MD,
+  GLOSSARY_PATH,
+  findDefinitions,
+  findAcronyms,
+  buildGlossary,
+  readGlossary,
+  glossaryAcronyms,
+  expandAcronyms,
+};
@@ -0,0 +1,155 @@
+function countOf(value) {
+  return Array.isArray(value) ? value.length : Number(value) || 0;
+}
+
+function keywordWeights(item) {
+  const weights = new Map();
+  item.keywords.forEach((k, idx) => {
+    const w = Array.isArray(item.weights) ? Number(item.weights[idx]) : 1;
+    weights.set(k, Number.isFinite(w) ? w : 1);
+  });
+  return weights;
+}
+
+// `steps`/`conditions` may be the extracted lists or, as stored in
+// routes.json, their counts. With corpus `weights`, a hit on a weak keyword
+// earns half the points of a hit on the skill's most distinctive one.
+function scoreBreakdown(item, queryTokens) {
+  const kw = keywordWeights(item);
+  const matched = Array.from(new Set(queryTokens || [])).filter((x) => kw.has(x));
+  const overlap = (queryTokens || [])
+    .filter((x) => kw.has(x))
+    .reduce((sum, x) => sum + 0.5 + 0.5 * Math.min(1, kw.get(x)), 0);
+  const density = Math.min(25, Math.round((item.keywords.length / 12) * 25));
+  const conditionBonus = Math.min(20, countOf(item.conditions) * 4);
+  const stepBonus = Math.min(15, countOf(item.steps) * 3);
+  const overlapScore = Math.min(40, Math.round(overlap * 8));
+  return {
+    matched,
+    overlapScore,
+    density,
+    conditionBonus,
+    stepBonus,
+    score: Math.max(0, Math.min(100, overlapScore + density + conditionBonus + stepBonus)),
+  };
+}
+
+function estimateRoutingScore(item, queryTokens) {
+  if (!queryTokens || queryTokens.length === 0) {
+    return 60;
+  }
+  return scoreBreakdown(item, queryTokens).score;
+}
+
+function jaccard(a, b) {
+  const sa = new Set(a);
+  const sb = new Set(b);
+  if (sa.size === 0 && sb.size === 0) {
+    return 0;
+  }
+  let inter = 0;
+  for (const x of sa) {
+    if (sb.has(x)) {
+      inter += 1;
+    }
+  }
+  const union = sa.size + sb.size - inter;
+  return union === 0 ? 0 : inter / union;
+}
+
+// Weighted (Ruzicka) Jaccard: shared terms count by their smaller weight, so two
+// skills only link strongly when they share terms that matter to both.
+function weightedJaccard(a, b) {
+  const wa = keywordWeights(a);
+  const wb = keywordWeights(b);
+  let inter = 0;
+  let union = 0;
+  for (const term of new Set([...wa.keys(), ...wb.keys()])) {
+    const x = wa.get(term) || 0;
+    const y = wb.get(term) || 0;
+    inter += Math.min(x, y);
+    union += Math.max(x, y);
+  }
+  return union === 0 ? 0 : inter / union;
+}
+
+// Minimum weighted keyword similarity for an edge, by weighting scheme. BM25
+// and TF-IDF keywords are each skill's most distinctive terms, so related
+// skills share only one or two of them; raw-frequency keywords overlap far
+// more.
+const DEPENDENCY_THRESHOLDS = { bm25: 0.04, tfidf: 0.05, tf: 0.22 };
+const DEPENDENCY_THRESHOLD = DEPENDENCY_THRESHOLDS.bm25;
+
+function buildDependencies(items, threshold = DEPENDENCY_THRESHOLD) {
+  const deps = [];
+  for (let i = 0; i < items.length; i += 1) {
+    for (let j = 0; j < items.length; j += 1) {
+      if (i === j) {
+        continue;
+      }
+      const score = Array.isArray(items[i].weights) && Array.isArray(items[j].weights)
+        ? weightedJaccard(items[i], items[j])
+        : jaccard(items[i].keywords, items[j].keywords);
+      if (score >= threshold) {
+        deps.push({
+          from: items[i].id,
+          to: items[j].id,
+          weight: Number(score.toFixed(2)),
+        });
+      }
+    }
+  }
+
+  const dedup = new Map();
+  for (const d of deps) {
+    const key = `${d.from}->${d.to}`;
+    dedup.set(key, d);
+  }
+  return Array.from(dedup.values());
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i += 1) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na === 0 || nb === 0 ? 0 : dot / Math.sqrt(na * nb);
+}
+
+const SEMANTIC_THRESHOLD = 0.6;
+
+// Same edge shape as `buildDependencies`, scored by cosine similarity of the
+// skills' embeddings (`vectors[idx]` belongs to `items[idx]`). Symmetric, so
+// every edge appears in both directions.
+function buildSemanticDependencies(items, vectors, threshold = SEMANTIC_THRESHOLD) {
+  const deps = [];
+  for (let i = 0; i < items.length; i += 1) {
+    for (let j = 0; j < items.length; j += 1) {
+      if (i === j) {
+        continue;
+      }
+      const score = cosine(vectors[i], vectors[j]);
+      if (score >= threshold) {
+        deps.push({ from: items[i].id, to: items[j].id, weight: Number(score.toFixed(2)) });
+      }
+    }
+  }
+  return deps;
+}
+
+module.exports = {
+  DEPENDENCY_THRESHOLDS,
+  DEPENDENCY_THRESHOLD,
+  SEMANTIC_THRESHOLD,
+  scoreBreakdown,
+  estimateRoutingScore,
+  jaccard,
+  weightedJaccard,
+  buildDependencies,
+  cosine,
+  buildSemanticDependencies,
+};
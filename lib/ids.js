@@ -0,0 +1,50 @@
+const { hashContent } = require("./cache");
+
+const HEADING_NUMBER = /^(chapter\s+\S+|part\s+\S+|appendix\s+\S+|第\S+?[章节篇部卷]|\d+(?:\.\d+)*\.?)\s*[:：.-]?\s*/i;
+
+// Heading numbers shift whenever a section is inserted earlier in the book,
+// so they are stripped before hashing; bare "Chapter 3" headings keep theirs.
+function headingIdentity(heading) {
+  const clean = String(heading).toLowerCase().replace(/\s+/g, " ").trim();
+  const stripped = clean.replace(HEADING_NUMBER, "").trim();
+  return stripped || clean;
+}
+
+// Chunks without a section path are identified by their most frequent terms,
+// which rarely change when a sentence is edited.
+function contentFingerprint(text) {
+  const freq = new Map();
+  for (const token of String(text).toLowerCase().match(/[a-z0-9]{3,}|[\u4e00-\u9fff]/g) || []) {
+    freq.set(token, (freq.get(token) || 0) + 1);
+  }
+  return Array.from(freq.entries())
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, 8)
+    .map(([token]) => token)
+    .sort()
+    .join(" ");
+}
+
+function stableSkillId(chunk) {
+  const identity = chunk.path && chunk.path.length > 0
+    ? `path:${chunk.path.map(headingIdentity).join("\n")}#${chunk.part || 0}`
+    : `content:${contentFingerprint(chunk.text)}`;
+  return `skill-${hashContent(identity).slice(0, 8)}`;
+}
+
+// Assigns IDs in document order; repeated identities (the same section in two
+// editions of a book) get a numeric suffix.
+function assignSkillIds(chunks) {
+  const seen = new Map();
+  return chunks.map((chunk) => {
+    const base = stableSkillId(chunk);
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base}-${count}`;
+  });
+}
+
+module.exports = {
+  stableSkillId,
+  assignSkillIds,
+};
@@ -0,0 +1,168 @@
+const path = require("path");
+const crypto = require("crypto");
+const { fork } = require("child_process");
+
+const WORKER_PATH = path.join(__dirname, "compile-worker.js");
+const FINISHED = new Set(["done", "failed", "cancelled"]);
+
+function describeProgress(p) {
+  const file = p.fileCount > 1 ? ` ${p.file} (${p.fileIndex}/${p.fileCount})` : p.file ? ` ${p.file}` : "";
+  switch (p.stage) {
+    case "queued":
+      return "Waiting for a free worker";
+    case "parsing":
+      return p.pages ? `Parsing${file} page ${p.page}/${p.pages}` : `Parsing${file}`;
+    case "ocr":
+      return `OCR${file} page ${p.pdfPage} (${p.page}/${p.pages} scanned pages)`;
+    case "images":
+      return p.pages ? `Extracting images${file} page ${p.page}/${p.pages}` : `Extracting images${file}`;
+    case "chunking":
+      return "Chunking sections";
+    case "analyzing":
+      return `Analyzing ${p.chunks} chunks`;
+    case "enriching":
+      return `Enriching skill ${p.current}/${p.total}`;
+    case "embedding":
+      return `Embedding chunks (${p.current}/${p.total} done)`;
+    case "building":
+      return "Building skill files";
+    case "writing":
+      return "Writing zip";
+    default:
+      return p.stage;
+  }
+}
+
+function publicJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+// An in-memory queue that runs each compile in a forked worker. At most
+// `concurrency` workers run at once; a worker that exceeds `timeoutMs` or is
+// cancelled is killed. `onFinish(job)` runs once per job for cleanup.
+function createJobQueue({ concurrency = 2, timeoutMs = 10 * 60 * 1000, onFinish = () => {} } = {}) {
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  function finish(job, status, fields) {
+    if (FINISHED.has(job.status)) {
+      return;
+    }
+    Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+    clearTimeout(job.timer);
+    if (job.child) {
+      job.child.kill();
+      job.child = null;
+      running -= 1;
+    }
+    try {
+      onFinish(job);
+    } catch (_) {
+      // Cleanup failures must not stall the queue.
+    }
+    drain();
+  }
+
+  function start(job) {
+    running += 1;
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    job.progress = { stage: "starting", message: "Starting worker" };
+
+    const child = fork(WORKER_PATH, [], { stdio: ["ignore", "ignore", "inherit", "ipc"] });
+    job.child = child;
+    job.timer = setTimeout(() => {
+      finish(job, "failed", { error: `Compile timed out after ${Math.round(timeoutMs / 1000)}s` });
+    }, timeoutMs);
+
+    child.on("message", (msg) => {
+      if (msg.type === "progress") {
+        job.progress = { ...msg.progress, message: describeProgress(msg.progress) };
+      } else if (msg.type === "done") {
+        finish(job, "done", { result: msg.result, progress: { stage: "done", message: "Done" } });
+      } else if (msg.type === "error") {
+        finish(job, "failed", { error: msg.error });
+      }
+    });
+    child.on("exit", (code, signal) => {
+      finish(job, "failed", { error: `Worker exited unexpectedly (${signal || code})` });
+    });
+    child.send(job.spec);
+  }
+
+  function drain() {
+    while (running < concurrency && pending.length > 0) {
+      start(pending.shift());
+    }
+  }
+
+  return {
+    submit(spec, meta = {}) {
+      const job = {
+        id: crypto.randomBytes(8).toString("hex"),
+        status: "queued",
+        progress: { stage: "queued", message: describeProgress({ stage: "queued" }) },
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        spec,
+        meta,
+        child: null,
+        timer: null,
+      };
+      jobs.set(job.id, job);
+      pending.push(job);
+      drain();
+      return job;
+    },
+    get(id) {
+      return jobs.get(id) || null;
+    },
+    list() {
+      return Array.from(jobs.values());
+    },
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job || FINISHED.has(job.status)) {
+        return false;
+      }
+      const index = pending.indexOf(job);
+      if (index >= 0) {
+        pending.splice(index, 1);
+      }
+      finish(job, "cancelled", { error: "Cancelled" });
+      return true;
+    },
+    // Forgets finished jobs older than `maxAgeMs`; their files are removed
+    // separately by the output TTL sweep.
+    prune(maxAgeMs) {
+      const now = Date.now();
+      for (const [id, job] of jobs) {
+        if (FINISHED.has(job.status) && now - Date.parse(job.finishedAt) > maxAgeMs) {
+          jobs.delete(id);
+        }
+      }
+    },
+    stats() {
+      return { running, queued: pending.length, concurrency };
+    },
+  };
+}
+
+module.exports = {
+  createJobQueue,
+  describeProgress,
+  publicJob,
+};
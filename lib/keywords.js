@@ -0,0 +1,161 @@
+const { createSegmenter } = require("./segment");
+
+const STOPWORDS = new Set([
+  "the", "and", "for", "with", "this", "that", "from", "into", "your", "when", "where", "what", "which", "will",
+  "are", "is", "to", "of", "on", "in", "by", "or", "as", "an", "a", "be", "at", "it", "if", "else", "then",
+  "我们", "你们", "他们", "可以", "需要", "进行", "以及", "通过", "一个", "一种", "这些", "那些", "为了", "相关",
+  "使用", "方法", "步骤", "说明", "内容", "处理", "系统", "模块", "结果", "生成", "分析", "执行", "支持", "包括",
+]);
+
+const STOPWORDS_EN = new Set([
+  "the", "and", "for", "with", "this", "that", "from", "into", "your", "when", "where", "what", "which", "will",
+  "are", "is", "to", "of", "on", "in", "by", "or", "as", "an", "a", "be", "at", "it", "if", "else", "then",
+  "can", "should", "could", "would", "using", "used", "use", "also", "such", "than", "been", "was", "were",
+]);
+
+const STOPWORDS_ZH = new Set([
+  "我们", "你们", "他们", "可以", "需要", "进行", "以及", "通过", "一个", "一种", "这些", "那些", "为了", "相关",
+  "使用", "方法", "步骤", "说明", "内容", "处理", "系统", "模块", "结果", "生成", "分析", "执行", "支持", "包括",
+  "实现", "进行中", "提供", "根据", "其中", "如何", "什么", "为什么", "然后", "否则", "如果", "当", "并且",
+  "这个", "那个", "因为", "所以", "但是", "可能", "已经", "就是", "还是", "或者", "时候", "之后", "之前", "以后",
+]);
+
+const STOPWORDS_JA = new Set([
+  "こと", "もの", "これ", "それ", "あれ", "ため", "よう", "場合", "以下", "以上", "について", "ください",
+]);
+
+const STOPWORDS_KO = new Set([
+  "그리고", "그러나", "하지만", "이것", "그것", "저것", "경우", "때문", "위해", "통해", "대한", "있는", "있다", "없다",
+  "합니다", "한다", "하는", "하고", "또는", "에서",
+]);
+
+const KO_PARTICLES = ["에서는", "으로는", "에서", "으로", "에게", "까지", "부터", "은", "는", "이", "가", "을", "를", "의", "에", "로", "와", "과", "도", "만"];
+
+const HAN = "\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff";
+const KANA = "\\u3040-\\u30ff\\u31f0-\\u31ff";
+const HANGUL = "\\uac00-\\ud7a3\\u1100-\\u11ff\\u3130-\\u318f";
+
+const HAN_TOKEN = new RegExp(`^[${HAN}]{2,}$`);
+const KATAKANA_RUN = /[\u30a0-\u30ff\u31f0-\u31ff]{2,}/g;
+const KANJI_RUN = new RegExp(`[${HAN}]{2,}`, "g");
+const HANGUL_RUN = /[\uac00-\ud7a3]{2,}/g;
+const LATIN_TOKEN = /[a-z0-9]{3,}/g;
+
+function countScript(text, ranges) {
+  return (text.match(new RegExp(`[${ranges}]`, "g")) || []).length;
+}
+
+// Full-width letters, digits and punctuation fold to ASCII so "ＡＢＣ１２３"
+// and "，" tokenize like their half-width forms.
+function foldWidth(text) {
+  return String(text || "").normalize("NFKC");
+}
+
+function detectLanguage(text) {
+  const source = foldWidth(text);
+  const han = countScript(source, HAN);
+  const kana = countScript(source, KANA);
+  const hangul = countScript(source, HANGUL);
+  const latin = (source.match(/[A-Za-z]/g) || []).length;
+  const cjk = han + kana + hangul;
+  if (cjk === 0 && latin === 0) {
+    return "auto";
+  }
+  if (latin > cjk) {
+    return "en";
+  }
+  if (hangul > han + kana) {
+    return "ko";
+  }
+  if (kana > 0 && kana >= (han + kana) * 0.15) {
+    return "ja";
+  }
+  return "zh";
+}
+
+function latinTokens(text) {
+  return (text.toLowerCase().match(LATIN_TOKEN) || []).filter((x) => !STOPWORDS_EN.has(x));
+}
+
+function chineseTokens(text, segmenter) {
+  return (segmenter || createSegmenter())
+    .cut(text)
+    .filter((x) => HAN_TOKEN.test(x))
+    .filter((x) => !STOPWORDS_ZH.has(x));
+}
+
+function japaneseTokens(text) {
+  return [...(text.match(KATAKANA_RUN) || []), ...(text.match(KANJI_RUN) || [])]
+    .filter((x) => x !== "ー".repeat(x.length))
+    .filter((x) => !STOPWORDS_JA.has(x));
+}
+
+function stripKoreanParticle(token) {
+  for (const particle of KO_PARTICLES) {
+    if (token.length > particle.length + 1 && token.endsWith(particle)) {
+      return token.slice(0, -particle.length);
+    }
+  }
+  return token;
+}
+
+function koreanTokens(text) {
+  return (text.match(HANGUL_RUN) || [])
+    .map(stripKoreanParticle)
+    .filter((x) => x.length >= 2 && !STOPWORDS_KO.has(x));
+}
+
+// `segmenter` is an optional `{ cut(text) }` from lib/segment.js carrying user
+// dictionaries; the bundled dictionary is used otherwise.
+function tokenize(text, langMode, segmenter) {
+  const source = foldWidth(text);
+  const selectedLang = langMode === "auto" ? detectLanguage(source) : langMode;
+  if (selectedLang === "zh") {
+    const zhTokens = chineseTokens(source, segmenter);
+    if (zhTokens.length > 0) {
+      return zhTokens;
+    }
+    return latinTokens(source);
+  }
+  if (selectedLang === "ja") {
+    const jaTokens = japaneseTokens(source);
+    return jaTokens.length > 0 ? jaTokens : latinTokens(source);
+  }
+  if (selectedLang === "ko") {
+    const koTokens = koreanTokens(source);
+    return koTokens.length > 0 ? koTokens : latinTokens(source);
+  }
+  if (selectedLang === "en") {
+    const enTokens = latinTokens(source);
+    if (enTokens.length > 0) {
+      return enTokens;
+    }
+    return chineseTokens(source, segmenter);
+  }
+  return [
+    ...(source.toLowerCase().match(LATIN_TOKEN) || []),
+    ...chineseTokens(source, segmenter),
+  ].filter((x) => !STOPWORDS.has(x));
+}
+
+function topKeywords(text, limit = 10, langMode = "auto", segmenter) {
+  const freq = new Map();
+  for (const token of tokenize(text, langMode, segmenter)) {
+    freq.set(token, (freq.get(token) || 0) + 1);
+  }
+  return Array.from(freq.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([k]) => k);
+}
+
+module.exports = {
+  STOPWORDS,
+  STOPWORDS_EN,
+  STOPWORDS_ZH,
+  STOPWORDS_JA,
+  STOPWORDS_KO,
+  detectLanguage,
+  tokenize,
+  topKeywords,
+};
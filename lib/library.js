@@ -0,0 +1,128 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const PACK_ZIP = "pack.zip";
+const PACK_META = "pack.json";
+const USER_ID = /^[a-z0-9-]{1,40}$/;
+const PACK_ID = /^[a-f0-9]{16}$/;
+// A folder without `pack.json` this old belongs to a compile the server lost
+// track of (it restarted mid-job).
+const ABANDONED_MS = 24 * 60 * 60 * 1000;
+
+// Compiled packs kept per user: `<root>/<user-id>/<pack-id>/pack.zip` plus
+// `pack.json` describing it. A pack is listed once its `pack.json` is
+// written, so compiles still running or failed never show up. Every compile
+// gets a new pack ID, so packs with the same name (from one user or several)
+// never overwrite each other.
+function createLibrary(root) {
+  fs.mkdirSync(root, { recursive: true });
+
+  function packDir(userId, packId) {
+    if (!USER_ID.test(userId) || !PACK_ID.test(packId)) {
+      return null;
+    }
+    return path.join(root, userId, packId);
+  }
+
+  function readMeta(userId, packId) {
+    const dir = packDir(userId, packId);
+    if (!dir) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(path.join(dir, PACK_META), "utf8"));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function list(userId) {
+    if (!USER_ID.test(userId)) {
+      return [];
+    }
+    let entries = [];
+    try {
+      entries = fs.readdirSync(path.join(root, userId));
+    } catch (_) {
+      return [];
+    }
+    return entries
+      .map((packId) => readMeta(userId, packId))
+      .filter(Boolean)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  return {
+    root,
+    // Reserves a pack ID and its folder for a compile that is about to run.
+    create(userId) {
+      const id = crypto.randomBytes(8).toString("hex");
+      const dir = packDir(userId, id);
+      if (!dir) {
+        throw new Error(`Invalid user ID: ${userId}`);
+      }
+      fs.mkdirSync(dir, { recursive: true });
+      return { id, zipPath: path.join(dir, PACK_ZIP) };
+    },
+    save(userId, packId, meta) {
+      const dir = packDir(userId, packId);
+      const zipPath = dir ? path.join(dir, PACK_ZIP) : null;
+      if (!zipPath || !fs.existsSync(zipPath)) {
+        throw new Error(`Pack ${packId} has no ${PACK_ZIP}`);
+      }
+      const full = { ...meta, id: packId, bytes: fs.statSync(zipPath).size };
+      fs.writeFileSync(path.join(dir, PACK_META), `${JSON.stringify(full, null, 2)}\n`, "utf8");
+      return full;
+    },
+    list,
+    get(userId, packId) {
+      return readMeta(userId, packId);
+    },
+    // A pack by ID, or the newest one with that skill name.
+    find(userId, ref) {
+      return readMeta(userId, ref) || list(userId).find((meta) => meta.name === ref) || null;
+    },
+    zipPath(userId, packId) {
+      const dir = packDir(userId, packId);
+      return dir ? path.join(dir, PACK_ZIP) : null;
+    },
+    remove(userId, packId) {
+      const dir = packDir(userId, packId);
+      if (!dir || !fs.existsSync(dir)) {
+        return false;
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+      return true;
+    },
+    // Deletes packs created more than `maxAgeMs` ago (never, if it is not
+    // finite) and abandoned compile folders. `keepIds` are packs of jobs still
+    // queued or running.
+    prune(maxAgeMs, keepIds = new Set()) {
+      const now = Date.now();
+      let users = [];
+      try {
+        users = fs.readdirSync(root, { withFileTypes: true }).filter((e) => e.isDirectory() && USER_ID.test(e.name));
+      } catch (_) {
+        return;
+      }
+      for (const user of users) {
+        for (const packId of fs.readdirSync(path.join(root, user.name))) {
+          const dir = packDir(user.name, packId);
+          if (!dir || keepIds.has(packId)) {
+            continue;
+          }
+          const meta = readMeta(user.name, packId);
+          const created = meta ? Date.parse(meta.createdAt) : fs.statSync(dir).mtimeMs;
+          if (meta ? Number.isFinite(maxAgeMs) && now - created > maxAgeMs : now - created > ABANDONED_MS) {
+            fs.rmSync(dir, { recursive: true, force: true });
+          }
+        }
+      }
+    },
+  };
+}
+
+module.exports = {
+  createLibrary,
+};
@@ -0,0 +1,282 @@
+const path = require("path");
+const readline = require("readline");
+const { readRoutes, findPackFile } = require("./pack");
+const { routePack } = require("./router");
+const { semanticRouting } = require("./embed");
+const { parseFrontmatter } = require("./validate");
+const { version } = require("../package.json");
+
+// Newest first; the client's version is echoed back when we support it.
+const PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+const MAX_RELATED_DEPTH = 3;
+
+const TOOLS = [
+  {
+    name: "search_skills",
+    title: "Search skills",
+    description: "Rank the pack's skills against a question using its keyword routing, or embeddings when the server has a model. Returns IDs for get_skill.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "The user's question or topic" },
+        limit: { type: "integer", minimum: 1, maximum: 50, description: "Max results (default 5)" },
+        minScore: { type: "integer", minimum: 0, maximum: 100, description: "Score cutoff (default: the pack's)" },
+      },
+      required: ["query"],
+    },
+  },
+  {
+    name: "get_skill",
+    title: "Get skill",
+    description: "Return the full Markdown of one atomic skill: trigger, steps, conditions, sources and knowledge.",
+    inputSchema: {
+      type: "object",
+      properties: { id: { type: "string", description: "Skill ID, e.g. skill-3f9a2c1d" } },
+      required: ["id"],
+    },
+  },
+  {
+    name: "related_skills",
+    title: "Related skills",
+    description: "Walk the pack's dependency graph from a skill to find skills that share its key concepts.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "Skill ID to start from" },
+        depth: { type: "integer", minimum: 1, maximum: MAX_RELATED_DEPTH, description: "Hops to follow (default 1)" },
+        minWeight: { type: "number", minimum: 0, maximum: 1, description: "Minimum edge weight (default 0)" },
+      },
+      required: ["id"],
+    },
+  },
+];
+
+function rpcError(code, message) {
+  return Object.assign(new Error(message), { rpcCode: code });
+}
+
+function packName(pack) {
+  const main = findPackFile(pack.files, "SKILL.md");
+  const fm = main ? parseFrontmatter(main.content) : null;
+  if (fm && fm.data && fm.data.name) {
+    return fm.data.name;
+  }
+  return path.basename(pack.source).replace(/\.zip$/i, "");
+}
+
+// Breadth-first over outgoing dependency edges; each skill is reported once,
+// at the shortest depth it was reached.
+function relatedSkills(routes, id, depth, minWeight) {
+  const titles = new Map((routes.skills || []).map((s) => [s.id, s.title]));
+  const seen = new Set([id]);
+  const out = [];
+  let frontier = [id];
+  for (let level = 1; level <= depth && frontier.length > 0; level += 1) {
+    const next = [];
+    for (const from of frontier) {
+      const edges = (routes.dependencies || [])
+        .filter((d) => d.from === from && d.weight >= minWeight && !seen.has(d.to))
+        .sort((a, b) => b.weight - a.weight);
+      for (const d of edges) {
+        seen.add(d.to);
+        next.push(d.to);
+        out.push({ id: d.to, title: titles.get(d.to) || d.to, weight: d.weight, depth: level, via: from });
+      }
+    }
+    frontier = next;
+  }
+  return out;
+}
+
+function toolResult(payload) {
+  return { content: [{ type: "text", text: JSON.stringify(payload, null, 2) }], structuredContent: payload };
+}
+
+function toolError(message) {
+  return { content: [{ type: "text", text: message }], isError: true };
+}
+
+function integerArg(value, fallback, min, max) {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+// Returns `handle(message)`, which resolves to the JSON-RPC response for a
+// request or null for a notification. Kept separate from the transport so it
+// can be driven without stdio.
+function createMcpHandler(pack, options = {}) {
+  const routes = readRoutes(pack.files);
+  const name = packName(pack);
+  const base = `skill://${name}`;
+  const skills = new Map((routes.skills || []).map((s) => [s.id, s]));
+  const skillMarkdown = (id) => {
+    const file = skills.has(id) ? findPackFile(pack.files, `skills/${id}.md`) : null;
+    return file ? file.content : null;
+  };
+
+  const resources = [
+    { uri: `${base}/index`, name: "index", title: `${name} skill index`, file: "skills/index.md" },
+    { uri: `${base}/routes`, name: "routes", title: "Routing metadata", file: "skills/routes.json" },
+    ...Array.from(skills.values()).map((s) => ({
+      uri: `${base}/${s.id}`,
+      name: s.id,
+      title: s.title,
+      description: s.summary || `Use when the user asks about: ${s.title}`,
+      file: `skills/${s.id}.md`,
+    })),
+  ]
+    .filter((r) => findPackFile(pack.files, r.file))
+    .map((r) => ({ ...r, mimeType: r.file.endsWith(".json") ? "application/json" : "text/markdown" }));
+
+  const tools = {
+    async search_skills(args) {
+      const query = String(args.query || "").trim();
+      if (!query) {
+        return toolError("query is required");
+      }
+      const semantic = options.embed ? await semanticRouting(pack, query, options.embed) : null;
+      const result = routePack(pack, query, {
+        lang: options.lang,
+        limit: integerArg(args.limit, 5, 1, 50),
+        minScore: Number.isFinite(args.minScore) ? args.minScore : undefined,
+        ...semantic,
+      });
+      return toolResult({
+        query: result.query,
+        mode: result.mode,
+        minScore: result.minScore,
+        results: result.results.map((r) => ({
+          id: r.id,
+          title: r.title,
+          score: r.score,
+          matched: r.matched,
+          semantic: r.explanation.semantic,
+          summary: (skills.get(r.id) || {}).summary,
+          companions: r.companions,
+        })),
+        belowCutoff: result.belowCutoff,
+      });
+    },
+    get_skill(args) {
+      const markdown = skillMarkdown(String(args.id || ""));
+      if (markdown === null) {
+        return toolError(`Unknown skill: ${args.id}. Use search_skills to find skill IDs.`);
+      }
+      return { content: [{ type: "text", text: markdown }] };
+    },
+    related_skills(args) {
+      const id = String(args.id || "");
+      if (!skills.has(id)) {
+        return toolError(`Unknown skill: ${id}. Use search_skills to find skill IDs.`);
+      }
+      const depth = integerArg(args.depth, 1, 1, MAX_RELATED_DEPTH);
+      const minWeight = Number.isFinite(args.minWeight) ? args.minWeight : 0;
+      return toolResult({ id, related: relatedSkills(routes, id, depth, minWeight) });
+    },
+  };
+
+  const methods = {
+    initialize(params) {
+      const requested = params && params.protocolVersion;
+      return {
+        protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+        capabilities: { tools: {}, resources: {} },
+        serverInfo: { name: "pdf2skill-lite", title: `pdf2skill-lite: ${name}`, version },
+        instructions:
+          `Knowledge pack "${name}" with ${skills.size} skills. ` +
+          "Call search_skills with the user's question, then get_skill for the best matches.",
+      };
+    },
+    ping: () => ({}),
+    "tools/list": () => ({ tools: TOOLS }),
+    "tools/call"(params) {
+      const tool = params && tools[params.name];
+      if (!tool) {
+        throw rpcError(-32602, `Unknown tool: ${params && params.name}`);
+      }
+      return tool(params.arguments || {});
+    },
+    "resources/list": () => ({
+      resources: resources.map(({ file: _file, ...r }) => r),
+    }),
+    "resources/templates/list": () => ({
+      resourceTemplates: [
+        { uriTemplate: `${base}/{id}`, name: "skill", title: "Atomic skill by ID", mimeType: "text/markdown" },
+      ],
+    }),
+    "resources/read"(params) {
+      const uri = params && params.uri;
+      const resource = resources.find((r) => r.uri === uri);
+      if (!resource) {
+        throw rpcError(-32002, `Resource not found: ${uri}`);
+      }
+      const file = findPackFile(pack.files, resource.file);
+      return { contents: [{ uri, mimeType: resource.mimeType, text: file.content }] };
+    },
+  };
+
+  return async function handle(message) {
+    const isRequest = message && message.id !== undefined && message.id !== null;
+    if (!message || message.jsonrpc !== "2.0" || typeof message.method !== "string") {
+      return isRequest || !message
+        ? { jsonrpc: "2.0", id: isRequest ? message.id : null, error: { code: -32600, message: "Invalid request" } }
+        : null;
+    }
+    if (!isRequest) {
+      // Notifications (initialized, cancelled, ...) need no reply.
+      return null;
+    }
+    const method = methods[message.method];
+    try {
+      if (!method) {
+        throw rpcError(-32601, `Method not found: ${message.method}`);
+      }
+      return { jsonrpc: "2.0", id: message.id, result: await method(message.params || {}) };
+    } catch (err) {
+      return {
+        jsonrpc: "2.0",
+        id: message.id,
+        error: { code: err.rpcCode || -32603, message: err.message },
+      };
+    }
+  };
+}
+
+// stdio transport: one JSON-RPC message per line on stdin/stdout. Nothing else
+// may be written to stdout, so diagnostics go to `log` (stderr).
+function serveMcp(pack, options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const log = options.log || ((line) => process.stderr.write(`${line}\n`));
+  const handle = createMcpHandler(pack, options);
+  const send = (message) => output.write(`${JSON.stringify(message)}\n`);
+
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  let pending = Promise.resolve();
+  rl.on("line", (line) => {
+    if (!line.trim()) {
+      return;
+    }
+    // Replies keep request order.
+    pending = pending
+      .then(() => {
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch (_err) {
+          return { jsonrpc: "2.0", id: null, error: { code: -32700, message: "Parse error" } };
+        }
+        return handle(message);
+      })
+      .then((response) => response && send(response))
+      .catch((err) => log(`pdf2skill-lite mcp: ${err.message}`));
+  });
+  log(`pdf2skill-lite mcp: serving ${pack.source} (${packName(pack)}) on stdio`);
+  return new Promise((resolve) => rl.on("close", () => pending.then(resolve)));
+}
+
+module.exports = {
+  PROTOCOL_VERSIONS,
+  createMcpHandler,
+  serveMcp,
+};
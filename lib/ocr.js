@@ -0,0 +1,169 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+
+// Pages with fewer visible characters than this are treated as scans.
+const MIN_TEXT_CHARS = 20;
+const OCR_DPI = 300;
+const OCR_PAGE_TIMEOUT_MS = 120000;
+const TESSERACT_LANGS = {
+  en: "eng",
+  zh: "chi_sim",
+  ja: "jpn",
+  ko: "kor",
+};
+
+function run(cmd, args, timeout = OCR_PAGE_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    execFile(cmd, args, { timeout, maxBuffer: 64 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        err.message = `${cmd} failed: ${String(stderr || err.message).trim().split("\n").pop()}`;
+        reject(err);
+        return;
+      }
+      resolve(String(stdout));
+    });
+  });
+}
+
+async function detectTools() {
+  try {
+    const version = await run("tesseract", ["--version"], 10000);
+    await run("pdftoppm", ["-v"], 10000).catch((err) => {
+      // Older poppler builds exit non-zero for -v; only a missing binary counts.
+      if (err.code === "ENOENT") {
+        throw err;
+      }
+    });
+    const langs = await run("tesseract", ["--list-langs"], 10000)
+      .then((out) => out.split("\n").slice(1).map((x) => x.trim()).filter(Boolean))
+      .catch(() => []);
+    return { tesseract: version.split("\n")[0].trim() || "tesseract", langs };
+  } catch (_) {
+    return null;
+  }
+}
+
+let toolsPromise = null;
+
+// OCR needs `pdftoppm` (poppler) to render pages and the `tesseract` CLI to
+// read them. Resolves to `{ tesseract, langs }` or null when either is missing.
+function findOcrTools() {
+  if (!toolsPromise) {
+    toolsPromise = detectTools();
+  }
+  return toolsPromise;
+}
+
+// Maps `--lang` to tesseract language codes; `auto` uses every supported
+// language that is installed, English first.
+function resolveOcrLang(langMode, installed, override) {
+  if (override) {
+    return override;
+  }
+  const wanted = TESSERACT_LANGS[langMode] ? [TESSERACT_LANGS[langMode]] : Object.values(TESSERACT_LANGS);
+  const available = installed.length > 0 ? wanted.filter((x) => installed.includes(x)) : wanted.slice(0, 1);
+  return (available.length > 0 ? available : ["eng"]).join("+");
+}
+
+function pageTextChars(page) {
+  return page.lines.reduce((sum, l) => sum + l.text.replace(/\s+/g, "").length, 0);
+}
+
+function pagesWithoutText(doc) {
+  const seen = new Map(doc.pages.map((p) => [p.number, p]));
+  const missing = [];
+  for (let n = 1; n <= doc.numPages; n += 1) {
+    const page = seen.get(n);
+    if (!page || pageTextChars(page) < MIN_TEXT_CHARS) {
+      missing.push(n);
+    }
+  }
+  return missing;
+}
+
+// Turns tesseract TSV (level 5 rows are words) into the line shape produced by
+// `buildPageLines`, with blank lines between paragraphs so block splitting and
+// font-size heading detection work on scans too.
+function parseTesseractTsv(tsv, dpi = OCR_DPI) {
+  const scale = 72 / dpi;
+  const lines = new Map();
+  const confidences = [];
+  for (const row of tsv.split("\n").slice(1)) {
+    const cols = row.split("\t");
+    if (cols.length < 12 || cols[0] !== "5") {
+      continue;
+    }
+    const text = cols.slice(11).join("\t").trim();
+    const conf = Number(cols[10]);
+    if (!text || conf < 0) {
+      continue;
+    }
+    confidences.push(conf);
+    const key = `${cols[2]}.${cols[3]}.${cols[4]}`;
+    const line = lines.get(key) || { para: `${cols[2]}.${cols[3]}`, words: [], left: Number(cols[6]), top: Number(cols[7]), height: 0 };
+    line.words.push(text);
+    line.left = Math.min(line.left, Number(cols[6]));
+    line.height = Math.max(line.height, Number(cols[9]));
+    lines.set(key, line);
+  }
+
+  const out = [];
+  let prevPara = null;
+  for (const line of lines.values()) {
+    if (prevPara !== null && line.para !== prevPara) {
+      out.push({ text: "", fontSize: 0, x: 0, y: 0 });
+    }
+    out.push({
+      text: line.words.join(" "),
+      fontSize: Number((line.height * scale).toFixed(1)),
+      x: Number((line.left * scale).toFixed(1)),
+      y: Number((-line.top * scale).toFixed(1)),
+    });
+    prevPara = line.para;
+  }
+  const confidence = confidences.length > 0 ? confidences.reduce((a, b) => a + b, 0) / confidences.length : 0;
+  return { lines: out, confidence: Math.round(confidence) };
+}
+
+async function ocrPage(pdfPath, pageNumber, lang, workDir) {
+  const prefix = path.join(workDir, `page-${pageNumber}`);
+  await run("pdftoppm", ["-f", String(pageNumber), "-l", String(pageNumber), "-r", String(OCR_DPI), "-gray", "-png", "-singlefile", pdfPath, prefix]);
+  const tsv = await run("tesseract", [`${prefix}.png`, "stdout", "-l", lang, "tsv"]);
+  return parseTesseractTsv(tsv);
+}
+
+// OCRs the given pages of a PDF buffer. Returns `{ pages, report }`, where
+// failed pages are reported with their error instead of aborting the compile.
+async function ocrPages(data, pageNumbers, { lang, onPage = () => {} }) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "pdf2skill-ocr-"));
+  const pages = [];
+  const report = [];
+  try {
+    const pdfPath = path.join(workDir, "input.pdf");
+    fs.writeFileSync(pdfPath, data);
+    for (const [idx, number] of pageNumbers.entries()) {
+      onPage(idx + 1, pageNumbers.length, number);
+      try {
+        const { lines, confidence } = await ocrPage(pdfPath, number, lang, workDir);
+        pages.push({ number, lines });
+        report.push({ page: number, confidence, chars: pageTextChars({ lines }) });
+      } catch (err) {
+        report.push({ page: number, error: err.message });
+      }
+    }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+  return { pages, report };
+}
+
+module.exports = {
+  TESSERACT_LANGS,
+  findOcrTools,
+  resolveOcrLang,
+  pagesWithoutText,
+  parseTesseractTsv,
+  ocrPages,
+};
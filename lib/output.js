@@ -0,0 +1,51 @@
+const fs = require("fs");
+const path = require("path");
+const JSZip = require("jszip");
+
+function ensureDir(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+}
+
+async function writeZip(zipPath, files) {
+  const zip = new JSZip();
+  for (const f of files) {
+    zip.file(f.relativePath.replace(/\\/g, "/"), f.content);
+  }
+
+  const buffer = await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+  fs.writeFileSync(zipPath, buffer);
+}
+
+function writePlainFiles(baseDir, files) {
+  for (const f of files) {
+    const abs = path.join(baseDir, f.relativePath);
+    ensureDir(path.dirname(abs));
+    fs.writeFileSync(abs, f.content, "utf8");
+  }
+}
+
+// Skill IDs follow content, so a rebuild into an existing folder must drop
+// skill files the new pack no longer contains.
+function removeStaleFiles(baseDir, files, subdir = "skills") {
+  const root = path.join(baseDir, subdir);
+  if (!fs.existsSync(root)) {
+    return [];
+  }
+  const keep = new Set(files.map((f) => path.join(baseDir, f.relativePath)));
+  const removed = [];
+  for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+    const abs = path.join(root, entry.name);
+    if (entry.isFile() && !keep.has(abs)) {
+      fs.unlinkSync(abs);
+      removed.push(abs);
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  ensureDir,
+  removeStaleFiles,
+  writeZip,
+  writePlainFiles,
+};
@@ -0,0 +1,81 @@
+const fs = require("fs");
+const path = require("path");
+const JSZip = require("jszip");
+
+const ROUTES_PATH = "skills/routes.json";
+// Figures are the only binary files in a pack; everything else is text.
+const BINARY_FILE = /\.(png|jpe?g|gif|webp)$/i;
+
+function walkDir(root, dir, out) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const abs = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      walkDir(root, abs, out);
+      continue;
+    }
+    out.push({
+      relativePath: path.relative(root, abs).replace(/\\/g, "/"),
+      content: BINARY_FILE.test(entry.name) ? fs.readFileSync(abs) : fs.readFileSync(abs, "utf8"),
+    });
+  }
+  return out;
+}
+
+// Zips built by hand often wrap the pack in a top-level folder; strip
+// whatever prefix sits in front of `skills/routes.json`.
+function stripPackPrefix(files) {
+  const routes = files.find((f) => f.relativePath === ROUTES_PATH || f.relativePath.endsWith(`/${ROUTES_PATH}`));
+  if (!routes || routes.relativePath === ROUTES_PATH) {
+    return files;
+  }
+  const prefix = routes.relativePath.slice(0, -ROUTES_PATH.length);
+  return files
+    .filter((f) => f.relativePath.startsWith(prefix))
+    .map((f) => ({ relativePath: f.relativePath.slice(prefix.length), content: f.content }));
+}
+
+// Reads a compiled pack from a folder or a zip into the same
+// `{ relativePath, content }` list that `compile()` produces.
+async function readPack(packPath) {
+  const abs = path.resolve(packPath);
+  if (!fs.existsSync(abs)) {
+    throw new Error(`Skill pack not found: ${abs}`);
+  }
+
+  let files;
+  if (fs.statSync(abs).isDirectory()) {
+    files = walkDir(abs, abs, []);
+  } else {
+    const zip = await JSZip.loadAsync(fs.readFileSync(abs));
+    files = [];
+    for (const entry of Object.values(zip.files)) {
+      if (!entry.dir) {
+        files.push({ relativePath: entry.name, content: await entry.async(BINARY_FILE.test(entry.name) ? "nodebuffer" : "string") });
+      }
+    }
+  }
+  return { source: abs, files: stripPackPrefix(files) };
+}
+
+function findPackFile(files, relativePath) {
+  return files.find((f) => f.relativePath === relativePath) || null;
+}
+
+function readRoutes(files) {
+  const file = findPackFile(files, ROUTES_PATH);
+  if (!file) {
+    throw new Error(`Skill pack has no ${ROUTES_PATH}`);
+  }
+  try {
+    return JSON.parse(file.content);
+  } catch (err) {
+    throw new Error(`Invalid ${ROUTES_PATH}: ${err.message}`);
+  }
+}
+
+module.exports = {
+  ROUTES_PATH,
+  readPack,
+  findPackFile,
+  readRoutes,
+};
@@ -0,0 +1,276 @@
+const pdfParse = require("pdf-parse");
+const { PDFJS } = require("pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js");
+const { encodePng, halvePixels } = require("./png");
+
+function itemFontSize(item) {
+  const [a, b, c, d] = item.transform;
+  return Number((Math.abs(d) || Math.hypot(c, d) || Math.hypot(a, b) || item.height || 0).toFixed(1));
+}
+
+// Horizontal gap, in multiples of the font size, that separates table cells
+// rather than words.
+const CELL_GAP = 1.2;
+
+// Rebuilds visual lines from pdf.js text items. pdf-parse's default renderer
+// drops positions, but heading detection needs font size and paragraph gaps,
+// and table detection needs the x-extent of each cell.
+function buildPageLines(items) {
+  const lines = [];
+  let current = null;
+
+  for (const item of items) {
+    const size = itemFontSize(item);
+    const x = item.transform[4];
+    const y = item.transform[5];
+    if (current && Math.abs(current.y - y) < Math.max(1, size * 0.5)) {
+      const gap = x - current.endX;
+      const needsSpace = gap > size * 0.2 && !/\s$/.test(current.text) && !/^\s/.test(item.str);
+      current.text += (needsSpace ? " " : "") + item.str;
+      const cell = current.cells[current.cells.length - 1];
+      if (gap > size * CELL_GAP && item.str.trim()) {
+        current.cells.push({ x, endX: x + (item.width || 0), text: item.str });
+      } else {
+        cell.text += (needsSpace ? " " : "") + item.str;
+        cell.endX = x + (item.width || 0);
+      }
+      current.endX = x + (item.width || 0);
+      current.fontSize = Math.max(current.fontSize, item.str.trim() ? size : 0);
+      continue;
+    }
+    if (current) {
+      lines.push(current);
+    }
+    const endX = x + (item.width || 0);
+    current = { text: item.str, fontSize: item.str.trim() ? size : 0, x, y, endX, cells: [{ x, endX, text: item.str }] };
+  }
+  if (current) {
+    lines.push(current);
+  }
+
+  const out = [];
+  let prev = null;
+  for (const line of lines) {
+    const text = line.text.replace(/\s+/g, " ").trim();
+    if (!text) {
+      continue;
+    }
+    if (prev) {
+      const spacing = Math.max(prev.fontSize, line.fontSize) || 10;
+      const drop = prev.y - line.y;
+      if (drop < 0 || drop > spacing * 1.8) {
+        out.push({ text: "", fontSize: 0, x: line.x, y: line.y });
+      }
+    }
+    const entry = { text, fontSize: line.fontSize, x: line.x, y: line.y };
+    const cells = line.cells
+      .map((c) => ({ x: Number(c.x.toFixed(1)), endX: Number(c.endX.toFixed(1)), text: c.text.replace(/\s+/g, " ").trim() }))
+      .filter((c) => c.text);
+    if (cells.length > 1) {
+      entry.cells = cells;
+    }
+    out.push(entry);
+    prev = entry;
+  }
+  return out;
+}
+
+async function resolveOutline(doc, nodes, depth, out) {
+  for (const node of nodes || []) {
+    let page = null;
+    try {
+      const dest = typeof node.dest === "string" ? await doc.getDestination(node.dest) : node.dest;
+      if (Array.isArray(dest) && dest[0]) {
+        page = (await doc.getPageIndex(dest[0])) + 1;
+      }
+    } catch (_) {
+      // Unresolvable destinations still contribute their title.
+    }
+    const title = String(node.title || "").replace(/\s+/g, " ").trim();
+    if (title) {
+      out.push({ title, depth, page });
+    }
+    await resolveOutline(doc, node.items, depth + 1, out);
+  }
+  return out;
+}
+
+// `onPage(pageNumber, totalPages)` is called as each page is parsed.
+async function extractPdf(data, options = {}) {
+  const pages = [];
+  let outline = [];
+
+  const parsed = await pdfParse(data, {
+    pagerender: async (pageData) => {
+      const doc = pageData.transport && pageData.transport.pdfDocument;
+      if (typeof options.onPage === "function") {
+        options.onPage(pageData.pageNumber, doc ? doc.numPages : 0);
+      }
+      if (pageData.pageIndex === 0 && doc) {
+        outline = await doc
+          .getOutline()
+          .then((nodes) => resolveOutline(doc, nodes, 1, []))
+          .catch(() => []);
+      }
+      const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+      const lines = buildPageLines(content.items);
+      pages.push({ number: pageData.pageNumber, lines });
+      return lines.map((x) => x.text).join("\n");
+    },
+  });
+
+  pages.sort((a, b) => a.number - b.number);
+  return {
+    numPages: parsed.numpages,
+    text: parsed.text || "",
+    pages,
+    outline,
+  };
+}
+
+// pdf.js operator codes (`OPS`) for graphics state and image painting.
+const OPS = {
+  save: 10,
+  restore: 11,
+  transform: 12,
+  paintFormXObjectBegin: 74,
+  paintFormXObjectEnd: 75,
+  paintJpegXObject: 82,
+  paintImageXObject: 85,
+};
+// Halvings tried before an image over the size limit is given up on.
+const MAX_HALVINGS = 3;
+
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5],
+  ];
+}
+
+// The unit square an image is painted into, mapped to page coordinates.
+function imageBox(ctm) {
+  const xs = [ctm[4], ctm[4] + ctm[0], ctm[4] + ctm[2], ctm[4] + ctm[0] + ctm[2]];
+  const ys = [ctm[5], ctm[5] + ctm[1], ctm[5] + ctm[3], ctm[5] + ctm[1] + ctm[3]];
+  const round = (v) => Number(v.toFixed(1));
+  return {
+    x: round(Math.min(...xs)),
+    y: round(Math.min(...ys)),
+    width: round(Math.max(...xs) - Math.min(...xs)),
+    height: round(Math.max(...ys) - Math.min(...ys)),
+  };
+}
+
+// pdf.js image objects: kind 1 is 1 bit per pixel gray (rows padded to
+// whole bytes), 2 is RGB and 3 is RGBA.
+function imagePixels(img) {
+  const { width, height, kind, data } = img;
+  if (kind === 2 || kind === 3) {
+    return { width, height, channels: kind === 2 ? 3 : 4, data: Buffer.from(data.buffer, data.byteOffset, data.length) };
+  }
+  const rowBytes = (width + 7) >> 3;
+  const out = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      out[y * width + x] = data[y * rowBytes + (x >> 3)] & (0x80 >> (x & 7)) ? 255 : 0;
+    }
+  }
+  return { width, height, channels: 1, data: out };
+}
+
+// Encodes as PNG, halving the resolution while the file is over `maxBytes`.
+function fitPng(pixels, maxBytes) {
+  let current = pixels;
+  let png = encodePng(current);
+  for (let n = 0; n < MAX_HALVINGS && png.length > maxBytes; n += 1) {
+    current = halvePixels(current);
+    png = encodePng(current);
+  }
+  return png.length > maxBytes ? null : { png, width: current.width, height: current.height };
+}
+
+function pageImages(pageData, ops) {
+  const found = [];
+  const seen = new Set();
+  const stack = [];
+  let ctm = [1, 0, 0, 1, 0, 0];
+  ops.fnArray.forEach((fn, i) => {
+    const args = ops.argsArray[i];
+    if (fn === OPS.save) {
+      stack.push(ctm);
+    } else if (fn === OPS.restore) {
+      ctm = stack.pop() || ctm;
+    } else if (fn === OPS.transform) {
+      ctm = multiply(ctm, args);
+    } else if (fn === OPS.paintFormXObjectBegin) {
+      stack.push(ctm);
+      if (Array.isArray(args[0]) && args[0].length === 6) {
+        ctm = multiply(ctm, args[0]);
+      }
+    } else if (fn === OPS.paintFormXObjectEnd) {
+      ctm = stack.pop() || ctm;
+    } else if ((fn === OPS.paintImageXObject || fn === OPS.paintJpegXObject) && !seen.has(args[0])) {
+      seen.add(args[0]);
+      const img = pageData.objs.getData(args[0]) || pageData.commonObjs.getData(args[0]);
+      if (img && img.data) {
+        found.push({ img, box: imageBox(ctm) });
+      }
+    }
+  });
+  return found;
+}
+
+// Raster images painted on each page, as PNGs with their position in page
+// coordinates (origin bottom left, like text line `y`). Images under
+// `minPixels` on either side are icons or rules and are skipped, as are
+// images still over `maxBytes` after downscaling. Vector drawings are not
+// images and are not extracted.
+// `onPage(pageNumber, totalPages)` is called as each page is scanned.
+async function extractPdfImages(data, options = {}) {
+  const minPixels = options.minPixels || 0;
+  const maxBytes = options.maxBytes || Infinity;
+  const images = [];
+  const skipped = [];
+  // pdf-parse hands its first argument to pdf.js `getDocument`. JPEGs must
+  // be decoded by pdf.js itself: Node has no `Image` to hand them to. Fonts
+  // must not be loaded as font faces, which needs a `document`; the bundled
+  // pdf.js reads that from its global settings rather than the params.
+  PDFJS.disableFontFace = true;
+  PDFJS.isEvalSupported = false;
+  await pdfParse({ data, nativeImageDecoderSupport: "none", disableFontFace: true, isEvalSupported: false }, {
+    pagerender: async (pageData) => {
+      if (typeof options.onPage === "function") {
+        const doc = pageData.transport && pageData.transport.pdfDocument;
+        options.onPage(pageData.pageNumber, doc ? doc.numPages : 0);
+      }
+      const ops = await pageData.getOperatorList();
+      for (const { img, box } of pageImages(pageData, ops)) {
+        const entry = { page: pageData.pageNumber, ...box, pixelWidth: img.width, pixelHeight: img.height };
+        if (img.width < minPixels || img.height < minPixels) {
+          skipped.push({ ...entry, reason: "small" });
+          continue;
+        }
+        const fitted = fitPng(imagePixels(img), maxBytes);
+        if (!fitted) {
+          skipped.push({ ...entry, reason: "large" });
+          continue;
+        }
+        images.push({ ...entry, scaledWidth: fitted.width, scaledHeight: fitted.height, png: fitted.png });
+      }
+      pageData.cleanup();
+      return "";
+    },
+  });
+  images.sort((a, b) => a.page - b.page || b.y - a.y);
+  skipped.sort((a, b) => a.page - b.page);
+  return { images, skipped };
+}
+
+module.exports = {
+  extractPdf,
+  extractPdfImages,
+  buildPageLines,
+};
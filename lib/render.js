@@ -0,0 +1,418 @@
+const { formatSourceRef } = require("./sections");
+const { escapeCell } = require("./tables");
+
+// Plain YAML scalars cannot contain ": " or " #", start with an indicator
+// character or look like another type; anything risky becomes a
+// double-quoted string (JSON string syntax is valid YAML).
+function yamlScalar(value) {
+  const text = String(value).replace(/\s+/g, " ").trim();
+  const plain =
+    text !== "" &&
+    !/^[-?:,[\]{}#&*!|>'"%@`\s]/.test(text) &&
+    !/: |:$| #/.test(text) &&
+    !/^(true|false|yes|no|on|off|null|~|[-+]?[\d.]+(e[-+]?\d+)?)$/i.test(text);
+  return plain ? text : JSON.stringify(text);
+}
+
+// Mermaid reads `#name;` as an entity inside labels, so `#` is encoded first.
+function mermaidLabel(text) {
+  return String(text)
+    .replace(/\s+/g, " ")
+    .replace(/#/g, "#35;")
+    .replace(/"/g, "#quot;")
+    .replace(/</g, "#lt;")
+    .replace(/>/g, "#gt;");
+}
+
+const FLOWCHART_MAX_NODES = 40;
+const FLOWCHART_LABEL_CHARS = 60;
+
+function shortLabel(text) {
+  const clean = String(text).replace(/\s+/g, " ").trim();
+  return mermaidLabel(clean.length > FLOWCHART_LABEL_CHARS ? `${clean.slice(0, FLOWCHART_LABEL_CHARS - 3)}...` : clean);
+}
+
+// Nested Markdown list of a parsed procedure (see `parseProcedure`). Numbered
+// items keep their own number; lettered and other labels stay inline.
+function buildStepsMd(steps, depth = 0) {
+  const indent = "    ".repeat(depth);
+  return steps.flatMap((step) => {
+    const numbered = /^\d+(?:\.\d+)*$/.exec(step.label);
+    const line = numbered
+      ? `${indent}${step.label.split(".").pop()}. ${step.text}`
+      : `${indent}- ${step.label ? `${step.label}${/^[a-z]+$/i.test(step.label) ? ")" : ""} ` : ""}${step.text}`;
+    return [line, ...buildStepsMd(step.children, depth + 1)];
+  });
+}
+
+function buildDecisionsMd(decisions) {
+  return decisions.flatMap((d) => [
+    `- **IF** ${d.if}${d.step ? ` (step ${d.step})` : ""}`,
+    ...(d.then ? [`    - **THEN** ${d.then}`] : []),
+    ...(d.else ? [`    - **ELSE** ${d.else}`] : []),
+  ]);
+}
+
+// Flowchart of a parsed procedure: steps in order, sub-steps after their
+// parent, IF items as diamonds with yes/no edges (an "Otherwise" item is the
+// no branch). Branches found in prose are drawn as separate diamonds. Returns
+// null when there is nothing worth drawing.
+function buildFlowchartMermaid(procedure) {
+  const count = (steps) => steps.reduce((n, s) => n + 1 + count(s.children), 0);
+  if (!procedure || (count(procedure.steps) < 2 && procedure.decisions.length === 0)) {
+    return null;
+  }
+  const lines = ["flowchart TD"];
+  let n = 0;
+  let truncated = false;
+  const node = (open, close, text) => {
+    n += 1;
+    lines.push(`  n${n}${open}"${shortLabel(text)}"${close}`);
+    return `n${n}`;
+  };
+  const link = (exit, to) => lines.push(`  ${exit.id} -->${exit.label ? `|${exit.label}|` : ""} ${to}`);
+  const full = () => {
+    truncated = truncated || n >= FLOWCHART_MAX_NODES;
+    return truncated;
+  };
+
+  let emitList = null;
+  // Returns `{ entry, exits, no }`; `no` is the open no-edge of an IF item
+  // whose else is the next item.
+  const emit = (step, elseIsNext) => {
+    if (full()) {
+      return null;
+    }
+    const label = step.label ? `${step.label}${/[a-z0-9]$/i.test(step.label) ? ". " : "："}` : "";
+    if (!step.if) {
+      const id = node("[", "]", `${label}${step.text}`);
+      let exits = [{ id }];
+      // Branches in the item's own sentences follow it.
+      for (const d of procedure.decisions.filter((x) => x.step === step.step)) {
+        if (full()) {
+          break;
+        }
+        const diamond = node("{", "}", `${d.if}?`);
+        exits.forEach((exit) => link(exit, diamond));
+        exits = [];
+        for (const [branch, text] of [["yes", d.then], ["no", d.else]]) {
+          if (text && !full()) {
+            const outcome = node("[", "]", text);
+            link({ id: diamond, label: branch }, outcome);
+            exits.push({ id: outcome });
+          } else {
+            exits.push({ id: diamond, label: branch });
+          }
+        }
+      }
+      const children = emitList(step.children);
+      if (children) {
+        exits.forEach((exit) => link(exit, children.entry));
+        exits = children.exits;
+      }
+      return { entry: id, exits };
+    }
+    const id = node("{", "}", `${label}${step.if}?`);
+    const yes = { id, label: "yes" };
+    const no = { id, label: "no" };
+    const children = emitList(step.children);
+    let exits;
+    if (children) {
+      link(yes, children.entry);
+      exits = children.exits;
+    } else if (step.then && !full()) {
+      const then = node("[", "]", step.then);
+      link(yes, then);
+      exits = [{ id: then }];
+    } else {
+      exits = [yes];
+    }
+    if (elseIsNext) {
+      return { entry: id, exits, no };
+    }
+    if (step.else && !full()) {
+      const otherwise = node("[", "]", step.else);
+      link(no, otherwise);
+      return { entry: id, exits: exits.concat({ id: otherwise }) };
+    }
+    return { entry: id, exits: exits.concat(no) };
+  };
+  emitList = (steps) => {
+    let entry = null;
+    let pending = [];
+    let branch = null;
+    steps.forEach((step, idx) => {
+      const next = steps[idx + 1];
+      const r = emit(step, Boolean(step.if && next && next.otherwise));
+      if (!r) {
+        return;
+      }
+      entry = entry || r.entry;
+      if (branch && step.otherwise) {
+        link(branch.no, r.entry);
+        pending = branch.exits.concat(r.exits);
+      } else {
+        if (step.restart) {
+          pending = [];
+        }
+        pending.forEach((exit) => link(exit, r.entry));
+        pending = r.exits;
+      }
+      branch = r.no ? r : null;
+    });
+    return entry ? { entry, exits: pending } : null;
+  };
+
+  emitList(procedure.steps);
+  for (const d of procedure.decisions.filter((x) => x.step === null)) {
+    if (full()) {
+      break;
+    }
+    const id = node("{", "}", `${d.if}?`);
+    if (d.then) {
+      link({ id, label: "yes" }, node("[", "]", d.then));
+    }
+    if (d.else) {
+      link({ id, label: "no" }, node("[", "]", d.else));
+    }
+  }
+  if (truncated) {
+    lines.push("  %% truncated; the full procedure is listed above");
+  }
+  return lines.join("\n");
+}
+
+function buildMainSkillMd(skillName, description, chunkCount, extras = []) {
+  return [
+    "---",
+    `name: ${yamlScalar(skillName)}`,
+    `description: ${yamlScalar(description)}`,
+    "version: 0.1.0",
+    "---",
+    "",
+    `# ${skillName}`,
+    "",
+    "This skill pack is auto-compiled from source documents.",
+    "",
+    "## How it works",
+    "",
+    "- Claude/OpenCode reads `skills/index.md` to route sub-skills.",
+    "- Each `skills/skill-xxx.md` contains one atomic capability unit.",
+    "- Use this pack when user intent matches a topic in the source book/manual.",
+    "",
+    "## Routing",
+    "",
+    "When request includes concepts, methods, procedures, troubleshooting, or checklist",
+    "from this domain, select the most relevant atomic skill in `skills/index.md`.",
+    "",
+    `## Stats\n\n- Generated atomic skills: ${chunkCount}`,
+    "- Routing metadata: `skills/routes.json`",
+    "- Dependency graph: `skills/dependency-graph.md`",
+    ...extras.map((x) => `- ${x.label.charAt(0).toUpperCase()}${x.label.slice(1)}: \`${x.path}\``),
+  ].join("\n");
+}
+
+// Image links resolve from `base`: "../" from a skill file, "" beside the
+// assets folder.
+function buildFiguresMd(figures, base) {
+  return figures.flatMap((f) => {
+    const where = formatSourceRef({ file: f.source, pageStart: f.page, pageEnd: f.page });
+    return [`![${f.alt}](${base}${f.file})`, "", f.caption ? `*${f.caption}* (${where})` : `Figure from ${where}`, ""];
+  }).slice(0, -1);
+}
+
+function buildAtomicSkillMd(item) {
+  const { id, title, content, keywords, steps, conditions } = item;
+  const sources = item.sources || [];
+  const parsed = item.procedure || { steps: [], decisions: [] };
+  // Enriched skills carry model-written steps, so they replace the generic
+  // procedure instead of being listed after it.
+  const procedure = item.enriched && steps.length > 0
+    ? ["## Procedure", "", ...steps.map((s, idx2) => `${idx2 + 1}. ${s}`)]
+    : [
+        "## Procedure",
+        "",
+        "1. Extract the user's concrete target.",
+        "2. Map target to the applicable rules/methods below.",
+        "3. Output a concise, actionable plan.",
+        "",
+        "## Extracted Steps",
+        "",
+        ...(parsed.steps.length > 0
+          ? buildStepsMd(parsed.steps)
+          : steps.length > 0
+            ? steps.map((s, idx2) => `${idx2 + 1}. ${s}`)
+            : ["1. No explicit numbered steps found in source."]),
+      ];
+  const branches = !item.enriched && parsed.decisions.length > 0
+    ? buildDecisionsMd(parsed.decisions)
+    : conditions.length > 0
+      ? conditions.map((c) => `- ${c}`)
+      : ["- No explicit IF/ELSE style branch found in source."];
+  const flowchart = buildFlowchartMermaid(item.procedure);
+  return [
+    "---",
+    `name: ${yamlScalar(id)}`,
+    `description: ${yamlScalar(item.enriched && item.trigger ? item.trigger : title)}`,
+    ...(sources.length > 0 ? [`sources: ${yamlScalar(sources.map(formatSourceRef).join("; "))}`] : []),
+    "---",
+    "",
+    `# ${title}`,
+    "",
+    ...(item.summary ? ["## Summary", "", item.summary, ""] : []),
+    "## Trigger",
+    "",
+    item.enriched && item.trigger ? item.trigger : `Use this skill when the user asks about: ${title}`,
+    "",
+    `**Keywords**: ${keywords.join(", ")}`,
+    "",
+    "## Input",
+    "",
+    "- User objective",
+    "- Current constraints and context",
+    "",
+    ...procedure,
+    "",
+    "## Conditions / Branches",
+    "",
+    ...branches,
+    "",
+    ...(flowchart ? ["## Flowchart", "", "```mermaid", flowchart, "```", ""] : []),
+    ...(item.tables && item.tables.length > 0
+      ? [
+          "## Tables",
+          "",
+          ...item.tables.map(
+            (t, n) => `- Table ${n + 1}: ${t.header.filter(Boolean).join(", ")} (${t.rows.length} rows, [CSV](../${t.file}))`
+          ),
+          "",
+        ]
+      : []),
+    ...(item.figures && item.figures.length > 0 ? ["## Figures", "", ...buildFiguresMd(item.figures, "../"), ""] : []),
+    "## Sources",
+    "",
+    ...(sources.length > 0
+      ? sources.map((ref) => `- ${formatSourceRef(ref)}`)
+      : ["- Source page range unavailable."]),
+    "",
+    "## Knowledge",
+    "",
+    content,
+  ].join("\n");
+}
+
+function buildIndexMd(items, minScore) {
+  const lines = [
+    "# Skill Index",
+    "",
+    "This file routes user requests to atomic skills.",
+    "",
+    `Routing score cutoff: ${minScore}`,
+    "",
+    "| Skill ID | Topic | Trigger Hint | Base Score |",
+    "|---|---|---|---|",
+  ];
+
+  for (const item of items) {
+    lines.push(`| ${[item.id, item.title, item.trigger, item.baseScore].map(escapeCell).join(" | ")} |`);
+  }
+  return lines.join("\n");
+}
+
+// `edges` says how `deps` were scored: `{ mode: "keywords" | "semantic",
+// threshold }`.
+function buildDependencyGraphMd(items, deps, edges = { mode: "keywords" }) {
+  const lines = [
+    "# Dependency Graph",
+    "",
+    "```mermaid",
+    "graph LR",
+  ];
+  for (const item of items) {
+    lines.push(`  ${item.id}["${item.id}: ${mermaidLabel(item.title)}"]`);
+  }
+  for (const d of deps) {
+    lines.push(`  ${d.from} -->|${d.weight}| ${d.to}`);
+  }
+  lines.push("```");
+  lines.push("");
+  lines.push("## Notes");
+  lines.push("");
+  const below = edges.threshold === undefined ? "." : `; pairs below ${edges.threshold} are not linked.`;
+  lines.push(
+    edges.mode === "semantic"
+      ? `- Edge weight is cosine similarity of the skills' embeddings${below}`
+      : `- Edge weight is weighted keyword-overlap similarity (Jaccard over corpus-weighted keywords)${below}`,
+    "- Use stronger links first when composing multi-skill answers."
+  );
+  return lines.join("\n");
+}
+
+function buildRoutesJson(items, deps, { minScore, langMode = "auto", weighting = "bm25", dictionary, embeddings, glossary }) {
+  return JSON.stringify(
+    {
+      version: "0.5.0",
+      lang: langMode,
+      weighting,
+      dictionary,
+      embeddings,
+      glossary,
+      minScore,
+      skills: items.map((x) => ({
+        id: x.id,
+        title: x.title,
+        section: x.section,
+        trigger: x.trigger,
+        summary: x.summary || undefined,
+        baseScore: x.baseScore,
+        keywords: x.keywords,
+        weights: x.weights,
+        stepCount: x.steps.length,
+        conditionCount: x.conditions.length,
+        tableCount: (x.tables || []).length,
+        sources: x.sources,
+        procedure: x.procedure && (x.procedure.steps.length > 0 || x.procedure.decisions.length > 0) ? x.procedure : undefined,
+      })),
+      dependencies: deps,
+    },
+    null,
+    2
+  );
+}
+
+function buildPackReadmeMd(skillName, langMode, inputCount, extras = []) {
+  return [
+    `# ${skillName}`,
+    "",
+    "Generated by pdf2skill-lite.",
+    "",
+    `Language mode: ${langMode}`,
+    `Input files: ${inputCount}`,
+    "",
+    "## Files",
+    "",
+    "- `SKILL.md`: entry skill",
+    "- `skills/index.md`: router index",
+    "- `skills/skill-xxx.md`: atomic skills",
+    "- `references/source_excerpt.md`: extracted source text",
+    ...extras.map((x) => `- \`${x.path}\`: ${x.label}`),
+    "",
+    "## Install",
+    "",
+    "Copy this folder to your skill directory.",
+  ].join("\n");
+}
+
+module.exports = {
+  yamlScalar,
+  buildMainSkillMd,
+  buildAtomicSkillMd,
+  buildStepsMd,
+  buildDecisionsMd,
+  buildFiguresMd,
+  buildFlowchartMermaid,
+  buildIndexMd,
+  buildDependencyGraphMd,
+  buildRoutesJson,
+  buildPackReadmeMd,
+};
@@ -0,0 +1,155 @@
+const { tokenize } = require("./keywords");
+const { scoreBreakdown, cosine } = require("./graph");
+const { createSegmenter } = require("./segment");
+const { findPackFile, readRoutes } = require("./pack");
+const { readGlossary, glossaryAcronyms, expandAcronyms } = require("./glossary");
+
+const COMPANION_MIN_WEIGHT = 0.3;
+const MAX_COMPANIONS = 3;
+
+// Scores `query` against every skill in a parsed routes.json. Only skills that
+// share at least one keyword with the query are candidates, so a dense skill
+// cannot clear `minScore` on its structural bonuses alone.
+//
+// With `options.vectors` (skill id -> embedding) and `options.queryVector`,
+// every skill is a candidate and scores the better of its keyword score and
+// its cosine similarity to the query times 100, so paraphrases still route.
+//
+// `options.acronyms` (acronym -> expansion, from the pack's glossary) adds the
+// expansion of any acronym in the query before it is tokenized.
+function routeQuery(routes, query, options = {}) {
+  const lang = options.lang || routes.lang || "auto";
+  const minScore = Number.isFinite(options.minScore) ? options.minScore : Number(routes.minScore) || 0;
+  const limit = Number.isFinite(options.limit) ? options.limit : 5;
+  const companionWeight = Number.isFinite(options.companionWeight) ? options.companionWeight : COMPANION_MIN_WEIGHT;
+  const expansion = expandAcronyms(String(query || ""), options.acronyms);
+  const queryTokens = tokenize(expansion.text, lang, options.segmenter);
+
+  const skills = routes.skills || [];
+  const byId = new Map(skills.map((s) => [s.id, s]));
+
+  const semantic = options.vectors && options.queryVector
+    ? (id) => (options.vectors[id] ? cosine(options.queryVector, options.vectors[id]) : 0)
+    : null;
+
+  const ranked = skills
+    .map((skill) => {
+      const breakdown = scoreBreakdown(
+        {
+          keywords: skill.keywords || [],
+          weights: skill.weights,
+          steps: skill.stepCount,
+          conditions: skill.conditionCount,
+        },
+        queryTokens
+      );
+      if (!semantic) {
+        return { skill, ...breakdown };
+      }
+      const similarity = Number(semantic(skill.id).toFixed(2));
+      const keywordScore = breakdown.matched.length > 0 ? breakdown.score : 0;
+      return {
+        skill,
+        ...breakdown,
+        similarity,
+        score: Math.max(keywordScore, Math.round(Math.max(0, similarity) * 100)),
+      };
+    })
+    .filter((x) => x.matched.length > 0 || x.similarity > 0)
+    .sort((a, b) => b.score - a.score || b.matched.length - a.matched.length);
+
+  const accepted = ranked.filter((x) => x.score >= minScore).slice(0, limit);
+  const acceptedIds = new Set(accepted.map((x) => x.skill.id));
+
+  const results = accepted.map((x) => {
+    const companions = (routes.dependencies || [])
+      .filter((d) => d.from === x.skill.id && d.weight >= companionWeight && !acceptedIds.has(d.to))
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, MAX_COMPANIONS)
+      .map((d) => ({ id: d.to, title: (byId.get(d.to) || {}).title || d.to, weight: d.weight }));
+    return {
+      id: x.skill.id,
+      title: x.skill.title,
+      score: x.score,
+      matched: x.matched,
+      explanation: {
+        overlap: x.overlapScore,
+        density: x.density,
+        conditions: x.conditionBonus,
+        steps: x.stepBonus,
+        semantic: x.similarity,
+      },
+      companions,
+    };
+  });
+
+  return {
+    query: String(query || ""),
+    lang,
+    mode: semantic ? "semantic" : "keyword",
+    tokens: Array.from(new Set(queryTokens)),
+    expanded: expansion.expanded,
+    minScore,
+    results,
+    belowCutoff: ranked
+      .filter((x) => x.score < minScore)
+      .slice(0, limit)
+      .map((x) => ({ id: x.skill.id, title: x.skill.title, score: x.score, matched: x.matched, semantic: x.similarity })),
+  };
+}
+
+// Routes against a pack read by `readPack`, loading the user dictionary the
+// pack was compiled with so queries segment the same way its keywords did,
+// and its glossary for acronym expansion.
+function routePack(pack, query, options = {}) {
+  const routes = readRoutes(pack.files);
+  const dictionary = routes.dictionary ? findPackFile(pack.files, routes.dictionary) : null;
+  const segmenter = createSegmenter(dictionary ? [dictionary.content] : []);
+  const acronyms = glossaryAcronyms(readGlossary(pack.files));
+  return routeQuery(routes, query, { ...options, segmenter, acronyms });
+}
+
+function formatRouteResult(result) {
+  const lines = [
+    `Query: ${result.query}`,
+    ...result.expanded.map((x) => `Expanded: ${x.acronym} = ${x.expansion}`),
+    `Tokens: ${result.tokens.join(", ") || "(none)"}`,
+    `Min score: ${result.minScore}${result.mode === "semantic" ? " (semantic: keyword or similarity x 100)" : ""}`,
+    "",
+  ];
+
+  if (result.results.length === 0) {
+    lines.push("No skill reached the routing cutoff.");
+  }
+  result.results.forEach((r, idx) => {
+    const e = r.explanation;
+    lines.push(`${idx + 1}. ${r.id}  score ${r.score}  ${r.title}`);
+    if (r.matched.length === 0) {
+      lines.push(`   no keyword match | similarity ${e.semantic}`);
+    } else {
+      const similarity = e.semantic === undefined ? "" : ` | similarity ${e.semantic}`;
+      lines.push(
+        `   matched: ${r.matched.join(", ")} (+${e.overlap}) | density +${e.density} | conditions +${e.conditions} | steps +${e.steps}${similarity}`
+      );
+    }
+    if (r.companions.length > 0) {
+      lines.push(`   companions: ${r.companions.map((c) => `${c.id} (${c.weight})`).join(", ")}`);
+    }
+  });
+
+  if (result.belowCutoff.length > 0) {
+    lines.push("", "Below cutoff:");
+    for (const r of result.belowCutoff) {
+      const similarity = r.semantic === undefined ? "" : `, similarity ${r.semantic}`;
+      lines.push(`- ${r.id}  score ${r.score}  ${r.title} (matched: ${r.matched.join(", ") || "none"}${similarity})`);
+    }
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  COMPANION_MIN_WEIGHT,
+  routeQuery,
+  routePack,
+  formatRouteResult,
+};
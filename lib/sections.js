@@ -0,0 +1,442 @@
+const { toTitle, normalizeText, countWords, groupBlocks } = require("./text");
+const { detectTables, renderMarkdownTable } = require("./tables");
+const { renderItem } = require("./formats");
+
+const CHAPTER_PATTERNS = [
+  { re: /^(chapter|part|appendix)\s+([0-9]+|[ivxlc]+|[a-z])\b/i, level: 1 },
+  { re: /^第[一二三四五六七八九十百零〇两0-9]+[章篇部卷]/, level: 1 },
+  { re: /^第[一二三四五六七八九十百零〇两0-9]+节/, level: 2 },
+];
+
+const NUMBERED_HEADING = /^(\d+(?:\.\d+)+)\.?\s+(\S.*)$/;
+const SINGLE_NUMBERED_HEADING = /^(\d+)\.?\s+(\S.*)$/;
+const SENTENCE_END = /([。！？；，,;!?]|[a-z]\.)$/;
+
+const CHUNK_MIN_WORDS = 140;
+const CHUNK_MAX_WORDS = 280;
+const SMALL_SECTION_WORDS = 70;
+
+function normalizeHeading(text) {
+  return String(text).toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function isAllCapsHeading(text) {
+  if (text.length > 60 || /[a-z]/.test(text)) {
+    return false;
+  }
+  const letters = (text.match(/[A-Z]/g) || []).length;
+  return letters >= 4 && text.trim().split(/\s+/).length >= 2;
+}
+
+function bodyFontSize(pages) {
+  const weight = new Map();
+  for (const page of pages) {
+    for (const line of page.lines) {
+      if (line.fontSize > 0) {
+        weight.set(line.fontSize, (weight.get(line.fontSize) || 0) + line.text.length);
+      }
+    }
+  }
+  let best = 0;
+  let bestWeight = -1;
+  for (const [size, w] of weight) {
+    if (w > bestWeight) {
+      best = size;
+      bestWeight = w;
+    }
+  }
+  return best;
+}
+
+function headingFontSizes(pages, bodySize) {
+  const sizes = new Set();
+  for (const page of pages) {
+    for (const line of page.lines) {
+      if (bodySize > 0 && line.fontSize >= bodySize * 1.15 && line.text.length <= 100) {
+        sizes.add(line.fontSize);
+      }
+    }
+  }
+  return Array.from(sizes).sort((a, b) => b - a);
+}
+
+// Returns `{ level, title }` for lines that look like headings. Named
+// chapters and dotted numbering win over font size, which wins over ALL-CAPS.
+function detectHeading(line, context = {}) {
+  const text = String(line.text || "").trim();
+  if (!text || text.length > 100 || SENTENCE_END.test(text)) {
+    return null;
+  }
+
+  for (const p of CHAPTER_PATTERNS) {
+    if (p.re.test(text)) {
+      return { level: p.level, title: text };
+    }
+  }
+
+  const numbered = text.match(NUMBERED_HEADING);
+  if (numbered && numbered[2].split(/\s+/).length <= 10) {
+    return { level: numbered[1].split(".").length, title: text };
+  }
+
+  const sizes = context.headingSizes || [];
+  if (context.bodySize > 0 && line.fontSize >= context.bodySize * 1.15 && sizes.includes(line.fontSize)) {
+    const single = text.match(SINGLE_NUMBERED_HEADING);
+    const level = single ? 1 : Math.min(3, sizes.indexOf(line.fontSize) + 1);
+    return { level, title: text };
+  }
+
+  if (isAllCapsHeading(text)) {
+    return { level: context.capsLevel || 1, title: text };
+  }
+  return null;
+}
+
+function matchOutline(outline, line, pageNumber, used) {
+  const key = normalizeHeading(line.text);
+  for (let i = 0; i < outline.length; i += 1) {
+    const entry = outline[i];
+    if (used.has(i) || normalizeHeading(entry.title) !== key) {
+      continue;
+    }
+    if (entry.page == null || Math.abs(entry.page - pageNumber) <= 1) {
+      used.add(i);
+      return { level: entry.depth, title: line.text };
+    }
+  }
+  return null;
+}
+
+// Splits `{ text, page }` lines at blank lines into blocks that remember the
+// page range they were read from; each detected table becomes a block of its
+// own holding the rendered Markdown table.
+function splitLineBlocks(lines) {
+  const blocks = [];
+  const tables = new Map(detectTables(lines).map((t) => [t.start, t]));
+  let current = [];
+  const flush = () => {
+    const text = normalizeText(current.map((l) => l.text).join("\n"));
+    if (text) {
+      blocks.push({ text, pageStart: current[0].page, pageEnd: current[current.length - 1].page });
+    }
+    current = [];
+  };
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    const table = tables.get(i);
+    if (table) {
+      flush();
+      blocks.push({ text: renderMarkdownTable(table), pageStart: line.page, pageEnd: lines[table.end - 1].page, table: true });
+      i = table.end - 1;
+      continue;
+    }
+    if (!line.text) {
+      flush();
+      continue;
+    }
+    current.push(line);
+  }
+  flush();
+  return blocks;
+}
+
+// Documents with native structure (EPUB, DOCX, HTML, Markdown) already mark
+// their headings, so sections follow them directly.
+function buildItemSections(doc, sourceName) {
+  const sections = [];
+  let stack = [];
+  let current = { path: [], blocks: [] };
+  const flush = () => {
+    if (current.blocks.length > 0) {
+      sections.push({
+        source: sourceName,
+        path: current.path,
+        blocks: current.blocks,
+        text: current.blocks.map((b) => b.text).join("\n\n"),
+      });
+    }
+  };
+
+  for (const item of doc.items) {
+    if (item.type === "heading") {
+      flush();
+      stack = stack.filter((h) => h.level < item.level);
+      stack.push({ level: item.level, title: item.text.replace(/\s+/g, " ").trim() });
+      current = { path: stack.map((h) => h.title), blocks: [] };
+      continue;
+    }
+    const text = item.type === "paragraph" ? normalizeText(item.text) : renderItem(item);
+    if (text) {
+      current.blocks.push({ text, pageStart: item.page, pageEnd: item.page, table: item.type === "table" || undefined });
+    }
+  }
+  flush();
+  return sections;
+}
+
+function buildSections(doc, sourceName) {
+  if (doc.items) {
+    return buildItemSections(doc, sourceName);
+  }
+  const pages = doc.pages || [];
+  const outline = doc.outline || [];
+  const bodySize = bodyFontSize(pages);
+  const headingSizes = headingFontSizes(pages, bodySize);
+  const outlineDepth = outline.reduce((max, x) => Math.max(max, x.depth), 0);
+  const usedOutline = new Set();
+
+  const pending = new Map();
+  for (let i = 0; i < outline.length; i += 1) {
+    const entry = outline[i];
+    if (entry.page == null) {
+      continue;
+    }
+    const found = (pages.find((p) => p.number === entry.page) || { lines: [] }).lines.some(
+      (l) => normalizeHeading(l.text) === normalizeHeading(entry.title)
+    );
+    if (!found) {
+      usedOutline.add(i);
+      pending.set(entry.page, (pending.get(entry.page) || []).concat({ level: entry.depth, title: entry.title }));
+    }
+  }
+
+  const sections = [];
+  let stack = [];
+  let current = { source: sourceName, path: [], lines: [] };
+
+  const flush = () => {
+    const blocks = splitLineBlocks(current.lines);
+    if (blocks.length > 0) {
+      sections.push({
+        source: current.source,
+        path: current.path,
+        blocks,
+        text: blocks.map((b) => b.text).join("\n\n"),
+      });
+    }
+  };
+
+  const open = (heading) => {
+    flush();
+    stack = stack.filter((h) => h.level < heading.level);
+    stack.push(heading);
+    current = { source: sourceName, path: stack.map((h) => h.title), lines: [] };
+  };
+
+  for (const page of pages) {
+    for (const heading of pending.get(page.number) || []) {
+      open(heading);
+    }
+    for (const line of page.lines) {
+      if (!line.text) {
+        current.lines.push({ text: "", page: page.number });
+        continue;
+      }
+      let heading = outline.length > 0 ? matchOutline(outline, line, page.number, usedOutline) : null;
+      // Rows with several cells are table rows, even when set in caps.
+      if (!heading && !(line.cells && line.cells.length >= 3)) {
+        const chapterLevel = stack.some((h) => h.level === 1) ? 2 : 1;
+        const detected = detectHeading(line, { bodySize, headingSizes, capsLevel: chapterLevel });
+        if (detected) {
+          heading = { level: detected.level + outlineDepth, title: detected.title };
+        }
+      }
+      if (heading) {
+        open(heading);
+        continue;
+      }
+      current.lines.push({ text: line.text, page: page.number, cells: line.cells });
+    }
+    current.lines.push({ text: "", page: page.number });
+  }
+  flush();
+  return sections;
+}
+
+function commonPrefixLength(a, b) {
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) {
+    i += 1;
+  }
+  return i;
+}
+
+// Coalesces `{ file, pageStart, pageEnd }` references so each file appears
+// once per contiguous page range.
+function mergeSourceRefs(...lists) {
+  const refs = lists
+    .flat()
+    .filter(Boolean)
+    .map((x) => ({ ...x }))
+    .sort((a, b) => (a.file === b.file ? a.pageStart - b.pageStart : 0));
+  const out = [];
+  for (const ref of refs) {
+    // Formats without pages carry null page numbers: one ref per file.
+    const prev = out.find(
+      (x) =>
+        x.file === ref.file &&
+        (ref.pageStart == null
+          ? x.pageStart == null
+          : x.pageStart != null && ref.pageStart <= x.pageEnd + 1 && ref.pageEnd >= x.pageStart - 1)
+    );
+    if (prev && ref.pageStart == null) {
+      continue;
+    }
+    if (prev) {
+      prev.pageStart = Math.min(prev.pageStart, ref.pageStart);
+      prev.pageEnd = Math.max(prev.pageEnd, ref.pageEnd);
+      continue;
+    }
+    out.push(ref);
+  }
+  return out;
+}
+
+function formatSourceRef(ref) {
+  if (ref.pageStart == null) {
+    return ref.file;
+  }
+  const pages = ref.pageStart === ref.pageEnd ? `p. ${ref.pageStart}` : `pp. ${ref.pageStart}-${ref.pageEnd}`;
+  return `${ref.file} ${pages}`;
+}
+
+function chunkTitle(chunk, index) {
+  if (chunk.path.length === 0) {
+    const first = (chunk.firstPath || [])[0];
+    const last = (chunk.lastPath || [])[0];
+    if (first && last && first !== last) {
+      return `${first} - ${last}`;
+    }
+    return first || toTitle(chunk.text.split("\n")[0] || "", index);
+  }
+  const base = chunk.path.join(" > ");
+  if (chunk.merged) {
+    // A merged chunk is named by the shared heading plus where it starts and
+    // ends below it, so merges under one heading keep distinct titles.
+    const end = (path, part) => {
+      const below = path.length > chunk.path.length ? path[chunk.path.length] : "";
+      return [below, part > 0 ? `part ${part}` : ""].filter(Boolean).join(" ");
+    };
+    const first = end(chunk.firstPath, chunk.firstPart) || "intro";
+    const last = end(chunk.lastPath, chunk.lastPart);
+    if (/^part \d+$/.test(first) && /^part \d+$/.test(last)) {
+      return `${base} (parts ${chunk.firstPart}-${chunk.lastPart})`;
+    }
+    return last && last !== first ? `${base} (${first} - ${last})` : base;
+  }
+  return chunk.part > 1 ? `${base} (part ${chunk.part})` : base;
+}
+
+function mergeChunks(a, b) {
+  const shared = a.source === b.source ? a.path.slice(0, commonPrefixLength(a.path, b.path)) : [];
+  const label = (c) => (c.path.length > shared.length ? `### ${c.path[c.path.length - 1]}\n\n` : "");
+  const text = a.merged || a.path.length === shared.length ? a.text : `${label(a)}${a.text}`;
+  return {
+    source: a.source === b.source ? a.source : null,
+    path: shared,
+    firstPath: a.firstPath || a.path,
+    lastPath: b.lastPath || b.path,
+    firstPart: a.merged ? a.firstPart : a.part,
+    lastPart: b.merged ? b.lastPart : b.part,
+    part: 0,
+    merged: true,
+    text: `${text}\n\n${label(b)}${b.text}`,
+    words: a.words + b.words,
+    sources: mergeSourceRefs(a.sources, b.sources),
+  };
+}
+
+// Turns sections into chunks: large sections are split into parts at block
+// boundaries and small siblings are folded together. `tuning` may override the
+// word targets. Blocks may carry `alsoIn` refs to copies removed elsewhere.
+function buildChunks(sections, tuning = {}) {
+  const minWords = tuning.chunkMinWords ?? CHUNK_MIN_WORDS;
+  const maxWords = tuning.chunkMaxWords ?? CHUNK_MAX_WORDS;
+  const smallWords = tuning.smallSectionWords ?? SMALL_SECTION_WORDS;
+  const chunks = [];
+  for (const section of sections) {
+    const parts = groupBlocks(section.blocks, (b) => countWords(b.text), minWords, maxWords);
+    parts.forEach((group, idx) => {
+      const text = group.map((b) => b.text).join("\n\n");
+      chunks.push({
+        source: section.source,
+        path: section.path,
+        part: parts.length > 1 ? idx + 1 : 0,
+        text,
+        words: countWords(text),
+        sources: mergeSourceRefs(
+          group.flatMap((b) => [{ file: section.source, pageStart: b.pageStart, pageEnd: b.pageEnd }, ...(b.alsoIn || [])])
+        ),
+      });
+    });
+  }
+
+  const folded = [];
+  for (const chunk of chunks) {
+    const prev = folded[folded.length - 1];
+    if (
+      prev &&
+      chunk.words < smallWords &&
+      prev.source === chunk.source &&
+      chunk.path.length > 0 &&
+      commonPrefixLength(prev.path, chunk.path) >= chunk.path.length - 1 &&
+      prev.words + chunk.words <= maxWords
+    ) {
+      folded[folded.length - 1] = mergeChunks(prev, chunk);
+      continue;
+    }
+    folded.push(chunk);
+  }
+  return folded;
+}
+
+// When there are more than `maxChunks`, the closest related neighbours are
+// merged first so no section is ever dropped. `mergedFrom` counts the input
+// chunks behind each merged one.
+function limitChunks(input, maxChunks) {
+  const chunks = input.slice();
+  const counts = chunks.map(() => 1);
+  const limit = Math.max(1, maxChunks);
+  while (chunks.length > limit) {
+    let best = 0;
+    let bestScore = Infinity;
+    for (let i = 0; i < chunks.length - 1; i += 1) {
+      const a = chunks[i];
+      const b = chunks[i + 1];
+      const shared = a.source === b.source ? commonPrefixLength(a.path, b.path) + 1 : 0;
+      const score = (a.words + b.words) / (shared + 1);
+      if (score < bestScore) {
+        best = i;
+        bestScore = score;
+      }
+    }
+    chunks.splice(best, 2, mergeChunks(chunks[best], chunks[best + 1]));
+    counts.splice(best, 2, counts[best] + counts[best + 1]);
+  }
+
+  return chunks.map((chunk, idx) => ({
+    source: chunk.source,
+    path: chunk.path,
+    part: chunk.part,
+    title: chunkTitle(chunk, idx),
+    text: chunk.text,
+    sources: chunk.sources,
+    ...(counts[idx] > 1 ? { mergedFrom: counts[idx] } : {}),
+  }));
+}
+
+function chunkSections(sections, maxChunks, tuning = {}) {
+  return limitChunks(buildChunks(sections, tuning), maxChunks);
+}
+
+module.exports = {
+  bodyFontSize,
+  headingFontSizes,
+  detectHeading,
+  buildSections,
+  buildChunks,
+  limitChunks,
+  chunkSections,
+  mergeSourceRefs,
+  formatSourceRef,
+};
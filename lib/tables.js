@@ -0,0 +1,178 @@
+// Tables are rebuilt from the x-extent of text cells on consecutive lines:
+// cells whose extents overlap across rows belong to one column. A run of rows
+// becomes a table when every row maps onto distinct columns.
+const MIN_TABLE_ROWS = 3;
+const MAX_TABLE_COLUMNS = 12;
+// Two-column page layouts also produce aligned "cells"; real table cells are
+// short.
+const MAX_AVG_CELL_WORDS = 6;
+const COLUMN_PADDING = 2;
+
+function mergeColumns(rows) {
+  const spans = rows
+    .flatMap((cells) => cells.map((c) => [c.x - COLUMN_PADDING, c.endX + COLUMN_PADDING]))
+    .sort((a, b) => a[0] - b[0]);
+  const columns = [];
+  for (const [start, end] of spans) {
+    const last = columns[columns.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      columns.push([start, end]);
+    }
+  }
+  return columns;
+}
+
+// Places each cell in its column; null when two cells of one row collide.
+function layoutRows(rows, columns) {
+  const out = [];
+  for (const cells of rows) {
+    const row = columns.map(() => "");
+    for (const cell of cells) {
+      const idx = columns.findIndex(([start, end]) => cell.x >= start && cell.x <= end);
+      if (idx < 0 || row[idx]) {
+        return null;
+      }
+      row[idx] = cell.text;
+    }
+    out.push(row);
+  }
+  return out;
+}
+
+function tableFromRows(rows) {
+  const columns = mergeColumns(rows);
+  if (columns.length < 2 || columns.length > MAX_TABLE_COLUMNS) {
+    return null;
+  }
+  const grid = layoutRows(rows, columns);
+  if (!grid) {
+    return null;
+  }
+  const cells = grid.flat().filter(Boolean);
+  const words = cells.reduce((sum, c) => sum + c.split(/\s+/).length, 0);
+  if (words / cells.length > MAX_AVG_CELL_WORDS) {
+    return null;
+  }
+  return { header: grid[0], rows: grid.slice(1) };
+}
+
+// Scans page lines (`{ text, cells? }`, blank lines break runs) and returns
+// `{ start, end, header, rows }` for each table, `end` exclusive. Runs grow
+// greedily and stop at the first row that no longer fits the columns.
+function detectTables(lines) {
+  const tables = [];
+  let i = 0;
+  while (i < lines.length) {
+    if (!lines[i].cells) {
+      i += 1;
+      continue;
+    }
+    let end = i;
+    let best = null;
+    while (end < lines.length && lines[end].cells) {
+      const table = tableFromRows(lines.slice(i, end + 1).map((l) => l.cells));
+      if (!table) {
+        break;
+      }
+      end += 1;
+      if (end - i >= MIN_TABLE_ROWS) {
+        best = { start: i, end, ...table };
+      }
+    }
+    if (best) {
+      tables.push(best);
+      i = best.end;
+    } else {
+      i += 1;
+    }
+  }
+  return tables;
+}
+
+function escapeCell(text) {
+  return String(text).replace(/\s*\n\s*/g, " ").replace(/\|/g, "\\|");
+}
+
+function renderMarkdownTable({ header, rows }) {
+  return [
+    `| ${header.map(escapeCell).join(" | ")} |`,
+    `| ${header.map(() => "---").join(" | ")} |`,
+    ...rows.map((row) => `| ${row.map(escapeCell).join(" | ")} |`),
+  ].join("\n");
+}
+
+const TABLE_ROW = /^\|.*\|$/;
+const TABLE_RULE = /^\|(\s*:?-{3,}:?\s*\|)+$/;
+
+function splitMarkdownRow(line) {
+  return line
+    .slice(1, -1)
+    .split(/(?<!\\)\|/)
+    .map((c) => c.trim().replace(/\\\|/g, "|"));
+}
+
+// Reads back tables rendered by `renderMarkdownTable`, so chunk text stays
+// the single carrier of table content through chunk merging.
+function parseMarkdownTables(text) {
+  const lines = String(text).split("\n").map((l) => l.trim());
+  const tables = [];
+  for (let i = 0; i + 1 < lines.length; i += 1) {
+    if (!TABLE_ROW.test(lines[i]) || !TABLE_RULE.test(lines[i + 1])) {
+      continue;
+    }
+    const header = splitMarkdownRow(lines[i]);
+    const rows = [];
+    let j = i + 2;
+    while (j < lines.length && TABLE_ROW.test(lines[j])) {
+      rows.push(splitMarkdownRow(lines[j]));
+      j += 1;
+    }
+    tables.push({ header, rows });
+    i = j - 1;
+  }
+  return tables;
+}
+
+// Rewrites Markdown tables as "Header: value; ..." lines so keyword, step and
+// condition extraction see cell values instead of pipe syntax.
+function flattenTables(text) {
+  const lines = String(text).split("\n");
+  const out = [];
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i].trim();
+    if (TABLE_ROW.test(line) && i + 1 < lines.length && TABLE_RULE.test(lines[i + 1].trim())) {
+      const header = splitMarkdownRow(line);
+      out.push(header.join(", "));
+      i += 2;
+      while (i < lines.length && TABLE_ROW.test(lines[i].trim())) {
+        const row = splitMarkdownRow(lines[i].trim());
+        out.push(row.map((cell, idx) => (header[idx] && cell ? `${header[idx]}: ${cell}` : cell)).filter(Boolean).join("; "));
+        i += 1;
+      }
+      i -= 1;
+      continue;
+    }
+    out.push(lines[i]);
+  }
+  return out.join("\n");
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function tableToCsv({ header, rows }) {
+  return `${[header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n")}\n`;
+}
+
+module.exports = {
+  escapeCell,
+  detectTables,
+  renderMarkdownTable,
+  parseMarkdownTables,
+  flattenTables,
+  tableToCsv,
+};
@@ -0,0 +1,199 @@
+const { formatSourceRef } = require("./sections");
+const { yamlScalar, buildStepsMd, buildDecisionsMd, buildFiguresMd } = require("./render");
+const { ASSETS_DIR } = require("./figures");
+
+// Every target is built from the same compile result. `claude` is the pack
+// itself; the others re-render `skillItems` in another tool's native layout.
+// Folder targets are written as a directory plus zip, file targets as one file.
+const TARGETS = [
+  { name: "claude", layout: "folder", build: (result) => result.files },
+  { name: "opencode", layout: "folder", build: buildOpenCode },
+  { name: "cursor", layout: "folder", build: buildCursor },
+  { name: "copilot", layout: "folder", build: buildCopilot },
+  { name: "jsonl", layout: "file", build: buildJsonl },
+  { name: "mcp", layout: "folder", build: buildMcp },
+];
+const TARGET_NAMES = TARGETS.map((t) => t.name);
+
+function describe(item) {
+  return item.enriched && item.trigger ? item.trigger : `Use when the user asks about: ${item.title}`;
+}
+
+// Compact Markdown shared by the rule/instruction targets: no generic
+// procedure boilerplate, just what the model needs to apply the section.
+function buildRuleBody(item) {
+  const lines = [`# ${item.title}`, ""];
+  if (item.summary) {
+    lines.push(item.summary, "");
+  }
+  lines.push(`**When to use**: ${describe(item)}`, "", `**Keywords**: ${item.keywords.join(", ")}`, "");
+  // Model-written steps and conditions win over the parsed structure.
+  const parsed = !item.enriched && item.procedure ? item.procedure : { steps: [], decisions: [] };
+  if (parsed.steps.length > 0) {
+    lines.push("## Steps", "", ...buildStepsMd(parsed.steps), "");
+  } else if (item.steps.length > 0) {
+    lines.push("## Steps", "", ...item.steps.map((s, idx) => `${idx + 1}. ${s}`), "");
+  }
+  if (parsed.decisions.length > 0) {
+    lines.push("## Conditions", "", ...buildDecisionsMd(parsed.decisions), "");
+  } else if (item.conditions.length > 0) {
+    lines.push("## Conditions", "", ...item.conditions.map((c) => `- ${c}`), "");
+  }
+  if (item.figures.length > 0) {
+    lines.push("## Figures", "", ...buildFiguresMd(item.figures, ""), "");
+  }
+  if (item.sources.length > 0) {
+    lines.push(`Sources: ${item.sources.map(formatSourceRef).join("; ")}`, "");
+  }
+  lines.push("## Knowledge", "", item.content);
+  return lines.join("\n");
+}
+
+// Rule targets keep the pack's figures in an `assets/` folder beside the
+// rule files, so the links in `buildRuleBody` resolve.
+function copyAssets(result, root) {
+  return result.files
+    .filter((f) => f.relativePath.startsWith(`${ASSETS_DIR}/`))
+    .map((f) => ({ relativePath: `${root}/${f.relativePath}`, content: f.content }));
+}
+
+function buildIndexList(items, link) {
+  return items.map((item) => `- [${item.title.replace(/[[\]]/g, "")}](${link(item)}): ${describe(item)}`);
+}
+
+// OpenCode discovers project skills under `.opencode/skills/<name>/`; the pack
+// layout itself is the same as for Claude.
+function buildOpenCode(result) {
+  const root = `.opencode/skills/${result.skillName}`;
+  return result.files.map((f) => ({ relativePath: `${root}/${f.relativePath}`, content: f.content }));
+}
+
+// Cursor project rules: one "agent requested" rule per skill (applied when its
+// description matches the request) plus an index rule.
+function buildCursor(result) {
+  const root = `.cursor/rules/${result.skillName}`;
+  const rule = (description, body) =>
+    ["---", `description: ${yamlScalar(description)}`, "globs:", "alwaysApply: false", "---", "", body].join("\n");
+  return [
+    {
+      relativePath: `${root}/index.mdc`,
+      content: rule(
+        `Index of the ${result.skillName} skills: pick the rule that matches the request`,
+        [`# ${result.skillName}`, "", ...buildIndexList(result.skillItems, (item) => `${item.id}.mdc`)].join("\n")
+      ),
+    },
+    ...result.skillItems.map((item) => ({
+      relativePath: `${root}/${item.id}.mdc`,
+      content: rule(describe(item), buildRuleBody(item)),
+    })),
+    ...copyAssets(result, root),
+  ];
+}
+
+// Copilot: the always-on `copilot-instructions.md` carries only the index;
+// per-skill instruction files have no `applyTo`, so they are attached on
+// demand instead of being loaded into every request.
+function buildCopilot(result) {
+  const dir = `.github/instructions/${result.skillName}`;
+  return [
+    {
+      relativePath: ".github/copilot-instructions.md",
+      content: [
+        `# ${result.skillName}`,
+        "",
+        `Domain knowledge for ${result.skillName} is split into instruction files.`,
+        "Read the matching file before answering questions on these topics:",
+        "",
+        ...buildIndexList(result.skillItems, (item) => `instructions/${result.skillName}/${item.id}.instructions.md`),
+      ].join("\n"),
+    },
+    ...result.skillItems.map((item) => ({
+      relativePath: `${dir}/${item.id}.instructions.md`,
+      content: ["---", `description: ${yamlScalar(describe(item))}`, "---", "", buildRuleBody(item)].join("\n"),
+    })),
+    ...copyAssets(result, dir),
+  ];
+}
+
+// One JSON record per skill for retrieval pipelines.
+function buildJsonl(result) {
+  const records = result.skillItems.map((item) =>
+    JSON.stringify({
+      pack: result.skillName,
+      id: item.id,
+      title: item.title,
+      section: item.section,
+      summary: item.summary || undefined,
+      trigger: item.trigger,
+      text: item.content,
+      keywords: item.keywords,
+      weights: item.weights,
+      steps: item.steps,
+      conditions: item.conditions,
+      procedure: item.procedure,
+      tables: item.tables.map((t) => ({ header: t.header, rows: t.rows })),
+      figures: item.figures.map((f) => ({ file: f.file, caption: f.caption, page: f.page })),
+      sources: item.sources,
+      dependencies: result.dependencies
+        .filter((d) => d.from === item.id)
+        .map((d) => ({ to: d.to, weight: d.weight })),
+      baseScore: item.baseScore,
+      enriched: item.enriched,
+    })
+  );
+  return [{ relativePath: `${result.skillName}.jsonl`, content: `${records.join("\n")}\n` }];
+}
+
+// The pack plus `mcp/resources.json`, listing every skill file as an MCP
+// resource (`skill://<pack>/<id>`) for servers that expose packs as resources.
+function buildMcp(result) {
+  const resource = (uri, name, title, description, file) => ({
+    uri,
+    name,
+    title,
+    description,
+    mimeType: file.endsWith(".json") ? "application/json" : "text/markdown",
+    file,
+  });
+  const base = `skill://${result.skillName}`;
+  const manifest = {
+    name: result.skillName,
+    version: "0.1.0",
+    resources: [
+      resource(`${base}/index`, "index", `${result.skillName} skill index`, "Routes requests to skills", "skills/index.md"),
+      resource(`${base}/routes`, "routes", "Routing metadata", "Keywords, scores and dependencies", "skills/routes.json"),
+      ...result.skillItems.map((item) =>
+        resource(`${base}/${item.id}`, item.id, item.title, describe(item), `skills/${item.id}.md`)
+      ),
+    ],
+  };
+  return result.files.concat({ relativePath: "mcp/resources.json", content: JSON.stringify(manifest, null, 2) });
+}
+
+function parseTargets(value) {
+  const names = []
+    .concat(value || [])
+    .flatMap((x) => String(x).split(","))
+    .map((x) => x.trim().toLowerCase())
+    .filter(Boolean);
+  for (const name of names) {
+    if (!TARGET_NAMES.includes(name)) {
+      throw new Error(`Unknown target "${name}" (available: ${TARGET_NAMES.join(", ")})`);
+    }
+  }
+  return names.length > 0 ? Array.from(new Set(names)) : ["claude"];
+}
+
+function buildTarget(name, result) {
+  const target = TARGETS.find((t) => t.name === name);
+  if (!target) {
+    throw new Error(`Unknown target "${name}" (available: ${TARGET_NAMES.join(", ")})`);
+  }
+  return { name, layout: target.layout, files: target.build(result) };
+}
+
+module.exports = {
+  TARGET_NAMES,
+  parseTargets,
+  buildTarget,
+};
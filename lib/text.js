@@ -0,0 +1,98 @@
+const { DEFAULT_TUNING } = require("./config");
+
+function slugify(name) {
+  return String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9\u4e00-\u9fa5]+/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+function toTitle(line, index) {
+  const clean = line
+    .replace(/^[-*#\d.\s]+/, "")
+    .replace(/[。.!?；;:：]+$/, "")
+    .trim();
+  if (!clean) {
+    return `skill-${String(index + 1).padStart(3, "0")}`;
+  }
+  return clean.length > 42 ? clean.slice(0, 42) : clean;
+}
+
+function normalizeText(text) {
+  return text
+    .replace(/\r/g, "")
+    .replace(/\t/g, " ")
+    .replace(/[ \u00A0]+/g, " ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function splitSemanticBlocks(text, minChars = DEFAULT_TUNING.minBlockChars) {
+  const blocks = text
+    .split(/\n\n+/)
+    .map((x) => x.trim())
+    .filter(Boolean)
+    .filter((x) => x.replace(/\s+/g, "").length >= minChars);
+
+  return blocks;
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+function groupBlocks(blocks, wordsOf, targetMinWords = 140, targetMaxWords = 280) {
+  const groups = [];
+  let current = [];
+  let currentWords = 0;
+
+  for (const block of blocks) {
+    const words = wordsOf(block);
+    if (
+      current.length > 0 &&
+      (currentWords + words > targetMaxWords || currentWords >= targetMinWords)
+    ) {
+      groups.push(current);
+      current = [];
+      currentWords = 0;
+    }
+    current.push(block);
+    currentWords += words;
+  }
+  if (current.length > 0) {
+    groups.push(current);
+  }
+  return groups;
+}
+
+function packBlocks(blocks, targetMinWords = 140, targetMaxWords = 280) {
+  return groupBlocks(blocks, countWords, targetMinWords, targetMaxWords).map((group) => group.join("\n\n"));
+}
+
+function chunkBlocks(blocks, maxChunks, targetMinWords = 140, targetMaxWords = 280) {
+  const chunks = packBlocks(blocks, targetMinWords, targetMaxWords);
+
+  if (chunks.length <= maxChunks) {
+    return chunks;
+  }
+
+  const ratio = Math.ceil(chunks.length / maxChunks);
+  const reduced = [];
+  for (let i = 0; i < chunks.length; i += ratio) {
+    reduced.push(chunks.slice(i, i + ratio).join("\n\n"));
+  }
+  return reduced.slice(0, maxChunks);
+}
+
+module.exports = {
+  slugify,
+  toTitle,
+  normalizeText,
+  splitSemanticBlocks,
+  countWords,
+  groupBlocks,
+  packBlocks,
+  chunkBlocks,
+};
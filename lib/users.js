@@ -0,0 +1,134 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_USERS_FILE = path.join(__dirname, "..", "web-data", "users.json");
+const KEY_PREFIX = "p2s_";
+const USER_NAME = /^[a-z0-9][a-z0-9._-]{0,39}$/;
+
+function newKey() {
+  return `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest();
+}
+
+// Compares two secrets without leaking how much of them matched: both are
+// hashed to the same length first, so `timingSafeEqual` always applies.
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(hashKey(a), hashKey(b));
+}
+
+// A JSON file of `{ users: [{ id, name, keyHash, createdAt }] }`. Only the
+// SHA-256 of each API key is stored; the key itself is shown once, by `add`.
+// The file is re-read when it changes, so keys issued or revoked from the CLI
+// apply to a running server.
+function createUserStore(file = DEFAULT_USERS_FILE) {
+  let loaded = { mtimeMs: -1, users: [] };
+
+  function read() {
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch (_) {
+      loaded = { mtimeMs: -1, users: [] };
+      return loaded.users;
+    }
+    if (stat.mtimeMs !== loaded.mtimeMs) {
+      // A broken file is an error, never "no users": that would turn key
+      // checks off.
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(file, "utf8"));
+      } catch (err) {
+        throw new Error(`Invalid API key file ${file}: ${err.message}`);
+      }
+      if (!data || !Array.isArray(data.users)) {
+        throw new Error(`Invalid API key file ${file}: expected { "users": [...] }`);
+      }
+      loaded = { mtimeMs: stat.mtimeMs, users: data.users };
+    }
+    return loaded.users;
+  }
+
+  function write(users) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpPath = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, `${JSON.stringify({ users }, null, 2)}\n`, { encoding: "utf8", mode: 0o600 });
+    fs.renameSync(tmpPath, file);
+  }
+
+  return {
+    file,
+    hasUsers() {
+      return read().length > 0;
+    },
+    list() {
+      return read().map((u) => ({ id: u.id, name: u.name, createdAt: u.createdAt }));
+    },
+    // Checks every user, so the time taken does not depend on which key (if
+    // any) matched. A hand-edited entry whose hash is not a SHA-256 never
+    // matches.
+    authenticate(key) {
+      if (!key) {
+        return null;
+      }
+      const candidate = hashKey(key);
+      let found = null;
+      for (const user of read()) {
+        const stored = Buffer.from(String(user.keyHash || ""), "hex");
+        if (stored.length === candidate.length && crypto.timingSafeEqual(candidate, stored) && !found) {
+          found = { id: user.id, name: user.name };
+        }
+      }
+      return found;
+    },
+    add(name) {
+      const clean = String(name || "").trim().toLowerCase();
+      if (!USER_NAME.test(clean)) {
+        throw new Error(`Invalid user name "${name}" (letters, digits, ".", "_" and "-", up to 40)`);
+      }
+      const users = read();
+      if (users.some((u) => u.name === clean)) {
+        throw new Error(`User "${clean}" already exists`);
+      }
+      const key = newKey();
+      const user = {
+        id: `u-${crypto.randomBytes(6).toString("hex")}`,
+        name: clean,
+        keyHash: hashKey(key).toString("hex"),
+        createdAt: new Date().toISOString(),
+      };
+      write(users.concat(user));
+      return { user: { id: user.id, name: user.name, createdAt: user.createdAt }, key };
+    },
+    // Issues a new key for an existing user; the old one stops working. The
+    // user keeps their ID and so their packs.
+    rotate(name) {
+      const users = read();
+      const user = users.find((u) => u.name === String(name || "").trim().toLowerCase());
+      if (!user) {
+        throw new Error(`Unknown user "${name}"`);
+      }
+      const key = newKey();
+      write(users.map((u) => (u === user ? { ...u, keyHash: hashKey(key).toString("hex") } : u)));
+      return { user: { id: user.id, name: user.name, createdAt: user.createdAt }, key };
+    },
+    remove(name) {
+      const users = read();
+      const user = users.find((u) => u.name === String(name || "").trim().toLowerCase());
+      if (!user) {
+        throw new Error(`Unknown user "${name}"`);
+      }
+      write(users.filter((u) => u !== user));
+      return { id: user.id, name: user.name };
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_USERS_FILE,
+  safeEqual,
+  createUserStore,
+};
@@ -0,0 +1,441 @@
+const { ROUTES_PATH, findPackFile } = require("./pack");
+
+const MAX_FILE_KB = 512;
+const INDEX_PATH = "skills/index.md";
+const GRAPH_PATH = "skills/dependency-graph.md";
+const SKILL_FILE = /^skills\/(skill-[^/]+)\.md$/;
+// A pack this large with no dependency edges at all usually means the
+// threshold does not suit the keyword weighting.
+const LINKED_PACK_SKILLS = 8;
+const PLAIN_SCALAR_START = /^[-?:,[\]{}#&*!|>'"%@`]/;
+
+// Frontmatter is parsed as the flat YAML subset packs use: `key: value` lines
+// with plain, single- or double-quoted scalars, plus indented `- item` lists.
+// Anything a YAML parser would reject or read differently is an error.
+function parseFrontmatter(content) {
+  const lines = String(content).split("\n");
+  if (lines[0] !== "---") {
+    return { error: "missing opening ---" };
+  }
+  const end = lines.indexOf("---", 1);
+  if (end < 0) {
+    return { error: "missing closing ---" };
+  }
+  const data = {};
+  let listKey = null;
+  for (let i = 1; i < end; i += 1) {
+    const line = lines[i];
+    const lineNo = i + 1;
+    if (!line.trim() || line.trim().startsWith("#")) {
+      continue;
+    }
+    const item = /^\s+-\s+(.*)$/.exec(line);
+    if (item && listKey) {
+      const value = parseScalar(item[1]);
+      if (value.error) {
+        return { error: `line ${lineNo}: ${value.error}` };
+      }
+      data[listKey].push(value.value);
+      continue;
+    }
+    const m = /^([A-Za-z_][\w-]*):(?:\s+(.*))?$/.exec(line);
+    if (!m) {
+      return { error: `line ${lineNo}: expected "key: value"` };
+    }
+    if (Object.prototype.hasOwnProperty.call(data, m[1])) {
+      return { error: `line ${lineNo}: duplicate key "${m[1]}"` };
+    }
+    if (m[2] === undefined || m[2].trim() === "") {
+      data[m[1]] = [];
+      listKey = m[1];
+      continue;
+    }
+    const value = parseScalar(m[2]);
+    if (value.error) {
+      return { error: `line ${lineNo}: ${value.error}` };
+    }
+    data[m[1]] = value.value;
+    listKey = null;
+  }
+  return { data, body: lines.slice(end + 1).join("\n") };
+}
+
+function parseScalar(raw) {
+  const text = raw.trim();
+  if (text.startsWith('"')) {
+    try {
+      return { value: JSON.parse(text) };
+    } catch (_err) {
+      return { error: `invalid double-quoted string: ${text}` };
+    }
+  }
+  if (text.startsWith("'")) {
+    const m = /^'((?:[^']|'')*)'$/.exec(text);
+    return m ? { value: m[1].replace(/''/g, "'") } : { error: `invalid single-quoted string: ${text}` };
+  }
+  if (PLAIN_SCALAR_START.test(text)) {
+    return { error: `value must be quoted: ${text}` };
+  }
+  if (/: |:$/.test(text)) {
+    return { error: `unquoted ": " in value: ${text}` };
+  }
+  return { value: text.replace(/\s+#.*$/, "") };
+}
+
+// Node shapes in the order they must be tried (longer delimiters first).
+const MERMAID_SHAPES = [
+  ["[[", "]]"],
+  ["[(", ")]"],
+  ["([", "])"],
+  ["((", "))"],
+  ["{{", "}}"],
+  ["[", "]"],
+  ["(", ")"],
+  ["{", "}"],
+  [">", "]"],
+];
+const MERMAID_LINK = /^\s*(-->|---|-\.->|==>|-\.-|===)(\|[^|"]*\|)?\s*/;
+const MERMAID_SKIPPED = /^(subgraph|end|classDef|class|style|linkStyle|click|direction)\b/;
+
+function readMermaidNode(text) {
+  const id = /^\s*([A-Za-z0-9_](?:\w|-(?![-.>]))*)/.exec(text);
+  if (!id) {
+    return null;
+  }
+  let rest = text.slice(id[0].length);
+  for (const [open, close] of MERMAID_SHAPES) {
+    if (!rest.startsWith(open)) {
+      continue;
+    }
+    const inner = rest.slice(open.length);
+    const quoted = /^"[^"]*"/.exec(inner);
+    const label = quoted ? quoted[0] : /^[^"[\](){}|<>]*/.exec(inner)[0];
+    if (!inner.slice(label.length).startsWith(close)) {
+      return null;
+    }
+    rest = inner.slice(label.length + close.length);
+    return { id: id[1], label: true, rest };
+  }
+  return { id: id[1], label: false, rest };
+}
+
+// Checks flowchart syntax line by line: node definitions, chained links with
+// optional `|label|`, and the structural keywords Mermaid allows around them.
+function checkMermaid(source) {
+  const lines = String(source).split("\n");
+  const errors = [];
+  const nodes = new Set();
+  const edges = [];
+  let header = false;
+  lines.forEach((raw, idx) => {
+    const line = raw.trim();
+    if (!line || line.startsWith("%%")) {
+      return;
+    }
+    if (!header) {
+      if (!/^(graph|flowchart)(\s+(TB|TD|BT|RL|LR))?;?$/.test(line)) {
+        errors.push({ line: idx + 1, message: `expected "graph <direction>", got: ${line}` });
+      }
+      header = true;
+      return;
+    }
+    if (MERMAID_SKIPPED.test(line)) {
+      return;
+    }
+    let node = readMermaidNode(line);
+    const chain = [];
+    while (node) {
+      chain.push(node.id);
+      if (node.label) {
+        nodes.add(node.id);
+      }
+      const link = MERMAID_LINK.exec(node.rest);
+      if (!link) {
+        break;
+      }
+      node = readMermaidNode(node.rest.slice(link[0].length));
+      if (!node) {
+        break;
+      }
+      edges.push({ from: chain[chain.length - 1], to: node.id });
+    }
+    if (!node || node.rest.replace(/;$/, "").trim()) {
+      errors.push({ line: idx + 1, message: `cannot parse: ${line}` });
+      return;
+    }
+    chain.forEach((id) => nodes.add(id));
+  });
+  if (!header) {
+    errors.push({ line: 1, message: "empty diagram" });
+  }
+  return { nodes, edges, errors };
+}
+
+function mermaidBlocks(content) {
+  const blocks = [];
+  const re = /^```mermaid\n([\s\S]*?)^```/gm;
+  let m;
+  while ((m = re.exec(content))) {
+    blocks.push({ source: m[1], line: content.slice(0, m.index).split("\n").length + 1 });
+  }
+  return blocks;
+}
+
+function splitIndexRow(line) {
+  return line
+    .trim()
+    .slice(1, -1)
+    .split(/(?<!\\)\|/)
+    .map((c) => c.trim().replace(/\\\|/g, "|"));
+}
+
+function knowledgeText(body) {
+  const at = body.indexOf("\n## Knowledge\n");
+  return at < 0 ? "" : body.slice(at + "\n## Knowledge\n".length).trim();
+}
+
+// Checks a pack given as the `{ relativePath, content }` list from
+// `compile()` or `readPack()`. Errors make the pack unusable or misleading;
+// warnings are worth a look but do not fail unless `strict` is set.
+function validatePack(files, options = {}) {
+  const maxBytes = (options.maxFileKb || MAX_FILE_KB) * 1024;
+  const errors = [];
+  const warnings = [];
+  const error = (code, file, message) => errors.push({ code, file, message });
+  const warn = (code, file, message) => warnings.push({ code, file, message });
+
+  const byPath = new Map(files.map((f) => [f.relativePath, f]));
+  let totalBytes = 0;
+  for (const f of files) {
+    const bytes = Buffer.byteLength(f.content, "utf8");
+    totalBytes += bytes;
+    if (bytes > maxBytes) {
+      error("oversized-file", f.relativePath, `${Math.ceil(bytes / 1024)} KB exceeds ${maxBytes / 1024} KB`);
+    }
+  }
+
+  const main = findPackFile(files, "SKILL.md");
+  if (!main) {
+    error("missing-file", "SKILL.md", "pack has no entry skill");
+  } else {
+    const fm = parseFrontmatter(main.content);
+    if (fm.error) {
+      error("invalid-frontmatter", "SKILL.md", fm.error);
+    } else if (!fm.data.name || !fm.data.description) {
+      error("invalid-frontmatter", "SKILL.md", "name and description are required");
+    }
+  }
+
+  let routes = null;
+  const routesFile = findPackFile(files, ROUTES_PATH);
+  if (!routesFile) {
+    error("missing-file", ROUTES_PATH, "pack has no routing metadata");
+  } else {
+    try {
+      routes = JSON.parse(routesFile.content);
+    } catch (err) {
+      error("invalid-json", ROUTES_PATH, err.message);
+    }
+  }
+  const skills = routes && Array.isArray(routes.skills) ? routes.skills : [];
+  const dependencies = routes && Array.isArray(routes.dependencies) ? routes.dependencies : [];
+  if (routes && !Array.isArray(routes.skills)) {
+    error("invalid-json", ROUTES_PATH, "skills must be an array");
+  } else if (routes && skills.length === 0) {
+    error("empty-pack", ROUTES_PATH, "pack has no skills");
+  }
+
+  const ids = new Set();
+  const titles = new Map();
+  const contents = new Map();
+  for (const skill of skills) {
+    const file = `skills/${skill.id}.md`;
+    if (!skill.id || !skill.title) {
+      error("invalid-json", ROUTES_PATH, `skill entry without id or title: ${JSON.stringify(skill).slice(0, 80)}`);
+      continue;
+    }
+    if (ids.has(skill.id)) {
+      error("duplicate-id", ROUTES_PATH, `skill ID ${skill.id} is listed twice`);
+      continue;
+    }
+    ids.add(skill.id);
+    if (titles.has(skill.title)) {
+      warn("duplicate-title", file, `same title as ${titles.get(skill.title)}: ${skill.title}`);
+    } else {
+      titles.set(skill.title, skill.id);
+    }
+
+    const md = byPath.get(file);
+    if (!md) {
+      error("missing-file", file, "listed in routes.json but missing");
+      continue;
+    }
+    const fm = parseFrontmatter(md.content);
+    if (fm.error) {
+      error("invalid-frontmatter", file, fm.error);
+      continue;
+    }
+    if (fm.data.name !== skill.id) {
+      error("frontmatter-mismatch", file, `name "${fm.data.name}" does not match ID ${skill.id}`);
+    }
+    if (!fm.data.description) {
+      error("invalid-frontmatter", file, "description is required");
+    }
+    const knowledge = knowledgeText(fm.body);
+    if (!knowledge) {
+      error("empty-skill", file, "Knowledge section is empty");
+    } else if (contents.has(knowledge)) {
+      error("duplicate-skill", file, `same Knowledge content as ${contents.get(knowledge)}`);
+    } else {
+      contents.set(knowledge, skill.id);
+    }
+    for (const link of fm.body.matchAll(/\]\(\.\.\/([^)\s]+)\)/g)) {
+      if (!byPath.has(link[1])) {
+        error("broken-link", file, `links to missing ${link[1]}`);
+      }
+    }
+  }
+  for (const f of files) {
+    const m = SKILL_FILE.exec(f.relativePath);
+    if (m && routes && !ids.has(m[1])) {
+      error("orphan-skill", f.relativePath, "skill file is not listed in routes.json");
+    }
+  }
+  for (const d of dependencies) {
+    if (!ids.has(d.from) || !ids.has(d.to)) {
+      error("unknown-dependency", ROUTES_PATH, `edge ${d.from} -> ${d.to} references a missing skill`);
+    }
+  }
+  if (ids.size >= LINKED_PACK_SKILLS && dependencies.length === 0) {
+    warn("no-dependencies", ROUTES_PATH, `${ids.size} skills but no dependency edges (see tuning.dependencyThreshold)`);
+  }
+
+  if (routes && routes.embeddings) {
+    const file = findPackFile(files, routes.embeddings);
+    let embeddings = null;
+    if (!file) {
+      error("missing-file", routes.embeddings, "listed in routes.json but missing");
+    } else {
+      try {
+        embeddings = JSON.parse(file.content);
+      } catch (err) {
+        error("invalid-json", routes.embeddings, err.message);
+      }
+    }
+    const vectors = (embeddings && embeddings.vectors) || {};
+    for (const id of embeddings ? ids : []) {
+      const vector = vectors[id];
+      if (!Array.isArray(vector) || vector.length !== embeddings.dims) {
+        error("embedding-mismatch", routes.embeddings, `${id} has no ${embeddings.dims}-dim vector`);
+      }
+    }
+  }
+
+  if (routes && routes.glossary) {
+    const file = findPackFile(files, routes.glossary);
+    let glossary = null;
+    if (!file) {
+      error("missing-file", routes.glossary, "listed in routes.json but missing");
+    } else {
+      try {
+        glossary = JSON.parse(file.content);
+      } catch (err) {
+        error("invalid-json", routes.glossary, err.message);
+      }
+    }
+    for (const entry of Array.isArray(glossary) ? glossary : []) {
+      const unknown = (entry.skills || []).filter((id) => !ids.has(id));
+      if (unknown.length > 0) {
+        error("glossary-mismatch", routes.glossary, `"${entry.term}" links to missing ${unknown.join(", ")}`);
+      }
+    }
+  }
+
+  const index = findPackFile(files, INDEX_PATH);
+  if (!index) {
+    error("missing-file", INDEX_PATH, "pack has no router index");
+  } else if (routes) {
+    const lines = index.content.split("\n");
+    const rule = lines.findIndex((l) => /^\|(\s*-{3,}\s*\|)+\s*$/.test(l.trim()));
+    const header = rule > 0 ? splitIndexRow(lines[rule - 1]) : [];
+    const rows = [];
+    for (let i = rule + 1; rule > 0 && i < lines.length && lines[i].trim().startsWith("|"); i += 1) {
+      const cells = splitIndexRow(lines[i]);
+      if (cells.length !== header.length) {
+        error("index-mismatch", INDEX_PATH, `line ${i + 1} has ${cells.length} cells, expected ${header.length}`);
+      }
+      rows.push(cells);
+    }
+    if (rule <= 0) {
+      error("index-mismatch", INDEX_PATH, "no skill table found");
+    }
+    const indexed = new Map(rows.map((r) => [r[0], r[1]]));
+    for (const skill of skills) {
+      if (!indexed.has(skill.id)) {
+        error("index-mismatch", INDEX_PATH, `${skill.id} is missing from the index`);
+      } else if (indexed.get(skill.id) !== String(skill.title).replace(/\s+/g, " ").trim()) {
+        error("index-mismatch", INDEX_PATH, `title of ${skill.id} differs from routes.json`);
+      }
+    }
+    for (const id of indexed.keys()) {
+      if (rule > 0 && !ids.has(id)) {
+        error("index-mismatch", INDEX_PATH, `${id} is not in routes.json`);
+      }
+    }
+  }
+
+  const graph = findPackFile(files, GRAPH_PATH);
+  for (const f of files.filter((x) => x.relativePath.endsWith(".md"))) {
+    for (const block of mermaidBlocks(f.content)) {
+      const result = checkMermaid(block.source);
+      for (const e of result.errors) {
+        error("invalid-mermaid", f.relativePath, `line ${block.line + e.line - 1}: ${e.message}`);
+      }
+      if (f !== graph || result.errors.length > 0 || !routes) {
+        continue;
+      }
+      const missing = [...ids].filter((id) => !result.nodes.has(id));
+      if (missing.length > 0) {
+        error("graph-mismatch", GRAPH_PATH, `skills missing from the graph: ${missing.join(", ")}`);
+      }
+      if (result.edges.length !== dependencies.length) {
+        error("graph-mismatch", GRAPH_PATH, `${result.edges.length} edges, routes.json has ${dependencies.length}`);
+      }
+    }
+  }
+  if (!graph) {
+    warn("missing-file", GRAPH_PATH, "pack has no dependency graph");
+  } else if (mermaidBlocks(graph.content).length === 0) {
+    error("invalid-mermaid", GRAPH_PATH, "no mermaid block found");
+  }
+
+  return {
+    ok: errors.length === 0 && (!options.strict || warnings.length === 0),
+    errors,
+    warnings,
+    stats: { files: files.length, bytes: totalBytes, skills: skills.length, dependencies: dependencies.length },
+  };
+}
+
+function formatValidationReport(report) {
+  const { stats } = report;
+  const lines = [
+    `${report.ok ? "OK" : "FAILED"}: ${stats.skills} skills, ${stats.dependencies} edges, ${stats.files} files (${Math.ceil(stats.bytes / 1024)} KB)`,
+    `Errors: ${report.errors.length}, warnings: ${report.warnings.length}`,
+  ];
+  for (const e of report.errors) {
+    lines.push(`! ${e.file}: ${e.message} [${e.code}]`);
+  }
+  for (const w of report.warnings) {
+    lines.push(`? ${w.file}: ${w.message} [${w.code}]`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  MAX_FILE_KB,
+  parseFrontmatter,
+  checkMermaid,
+  validatePack,
+  formatValidationReport,
+};
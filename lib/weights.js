@@ -0,0 +1,69 @@
+const WEIGHTING_SCHEMES = ["bm25", "tfidf", "tf"];
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+function termFrequencies(tokens) {
+  const tf = new Map();
+  for (const token of tokens) {
+    tf.set(token, (tf.get(token) || 0) + 1);
+  }
+  return tf;
+}
+
+// Document frequencies over every chunk of the compile, so terms that occur in
+// every chunk (the product name, "player") stop dominating keyword lists.
+function buildCorpusStats(tokenLists) {
+  const df = new Map();
+  let totalLength = 0;
+  for (const tokens of tokenLists) {
+    totalLength += tokens.length;
+    for (const token of new Set(tokens)) {
+      df.set(token, (df.get(token) || 0) + 1);
+    }
+  }
+  return {
+    docCount: tokenLists.length,
+    avgLength: tokenLists.length > 0 ? totalLength / tokenLists.length : 0,
+    df,
+  };
+}
+
+function inverseDocumentFrequency(term, stats) {
+  const n = stats.docCount;
+  const df = stats.df.get(term) || 0;
+  return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+}
+
+function termWeight(tf, docLength, idf, stats, scheme) {
+  if (scheme === "tf") {
+    return tf;
+  }
+  if (scheme === "tfidf") {
+    return (1 + Math.log(tf)) * idf;
+  }
+  const norm = stats.avgLength > 0 ? docLength / stats.avgLength : 1;
+  return idf * ((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * norm)));
+}
+
+// Returns the `limit` highest-weighted terms of one chunk as
+// `{ term, weight }`, with weights scaled so the strongest term is 1.
+function weightedKeywords(tokens, stats, limit = 12, scheme = "bm25") {
+  const tf = termFrequencies(tokens);
+  const scored = Array.from(tf.entries()).map(([term, count]) => ({
+    term,
+    weight: termWeight(count, tokens.length, inverseDocumentFrequency(term, stats), stats, scheme),
+  }));
+  scored.sort((a, b) => b.weight - a.weight || (tf.get(b.term) || 0) - (tf.get(a.term) || 0));
+
+  const top = scored.slice(0, limit);
+  const max = top.length > 0 ? top[0].weight : 0;
+  return top.map((x) => ({ term: x.term, weight: max > 0 ? Number((x.weight / max).toFixed(3)) : 0 }));
+}
+
+module.exports = {
+  WEIGHTING_SCHEMES,
+  buildCorpusStats,
+  inverseDocumentFrequency,
+  weightedKeywords,
+};
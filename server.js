@@ -2,22 +2,71 @@ const express = require("express");
 const multer = require("multer");
 const fs = require("fs");
 const path = require("path");
-const { execFile } = require("child_process");
+const { readPack, routePack, semanticRouting, pruneCache, LANG_MODES } = require("./index");
+const { createJobQueue, publicJob } = require("./lib/jobs");
+const { acceptsUpload, SUPPORTED_EXTENSIONS } = require("./lib/formats");
+const { PROFILES, loadConfig, profileNames, resolveCompileOptions } = require("./lib/config");
+const { resolveEmbedOptions } = require("./lib/embed");
+const { DEFAULT_USERS_FILE, safeEqual, createUserStore } = require("./lib/users");
+const { createLibrary } = require("./lib/library");
 
 const app = express();
 const PORT = Number.parseInt(process.env.PORT || "3789", 10);
 const COMPILE_TOKEN = (process.env.COMPILE_TOKEN || "").trim();
 const OUTPUT_TTL_HOURS = Number.parseInt(process.env.OUTPUT_TTL_HOURS || "24", 10);
 const MAX_UPLOAD_MB = Number.parseInt(process.env.MAX_UPLOAD_MB || "100", 10);
+const COMPILE_CONCURRENCY = Number.parseInt(process.env.COMPILE_CONCURRENCY || "2", 10);
+const COMPILE_TIMEOUT_SEC = Number.parseInt(process.env.COMPILE_TIMEOUT_SEC || "600", 10);
+// Library packs are kept until deleted unless PACK_TTL_DAYS is set.
+const PACK_TTL_DAYS = Number.parseInt(process.env.PACK_TTL_DAYS || "0", 10);
+const USERS_FILE = process.env.USERS_FILE ? path.resolve(process.env.USERS_FILE) : DEFAULT_USERS_FILE;
+const ENRICH = process.env.ENRICH_PROVIDER
+  ? {
+      provider: process.env.ENRICH_PROVIDER,
+      baseUrl: process.env.ENRICH_BASE_URL,
+      model: process.env.ENRICH_MODEL,
+      apiKey: process.env.ENRICH_API_KEY,
+    }
+  : null;
+// Tuning and profiles come from PDF2SKILL_CONFIG or a pdf2skill.config.json/.js
+// in the working directory; inputs, name and output paths in it are ignored.
+const CONFIG = loadConfig(process.env.PDF2SKILL_CONFIG);
+const WEB_OPTION_KEYS = [
+  "lang",
+  "maxChunks",
+  "minScore",
+  "weighting",
+  "dictionaries",
+  "ocr",
+  "ocrLang",
+  "keepRaw",
+  "assets",
+  "enrich",
+  "embedModel",
+  "dedup",
+  "budget",
+  "tuning",
+];
+// A local embedding model (EMBED_MODEL or `embedModel` in the config) turns on
+// semantic dependency edges for compiles and semantic ranking in /api/route.
+const EMBED_MODEL = process.env.EMBED_MODEL ? path.resolve(process.env.EMBED_MODEL) : null;
+const EMBED = resolveEmbedOptions(EMBED_MODEL || (CONFIG && CONFIG.options.embedModel));
 
 app.disable("x-powered-by");
 
 const uploadDir = path.join(__dirname, "tmp-uploads");
 const outDir = path.join(__dirname, "web-output");
+const cacheDir = path.join(__dirname, "web-cache");
 const webDir = path.join(__dirname, "web");
 
 fs.mkdirSync(uploadDir, { recursive: true });
-fs.mkdirSync(outDir, { recursive: true });
+
+const users = createUserStore(USERS_FILE);
+const library = createLibrary(outDir);
+// Without per-user keys, everyone behind COMPILE_TOKEN (or, with no token,
+// everyone) shares one library.
+const SHARED_USER = { id: "shared", name: "shared" };
+const PUBLIC_USER = { id: "public", name: "public" };
 
 const upload = multer({
   dest: uploadDir,
@@ -48,57 +97,92 @@ function cleanupUploaded(files) {
   }
 }
 
-function runCompile(args) {
-  return new Promise((resolve, reject) => {
-    execFile("node", args, { cwd: __dirname, maxBuffer: 1024 * 1024 * 8 }, (error, stdout, stderr) => {
-      if (error) {
-        reject(new Error((stderr || stdout || error.message || "Compile failed").trim()));
-        return;
-      }
-      resolve({ stdout, stderr });
+// A finished compile becomes a library pack; a failed or cancelled one
+// leaves nothing behind.
+function finishPack(job) {
+  const { userId, packId } = job.meta;
+  if (job.status !== "done") {
+    library.remove(userId, packId);
+    return;
+  }
+  // A compile that reported success without a zip (or a library that cannot
+  // be written) fails the job, so it does not claim a pack that is not listed.
+  try {
+    library.save(userId, packId, {
+      name: job.meta.skillName,
+      createdAt: job.finishedAt,
+      inputs: job.meta.files.map((f) => f.originalname),
+      profile: job.meta.profile,
+      skills: job.result.skills,
+      dependencies: job.result.dependencies,
+      files: job.result.files,
+      validation: job.result.validation,
+      jobId: job.id,
     });
-  });
+  } catch (err) {
+    library.remove(userId, packId);
+    Object.assign(job, { status: "failed", result: null, error: `Could not save the pack: ${err.message}` });
+  }
 }
 
-function cleanupOldOutputs(rootDir, ttlHours) {
-  const ttlMs = Math.max(1, ttlHours) * 60 * 60 * 1000;
-  const now = Date.now();
+const jobs = createJobQueue({
+  concurrency: Math.max(1, COMPILE_CONCURRENCY || 1),
+  timeoutMs: Math.max(1, COMPILE_TIMEOUT_SEC || 600) * 1000,
+  onFinish: (job) => {
+    cleanupUploaded(job.meta.files);
+    finishPack(job);
+  },
+});
+
+function pruneLibrary() {
+  const active = jobs.list().filter((job) => !job.finishedAt).map((job) => job.meta.packId);
+  library.prune(PACK_TTL_DAYS > 0 ? PACK_TTL_DAYS * 24 * 60 * 60 * 1000 : Infinity, new Set(active));
+}
 
-  for (const entry of fs.readdirSync(rootDir, { withFileTypes: true })) {
-    const fullPath = path.join(rootDir, entry.name);
-    try {
-      const stat = fs.statSync(fullPath);
-      if (now - stat.mtimeMs <= ttlMs) {
-        continue;
-      }
-      if (entry.isDirectory()) {
-        fs.rmSync(fullPath, { recursive: true, force: true });
-      } else {
-        fs.unlinkSync(fullPath);
-      }
-    } catch (_) {
-      // Ignore cleanup failures.
-    }
-  }
+function pick(options) {
+  return Object.fromEntries(Object.entries(options).filter(([key]) => WEB_OPTION_KEYS.includes(key)));
 }
 
-function isPdfFile(file) {
-  const name = String(file.originalname || "").toLowerCase();
-  const mime = String(file.mimetype || "").toLowerCase();
-  return name.endsWith(".pdf") && mime.includes("pdf");
+// Keys come from `Authorization: Bearer <key>`, `x-api-key` or (for
+// COMPILE_TOKEN setups) `x-compile-token`, never from the query string, where
+// they would end up in access logs and browser history.
+function readCredential(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(String(req.headers.authorization || "").trim());
+  return String((bearer && bearer[1]) || req.headers["x-api-key"] || req.headers["x-compile-token"] || "").trim();
 }
 
+// Once the key store has users, every request needs its own key and sees only
+// its own jobs and packs; COMPILE_TOKEN is then ignored.
+let keyFileError = null;
+
 function authGuard(req, res, next) {
-  if (!COMPILE_TOKEN) {
-    next();
+  const credential = readCredential(req);
+  let user;
+  let keyed;
+  try {
+    keyed = users.hasUsers();
+  } catch (err) {
+    // Refuse everything until the key file is fixed; log each new problem once.
+    if (err.message !== keyFileError) {
+      keyFileError = err.message;
+      process.stderr.write(`${err.message}\n`);
+    }
+    res.status(503).json({ error: "The server's API key file is invalid; see the server log" });
     return;
   }
-
-  const candidate = String(req.headers["x-compile-token"] || req.query.token || "").trim();
-  if (!candidate || candidate !== COMPILE_TOKEN) {
+  keyFileError = null;
+  if (keyed) {
+    user = users.authenticate(credential);
+  } else if (COMPILE_TOKEN) {
+    user = credential && safeEqual(credential, COMPILE_TOKEN) ? SHARED_USER : null;
+  } else {
+    user = PUBLIC_USER;
+  }
+  if (!user) {
     res.status(401).json({ error: "Unauthorized" });
     return;
   }
+  req.user = user;
   next();
 }
 
@@ -115,73 +199,221 @@ app.get("/health", (_req, res) => {
   res.json({ ok: true });
 });
 
-app.post("/api/compile", authGuard, upload.array("pdfs", 10), async (req, res) => {
+app.get("/api/profiles", (_req, res) => {
+  const custom = (CONFIG && CONFIG.profiles) || {};
+  res.json({
+    profiles: profileNames(CONFIG).map((name) => ({
+      name,
+      description: (custom[name] && custom[name].description) || (PROFILES[name] && PROFILES[name].description) || "",
+    })),
+  });
+});
+
+app.post("/api/compile", authGuard, upload.array("pdfs", 10), (req, res) => {
   const files = req.files || [];
 
-  cleanupOldOutputs(outDir, OUTPUT_TTL_HOURS);
+  pruneLibrary();
+  pruneCache(cacheDir, Math.max(1, OUTPUT_TTL_HOURS) * 60 * 60 * 1000);
+  jobs.prune(Math.max(1, OUTPUT_TTL_HOURS) * 60 * 60 * 1000);
 
   if (files.length === 0) {
-    res.status(400).json({ error: "Please upload at least one PDF file." });
+    res.status(400).json({ error: "Please upload at least one source file." });
     return;
   }
 
   for (const file of files) {
-    if (!isPdfFile(file)) {
+    if (!acceptsUpload(file.originalname, file.mimetype)) {
       cleanupUploaded(files);
-      res.status(400).json({ error: `Invalid file type: ${file.originalname}. Only PDF is allowed.` });
+      res.status(400).json({
+        error: `Invalid file type: ${file.originalname}. Supported: ${SUPPORTED_EXTENSIONS.join(", ")}.`,
+      });
       return;
     }
   }
 
   const rawName = req.body.name || "pdf-skill-pack";
   const skillName = sanitizeSkillName(rawName);
-  const lang = ["auto", "zh", "en"].includes(String(req.body.lang || "auto"))
-    ? String(req.body.lang || "auto")
-    : "auto";
-
-  const maxChunks = Number.parseInt(req.body.maxChunks || "24", 10);
-  const minScore = Number.parseInt(req.body.minScore || "55", 10);
+  // Empty form fields fall through to the profile and config file.
+  const lang = LANG_MODES.includes(String(req.body.lang || "")) ? String(req.body.lang) : undefined;
+  const maxChunks = Number.parseInt(req.body.maxChunks || "", 10);
+  const minScore = Number.parseInt(req.body.minScore || "", 10);
+  const profile = String(req.body.profile || "").trim() || undefined;
 
   if (!skillName) {
     cleanupUploaded(files);
     res.status(400).json({ error: "Skill name is invalid." });
     return;
   }
+  if (profile && !profileNames(CONFIG).includes(profile)) {
+    cleanupUploaded(files);
+    res.status(400).json({ error: `Unknown profile: ${profile}` });
+    return;
+  }
 
-  const inputArg = files.map((f) => path.resolve(f.path)).join(",");
-  const args = [
-    "index.js",
-    "--input",
-    inputArg,
-    "--name",
-    skillName,
-    "--outdir",
-    outDir,
-    "--lang",
+  const resolved = resolveCompileOptions(CONFIG, profile, {
     lang,
-    "--max-chunks",
-    Number.isFinite(maxChunks) ? String(maxChunks) : "24",
-    "--min-score",
-    Number.isFinite(minScore) ? String(minScore) : "55",
-  ];
+    maxChunks: Number.isFinite(maxChunks) ? maxChunks : undefined,
+    minScore: Number.isFinite(minScore) ? minScore : undefined,
+  });
+  const pack = library.create(req.user.id);
+  const job = jobs.submit(
+    {
+      inputs: files.map((f) => ({ name: f.originalname, path: f.path })),
+      options: {
+        ...pick(resolved),
+        name: skillName,
+        cacheDir,
+        enrich: ENRICH || (resolved.enrich ? { ...resolved.enrich, apiKey: process.env.ENRICH_API_KEY } : null),
+        embedModel: EMBED_MODEL || resolved.embedModel,
+        profile,
+      },
+      zipPath: pack.zipPath,
+    },
+    { files, skillName, profile, userId: req.user.id, packId: pack.id }
+  );
 
-  try {
-    await runCompile(args);
-    const zipPath = path.join(outDir, `${skillName}.zip`);
+  res.status(202).json({ ...publicJob(job), packId: pack.id, statusUrl: `/api/jobs/${job.id}` });
+});
 
-    if (!fs.existsSync(zipPath)) {
-      throw new Error("Compilation finished but ZIP file was not generated.");
-    }
+// Other users' jobs and packs answer 404, the same as ones that never existed.
+function findJob(req, res) {
+  const job = jobs.get(String(req.params.id || ""));
+  if (!job || job.meta.userId !== req.user.id) {
+    res.status(404).json({ error: "Job not found" });
+    return null;
+  }
+  return job;
+}
 
-    res.download(zipPath, `${skillName}.zip`, () => {
-      cleanupUploaded(files);
-    });
+function findPack(req, res) {
+  const pack = library.get(req.user.id, String(req.params.id || ""));
+  if (!pack) {
+    res.status(404).json({ error: "Pack not found" });
+  }
+  return pack;
+}
+
+function publicPack(pack) {
+  return { ...pack, downloadUrl: `/api/packs/${pack.id}/download` };
+}
+
+function sendPack(res, userId, pack) {
+  const zipPath = library.zipPath(userId, pack.id);
+  if (!fs.existsSync(zipPath)) {
+    res.status(410).json({ error: "Pack file is missing" });
+    return;
+  }
+  res.download(zipPath, `${pack.name}.zip`);
+}
+
+app.get("/api/jobs/:id", authGuard, (req, res) => {
+  const job = findJob(req, res);
+  if (job) {
+    const downloadUrl = job.status === "done" ? `/api/packs/${job.meta.packId}/download` : null;
+    res.json({ ...publicJob(job), packId: job.meta.packId, downloadUrl, queue: jobs.stats() });
+  }
+});
+
+app.get("/api/jobs/:id/download", authGuard, (req, res) => {
+  const job = findJob(req, res);
+  if (!job) {
+    return;
+  }
+  if (job.status !== "done") {
+    res.status(409).json({ error: `Job is ${job.status}` });
+    return;
+  }
+  const pack = library.get(req.user.id, job.meta.packId);
+  if (!pack) {
+    res.status(410).json({ error: "The pack was deleted" });
+    return;
+  }
+  sendPack(res, req.user.id, pack);
+});
+
+app.delete("/api/jobs/:id", authGuard, (req, res) => {
+  const job = findJob(req, res);
+  if (!job) {
+    return;
+  }
+  if (!jobs.cancel(job.id)) {
+    res.status(409).json({ error: `Job is already ${job.status}` });
+    return;
+  }
+  res.json(publicJob(job));
+});
+
+app.get("/api/packs", authGuard, (req, res) => {
+  res.json({ user: req.user, packs: library.list(req.user.id).map(publicPack) });
+});
+
+app.get("/api/packs/:id", authGuard, (req, res) => {
+  const pack = findPack(req, res);
+  if (pack) {
+    res.json(publicPack(pack));
+  }
+});
+
+app.get("/api/packs/:id/download", authGuard, (req, res) => {
+  const pack = findPack(req, res);
+  if (pack) {
+    sendPack(res, req.user.id, pack);
+  }
+});
+
+app.delete("/api/packs/:id", authGuard, (req, res) => {
+  const pack = findPack(req, res);
+  if (pack) {
+    library.remove(req.user.id, pack.id);
+    res.json({ id: pack.id, deleted: true });
+  }
+});
+
+// `pack` is a pack ID or a skill name (the newest pack with that name).
+app.get("/api/route", authGuard, async (req, res) => {
+  const ref = sanitizeSkillName(req.query.pack);
+  const query = String(req.query.q || "").trim();
+  if (!ref || !query) {
+    res.status(400).json({ error: "Both pack and q are required." });
+    return;
+  }
+
+  const found = library.find(req.user.id, ref);
+  const zipPath = found ? library.zipPath(req.user.id, found.id) : null;
+  if (!zipPath || !fs.existsSync(zipPath)) {
+    res.status(404).json({ error: `Skill pack not found: ${ref}` });
+    return;
+  }
+
+  const lang = String(req.query.lang || "");
+  const limit = Number.parseInt(req.query.limit || "5", 10);
+  const minScore = Number.parseInt(req.query.minScore || "", 10);
+
+  try {
+    const pack = await readPack(zipPath);
+    const semantic = EMBED ? await semanticRouting(pack, query, EMBED) : null;
+    res.json(
+      routePack(pack, query, {
+        lang: LANG_MODES.includes(lang) ? lang : undefined,
+        limit: Number.isFinite(limit) ? limit : 5,
+        minScore: Number.isFinite(minScore) ? minScore : undefined,
+        ...semantic,
+      })
+    );
   } catch (err) {
-    cleanupUploaded(files);
-    res.status(500).json({ error: err.message || "Compile failed" });
+    res.status(500).json({ error: err.message || "Route failed" });
   }
 });
 
+let keyed;
+try {
+  keyed = users.hasUsers();
+} catch (err) {
+  process.stderr.write(`pdf2skill-lite web server not started: ${err.message}\n`);
+  process.exit(1);
+}
+
 app.listen(PORT, () => {
-  process.stdout.write(`pdf2skill-lite web server running: http://localhost:${PORT}\n`);
+  const auth = keyed ? `API keys from ${USERS_FILE}` : COMPILE_TOKEN ? "shared COMPILE_TOKEN" : "none";
+  process.stdout.write(`pdf2skill-lite web server running: http://localhost:${PORT} (auth: ${auth})\n`);
 });